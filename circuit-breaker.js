@@ -0,0 +1,85 @@
+// Pauses the whole run when the site keeps failing, instead of every page
+// burning through its retries:
+// - closed: requests go out as usual
+// - open: after `threshold` failures in a row nothing goes out until the
+//   cool-down is over
+// - half-open: one trial request goes out. If it works we're closed again;
+//   if not we reopen with twice the cool-down (up to maxCooldownMs)
+
+class CircuitBreaker {
+  // options: { threshold, cooldownMs, maxCooldownMs, onChange(state, details) }
+  constructor(options = {}) {
+    this.threshold = options.threshold || 3;
+    this.baseCooldownMs = options.cooldownMs || 60000;
+    this.maxCooldownMs = options.maxCooldownMs || 15 * 60000;
+    this.onChange = options.onChange || (() => {});
+
+    this.state = 'closed';
+    this.failures = 0;        // Failures in a row
+    this.cooldownMs = this.baseCooldownMs;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+  }
+
+  // How long a request has to wait before it may go out (0 = go now). Once the
+  // cool-down is over, the first caller gets to make the trial request.
+  waitTime(now = Date.now()) {
+    if (this.state === 'closed') return 0;
+
+    if (this.state === 'open') {
+      if (now < this.openUntil) return this.openUntil - now;
+      this.state = 'half-open';
+      this.trialInFlight = false;
+      this.onChange('half-open', { failures: this.failures });
+    }
+
+    if (!this.trialInFlight) {
+      this.trialInFlight = true;
+      return 0;
+    }
+    // Everyone else waits to hear how the trial went
+    return Math.min(1000, this.cooldownMs);
+  }
+
+  // The caller that got the trial gave up before sending it (e.g. the run was
+  // stopped): let the next caller make it instead
+  releaseTrial() {
+    if (this.state === 'half-open') this.trialInFlight = false;
+  }
+
+  // The site answered (even a 404 means it's up)
+  recordSuccess() {
+    const wasOpen = this.state !== 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+    if (!wasOpen) return;
+
+    this.state = 'closed';
+    this.cooldownMs = this.baseCooldownMs;
+    this.onChange('closed', {});
+  }
+
+  // A transient failure. Returns true when this one opened the breaker.
+  recordFailure(kind, now = Date.now()) {
+    this.failures++;
+
+    if (this.state === 'half-open') {
+      this.cooldownMs = Math.min(this.maxCooldownMs, this.cooldownMs * 2);
+    } else if (this.state === 'open' || this.failures < this.threshold) {
+      return false;
+    }
+
+    this.state = 'open';
+    this.trialInFlight = false;
+    this.openUntil = now + this.cooldownMs;
+    this.onChange('open', {
+      kind,
+      failures: this.failures,
+      cooldownMs: this.cooldownMs,
+      resumesAt: new Date(this.openUntil).toISOString()
+    });
+    return true;
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -1,6 +1,33 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { ComprehensiveCarEventScraper } = require('./scraper');
+const { parseThresholds, DRIFT_ACTIONS } = require('./field-monitor');
+const { EventStore } = require('./event-store');
+const { createGeocoder, geocodeStoredEvents, GEO_NOT_FOUND } = require('./geocoder');
+const { resolveLocation, searchNearby } = require('./event-search');
+const { updateDuplicateClusters, deduplicateRecords } = require('./event-dedup');
+const { filterEvents, parseList } = require('./event-filter');
+const { exportEvents, formatFromPath, EXPORT_FORMATS } = require('./event-export');
+const { loadConfig, defaultConfigPath } = require('./scraper-config');
+const { readProgress } = require('./progress-file');
+const { stateKeyOf, selectStateLinks } = require('./us-states');
+const {
+  readStateLinksFile,
+  writeStateLinksFile,
+  diffStateLinks,
+  hasStateLinkChanges,
+  describeStateLinksDiff
+} = require('./state-links');
+
+const STATE_LINKS_PATH = path.join(__dirname, 'state-car-show-links.json');
+
+// Where the database goes: the output folder from the shared settings, or
+// next to this script when none is set (see main)
+let outputDir = __dirname;
+
+function dbPath() {
+  return path.join(outputDir, 'car_events_console.db');
+}
 
 // Helper to show proper command line usage
 function showUsage() {
@@ -11,11 +38,51 @@ Car Cruise Finder Console Scraper
 Usage: node console-scraper.js [options] [state1] [state2] ...
 
 Options:
-  --resume               Resume from previous run's state
+  --resume               Resume from previous run's state (with the states it was
+                         started with, unless others are named)
   --resume-state <num>   Resume from a specific state number
+  --refresh              Re-check already scraped events for changes and removals
+  --refresh-scope <scope> Which events --refresh re-checks: all (default) or upcoming
+  --retry-failed         Only retry the event and listing pages that failed before
+                         (listed by --stats)
+  --config <file>        Settings file to read (default: the one the app's Settings
+                         panel writes). The flags below override its values
   --max-concurrency <num> Set maximum concurrent event scrapes (default: 3)
+  --state-concurrency <num> How many states to scrape at once (default: 3). All of them
+                         share the --rate limit
+  --rate <num>           Maximum requests per second to the site (default: 1; slows down
+                         further by itself when the site gets slow or returns errors)
+  --ignore-robots        Don't read robots.txt (only for sites you run yourself)
+  --record               Save every fetched page to the fixtures directory
+  --replay               Serve pages from the fixtures directory (no network)
+  --fixtures <dir>       Fixtures directory for --record/--replay (default: ./fixtures)
+  --venue-timezones <file> JSON file mapping venue names to IANA time zones
+  --geocoder-url <url>   Local geocoding service (Nominatim API) to try before the built-in gazetteer
+  --geocode              Look up coordinates for stored events that don't have any yet
+                         (including addresses that weren't found before), then exit
+  --geocode-all          Look up coordinates again for every stored event, then exit
+  --prefer-structured-data Use the page's JSON-LD event data first, CSS selectors as fallback
+  --min-fill <list>      Minimum fill rates, e.g. eventName=0.9,venue=0.5,date=0.9
+  --on-drift <action>    What to do when a field drops below its minimum: pause (default) or warn
+  --near <zip|city>      List stored events near a ZIP code or "City, ST" and exit
+  --miles <num>          Search radius for --near (default: 50)
+  --from <date>          Only events on or after this date (YYYY-MM-DD), for --near and --export
+  --to <date>            Only events on or before this date (YYYY-MM-DD), for --near and --export
+  --export <file>        Write stored events to a file and exit (states given after the
+                         options limit the export to those states)
+  --format <format>      Export format: csv, json, ndjson, ics or geojson
+                         (default: taken from the --export file extension, then Settings)
+  --dedup                With --export, write one record per show (duplicates folded into Alternate Links)
+  --include <words>      With --export, only events whose name/description mention one of these (comma-separated)
+  --exclude <words>      With --export, leave out events whose name/description mention any of these
+  --upcoming             With --export, leave out past and removed events
+  --columns <list>       With --export, the columns to write, in order (e.g. eventName,startDate,city)
+  --duplicates           List groups of likely duplicate events and exit
   --stats                Show scraper statistics and exit
   --list-states          List all available states and exit
+  --discover-states      Look for the site's current state pages and show how they differ
+                         from state-car-show-links.json, then exit
+  --apply                With --discover-states, also update state-car-show-links.json
   --help                 Show this help message
 
 Examples:
@@ -23,6 +90,14 @@ Examples:
   node console-scraper.js --resume           # Resume from last saved position
   node console-scraper.js california texas   # Only scrape California and Texas
   node console-scraper.js --stats            # Display statistics about previous runs
+  node console-scraper.js --export events.csv  # Export the event database to CSV
+  node console-scraper.js --export shows.ics   # Export as a calendar for phones
+  node console-scraper.js --near 62701 --miles 75 --from 2025-06-01 --to 2025-06-30
+  node console-scraper.js --export june.csv --from 2025-06-01 --to 2025-06-30 --exclude "swap meet" ohio indiana
+  node console-scraper.js --refresh --refresh-scope upcoming  # Re-check upcoming events
+  node console-scraper.js --retry-failed     # Try the pages that failed last time again
+  node console-scraper.js --record iowa      # Scrape Iowa and save the pages as fixtures
+  node console-scraper.js --replay iowa      # Re-run the Iowa scrape offline from fixtures
 `);
 }
 
@@ -32,9 +107,36 @@ function parseArguments() {
   const options = {
     resume: false,
     resumeState: 0,
-    maxConcurrency: 3,
+    refresh: false,
+    refreshScope: 'all',
+    retryFailed: false,
+    configPath: defaultConfigPath(),
+    maxConcurrency: undefined,   // undefined = use the settings file
+    stateConcurrency: undefined,
+    politeness: {},
     showStats: false,
     listStates: false,
+    discoverStates: false,
+    applyStateLinks: false,
+    httpMode: 'live',
+    fixturesDir: path.join(__dirname, 'fixtures'),
+    venueTimezonesPath: null,
+    primarySource: 'css',
+    fieldMonitor: {},            // --min-fill and --on-drift; the rest comes from the settings file
+    exportPath: null,
+    exportFormat: null,
+    dedup: false,
+    include: [],
+    exclude: [],
+    upcomingOnly: false,
+    columns: null,
+    listDuplicates: false,
+    geocoderUrl: null,
+    geocode: null,
+    near: null,
+    miles: 50,
+    from: null,
+    to: null,
     states: []
   };
 
@@ -49,16 +151,110 @@ function parseArguments() {
         console.error('Invalid state number for --resume-state');
         process.exit(1);
       }
+    } else if (arg === '--state-concurrency' && i + 1 < args.length) {
+      options.stateConcurrency = parseInt(args[++i], 10);
+      if (isNaN(options.stateConcurrency) || options.stateConcurrency < 1) {
+        console.error('Invalid value for --state-concurrency, using the configured value');
+        options.stateConcurrency = undefined;
+      }
     } else if (arg === '--max-concurrency' && i + 1 < args.length) {
       options.maxConcurrency = parseInt(args[++i], 10);
       if (isNaN(options.maxConcurrency) || options.maxConcurrency < 1) {
-        console.error('Invalid value for --max-concurrency, using default of 3');
-        options.maxConcurrency = 3;
+        console.error('Invalid value for --max-concurrency, using the configured value');
+        options.maxConcurrency = undefined;
+      }
+    } else if (arg === '--config' && i + 1 < args.length) {
+      options.configPath = path.resolve(args[++i]);
+    } else if (arg === '--rate' && i + 1 < args.length) {
+      options.politeness.requestsPerSecond = parseFloat(args[++i]);
+      if (!(options.politeness.requestsPerSecond > 0)) {
+        console.error('Invalid value for --rate, expected a number of requests per second above 0');
+        process.exit(1);
+      }
+    } else if (arg === '--ignore-robots') {
+      options.politeness.respectRobotsTxt = false;
+    } else if (arg === '--refresh') {
+      options.refresh = true;
+    } else if (arg === '--retry-failed') {
+      options.retryFailed = true;
+    } else if (arg === '--refresh-scope' && i + 1 < args.length) {
+      options.refreshScope = args[++i].toLowerCase();
+      if (!['all', 'upcoming'].includes(options.refreshScope)) {
+        console.error('Invalid value for --refresh-scope, expected all or upcoming');
+        process.exit(1);
+      }
+    } else if (arg === '--record' || arg === '--replay') {
+      if (options.httpMode !== 'live') {
+        console.error('--record and --replay cannot be used together');
+        process.exit(1);
+      }
+      options.httpMode = arg.slice(2);
+    } else if (arg === '--fixtures' && i + 1 < args.length) {
+      options.fixturesDir = path.resolve(args[++i]);
+    } else if (arg === '--venue-timezones' && i + 1 < args.length) {
+      options.venueTimezonesPath = path.resolve(args[++i]);
+    } else if (arg === '--near' && i + 1 < args.length) {
+      options.near = args[++i];
+    } else if (arg === '--miles' && i + 1 < args.length) {
+      options.miles = parseFloat(args[++i]);
+      if (isNaN(options.miles) || options.miles <= 0) {
+        console.error('Invalid value for --miles');
+        process.exit(1);
+      }
+    } else if ((arg === '--from' || arg === '--to') && i + 1 < args.length) {
+      const date = args[++i];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        console.error(`Invalid date for ${arg}, expected YYYY-MM-DD`);
+        process.exit(1);
+      }
+      options[arg.slice(2)] = date;
+    } else if (arg === '--dedup') {
+      options.dedup = true;
+    } else if ((arg === '--include' || arg === '--exclude') && i + 1 < args.length) {
+      options[arg.slice(2)] = parseList(args[++i]);
+    } else if (arg === '--upcoming') {
+      options.upcomingOnly = true;
+    } else if (arg === '--columns' && i + 1 < args.length) {
+      options.columns = parseList(args[++i]);
+    } else if (arg === '--duplicates') {
+      options.listDuplicates = true;
+    } else if (arg === '--geocoder-url' && i + 1 < args.length) {
+      options.geocoderUrl = args[++i];
+    } else if (arg === '--geocode') {
+      options.geocode = 'missing';
+    } else if (arg === '--geocode-all') {
+      options.geocode = 'all';
+    } else if (arg === '--prefer-structured-data') {
+      options.primarySource = 'jsonld';
+    } else if (arg === '--min-fill' && i + 1 < args.length) {
+      try {
+        options.fieldMonitor.thresholds = parseThresholds(args[++i]);
+      } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+    } else if (arg === '--on-drift' && i + 1 < args.length) {
+      options.fieldMonitor.action = args[++i].toLowerCase();
+      if (!DRIFT_ACTIONS.includes(options.fieldMonitor.action)) {
+        console.error(`Invalid value for --on-drift, expected one of: ${DRIFT_ACTIONS.join(', ')}`);
+        process.exit(1);
+      }
+    } else if (arg === '--export' && i + 1 < args.length) {
+      options.exportPath = path.resolve(args[++i]);
+    } else if (arg === '--format' && i + 1 < args.length) {
+      options.exportFormat = args[++i].toLowerCase();
+      if (!EXPORT_FORMATS[options.exportFormat]) {
+        console.error(`Invalid value for --format, expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        process.exit(1);
       }
     } else if (arg === '--stats') {
       options.showStats = true;
     } else if (arg === '--list-states') {
       options.listStates = true;
+    } else if (arg === '--discover-states') {
+      options.discoverStates = true;
+    } else if (arg === '--apply') {
+      options.applyStateLinks = true;
     } else if (arg === '--help') {
       showUsage();
       process.exit(0);
@@ -85,37 +281,162 @@ async function ensureLogDirectory() {
 // Function to load state links from JSON file
 async function loadStateLinks() {
   try {
-    const stateLinksPath = path.join(__dirname, 'state-car-show-links.json');
-    const data = await fs.readFile(stateLinksPath, 'utf8');
-    const { stateCarShowLinks } = JSON.parse(data);
-    
-    // Create a temporary scraper just to use its getStateFromUrl method
-    const tempScraper = new ComprehensiveCarEventScraper();
-    
-    // Convert to format expected by scraper
-    return stateCarShowLinks.map(link => {
-      // Use the scraper's method to extract state name consistently
-      const stateName = tempScraper.getStateFromUrl(link);
-      
-      return {
-        link,
-        name: stateName
-      };
-    });
+    return await readStateLinksFile(STATE_LINKS_PATH);
   } catch (error) {
     console.error('Error loading state links:', error);
     throw error;
   }
 }
 
+// Function to compare the site's state pages with state-car-show-links.json
+// (and update the file with --apply)
+async function discoverStates(options) {
+  const scraper = new ComprehensiveCarEventScraper({
+    logsPath: path.join(__dirname, 'logs', 'console_scraper.log'),
+    config: options.config,
+    politeness: options.politeness,
+    httpMode: options.httpMode,
+    fixturesDir: options.fixturesDir
+  });
+  scraper.onProgress = message => console.log(message);
+  
+  const { states, ignored } = await scraper.discoverStateLinks();
+  const diff = diffStateLinks(await loadStateLinks(), states);
+  
+  console.log('\n=== State List Changes ===\n');
+  describeStateLinksDiff(diff).forEach(line => console.log(line));
+  if (ignored.length > 0) {
+    console.log(`\nOther categories (not scraped): ${ignored.map(entry => entry.name).join(', ')}`);
+  }
+  
+  if (!hasStateLinkChanges(diff)) return;
+  if (!options.applyStateLinks) {
+    console.log(`\nNothing was changed. Run again with --discover-states --apply to update ${STATE_LINKS_PATH}`);
+    return;
+  }
+  await writeStateLinksFile(STATE_LINKS_PATH, states);
+  console.log(`\nUpdated ${STATE_LINKS_PATH} (${states.length} states)`);
+}
+
+// Function to export the event database
+async function exportStoredEvents(options) {
+  const { exportPath } = options;
+  const store = await EventStore.open(dbPath());
+  if (options.dedup) {
+    updateDuplicateClusters(store);
+  }
+  
+  let records = store.getAllEvents();
+  if (options.dedup) {
+    records = deduplicateRecords(records);
+  }
+  records = filterEvents(records, {
+    states: options.states,
+    from: options.from,
+    to: options.to,
+    include: options.include,
+    exclude: options.exclude,
+    upcomingOnly: options.upcomingOnly
+  });
+  
+  const format = options.exportFormat || formatFromPath(exportPath) || options.config.exportFormat;
+  const result = await exportEvents(records, exportPath, format, { columns: options.columns });
+  console.log(`Exported ${result.exported} events as ${EXPORT_FORMATS[result.format].name} to ${exportPath}`);
+  if (result.skipped > 0) {
+    console.log(`Skipped ${result.skipped} events without ${result.format === 'ics' ? 'a date' : 'coordinates'}`);
+  }
+}
+
+// Function to add coordinates to stored events
+async function geocodeEvents(mode, geocoderUrl) {
+  const store = await EventStore.open(dbPath());
+  const geocoder = createGeocoder({
+    serviceUrl: geocoderUrl,
+    onError: error => console.error(`Geocoding service error: ${error.message}`)
+  });
+  
+  const { checked, resolved } = await geocodeStoredEvents(store, geocoder, { all: mode === 'all', retryNotFound: true });
+  await store.save();
+  console.log(`Geocoded ${resolved} of ${checked} events${checked > resolved ? ` (${checked - resolved} could not be located)` : ''}`);
+}
+
+// Function to list stored events near a place
+async function showNearbyEvents(options) {
+  const origin = await resolveLocation(options.near);
+  const store = await EventStore.open(dbPath());
+  const results = searchNearby(store.getAllEvents(), {
+    origin,
+    miles: options.miles,
+    from: options.from,
+    to: options.to
+  });
+  
+  const dateRange = options.from || options.to ? ` between ${options.from || 'any date'} and ${options.to || 'any date'}` : '';
+  console.log(`\n${results.length} events within ${options.miles} miles of ${origin.label}${dateRange}\n`);
+  
+  results.forEach(event => {
+    const when = event.endDate && event.endDate !== event.startDate
+      ? `${event.startDate} to ${event.endDate}`
+      : (event.startDate || event.date || 'date unknown');
+    const where = [event.venue, event.city, event.stateAbbr].filter(Boolean).join(', ');
+    console.log(`${String(event.distanceMiles).padStart(6)} mi  ${when}  ${event.eventName}`);
+    console.log(`           ${where}${event.geoPrecision && event.geoPrecision !== 'address' ? ` (location approximate: ${event.geoPrecision})` : ''}`);
+    console.log(`           ${event.originalLink}`);
+  });
+}
+
+// Function to list groups of likely duplicate events
+async function showDuplicates() {
+  const store = await EventStore.open(dbPath());
+  const clusters = updateDuplicateClusters(store);
+  await store.save();
+  
+  const byLink = new Map(store.getAllEvents().map(record => [record.originalLink, record]));
+  console.log(`\n${clusters.length} groups of likely duplicates\n`);
+  
+  clusters.forEach((cluster, index) => {
+    console.log(`#${index + 1} (similarity ${cluster.score}${cluster.confirmed ? ', confirmed' : ''})`);
+    cluster.links.forEach(link => {
+      const event = byLink.get(link) || {};
+      const marker = link === cluster.canonicalLink ? 'KEEP' : '    ';
+      console.log(`  ${marker} ${event.startDate || '?'}  ${event.eventName}  (${[event.venue, event.city, event.stateAbbr].filter(Boolean).join(', ')})`);
+      console.log(`       ${link}`);
+    });
+    console.log('');
+  });
+}
+
 // Function to display scraper statistics
 async function showScraperStats() {
   const progressPath = path.join(__dirname, 'console_scraper_progress.json');
   
+  // What's in the event database
   try {
-    await fs.access(progressPath);
-    const data = await fs.readFile(progressPath, 'utf8');
-    const progressData = JSON.parse(data);
+    await fs.access(dbPath());
+    const store = await EventStore.open(dbPath());
+    console.log('\n=== Event Database ===\n');
+    console.log(`Events Stored: ${store.countEvents()}`);
+    
+    const precision = Object.entries(store.countByGeoPrecision());
+    const levelName = level => (level === GEO_NOT_FOUND ? 'not found' : level || 'not looked up');
+    console.log(`Geocoded: ${precision.map(([level, count]) => `${levelName(level)} ${count}`).join(', ') || 'none'}`);
+    
+    const runs = store.getRuns(5);
+    if (runs.length > 0) {
+      console.log('\n--- Recent Runs ---');
+      runs.forEach(run => {
+        console.log(`#${run.id} ${run.mode}${run.trigger && run.trigger !== 'manual' ? ` (${run.trigger})` : ''}: ${run.status}, started ${run.started_at}` +
+          `${run.finished_at ? `, finished ${run.finished_at}` : ''}, ${run.events_processed} events`);
+      });
+    }
+  } catch (error) {
+    console.log('No event database found.');
+  }
+  
+  try {
+    // Falls back to the backup if the file itself can't be read
+    const progressData = await readProgress(progressPath);
+    if (!progressData) throw new Error('No progress file');
     
     console.log('\n=== Car Cruise Finder Scraper Statistics ===\n');
     console.log(`Last Run: ${progressData.timestamp || 'Unknown'}`);
@@ -123,6 +444,25 @@ async function showScraperStats() {
     console.log(`Events Processed: ${progressData.processedEvents || 0}`);
     console.log(`States Completed: ${progressData.completedStates?.length || 0} of ${progressData.totalStates || 0}`);
     
+    // Show the last refresh run, if any
+    if (progressData.refresh) {
+      const { scope, startedAt, completed, summary = {} } = progressData.refresh;
+      console.log(`\nLast Refresh (${scope}): started ${startedAt}, ${completed ? 'completed' : 'NOT FINISHED'}`);
+      console.log(`  Updated: ${(summary.updated || 0) + (summary.rescheduled || 0) + (summary.moved || 0)} ` +
+        `(rescheduled ${summary.rescheduled || 0}, moved ${summary.moved || 0}), ` +
+        `Removed: ${summary.removed || 0}, Restored: ${summary.restored || 0}, ` +
+        `Unchanged: ${summary.unchanged || 0}, Failed: ${summary.failed || 0}`);
+    }
+    
+    // Requests that gave up, waiting for --retry-failed
+    const failed = progressData.failedRequests || [];
+    console.log(`\nFailed Requests: ${failed.length}${failed.length > 0 ? ' (run with --retry-failed to try them again)' : ''}`);
+    failed.forEach(request => {
+      const what = request.type === 'listing' ? `listing page ${request.page}` : 'event';
+      console.log(`  ${request.state || '?'} ${what}: ${request.error} (${request.attempts} attempts, last ${request.lastFailedAt})`);
+      console.log(`    ${request.url}`);
+    });
+    
     // Show progress for each state
     if (progressData.stateProgress) {
       console.log('\n--- State Progress ---');
@@ -149,6 +489,15 @@ async function main() {
     // Parse command line options
     const options = parseArguments();
     
+    // Settings shared with the app; command line flags override them
+    const { config, warnings } = await loadConfig(options.configPath);
+    warnings.forEach(warning => console.error(`Settings: ${warning}`));
+    options.config = config;
+    if (config.outputDir) {
+      outputDir = config.outputDir;
+      await fs.mkdir(outputDir, { recursive: true });
+    }
+    
     // Ensure logs directory exists
     await ensureLogDirectory();
     
@@ -158,6 +507,36 @@ async function main() {
       return;
     }
     
+    // List likely duplicates if requested
+    if (options.listDuplicates) {
+      await showDuplicates();
+      return;
+    }
+    
+    // Radius search if requested
+    if (options.near) {
+      await showNearbyEvents(options);
+      return;
+    }
+    
+    // Geocode stored events if requested
+    if (options.geocode) {
+      await geocodeEvents(options.geocode, options.geocoderUrl);
+      return;
+    }
+    
+    // Export stored events if requested
+    if (options.exportPath) {
+      await exportStoredEvents(options);
+      return;
+    }
+    
+    // Compare the site's state pages with the stored list if requested
+    if (options.discoverStates) {
+      await discoverStates(options);
+      return;
+    }
+    
     // Load all state links
     const allStateLinks = await loadStateLinks();
     console.log(`Loaded ${allStateLinks.length} states`);
@@ -176,9 +555,20 @@ async function main() {
     if (options.states.length > 0) {
       const stateNamesToProcess = options.states.map(s => s.toLowerCase());
       stateLinksToProcess = allStateLinks.filter(stateObj => 
-        stateNamesToProcess.some(arg => stateObj.name.toLowerCase().includes(arg))
+        stateNamesToProcess.some(arg => stateObj.name.toLowerCase().includes(arg) || stateObj.slug === arg)
       );
       console.log(`Filtered to ${stateLinksToProcess.length} states: ${stateLinksToProcess.map(s => s.name).join(', ')}`);
+    } else if (options.resume) {
+      // Resuming without naming states carries on with the ones the run was started with
+      try {
+        const saved = await readProgress(path.join(__dirname, 'console_scraper_progress.json'));
+        if (saved && Array.isArray(saved.selectedStates) && saved.selectedStates.length > 0) {
+          stateLinksToProcess = selectStateLinks(allStateLinks, saved.selectedStates);
+          console.log(`Resuming with ${stateLinksToProcess.length} states: ${stateLinksToProcess.map(s => s.name).join(', ')}`);
+        }
+      } catch (error) {
+        // No usable progress file, resume with every state
+      }
     }
     
     if (stateLinksToProcess.length === 0) {
@@ -186,12 +576,50 @@ async function main() {
       process.exit(1);
     }
     
+    // Replaying needs something to replay
+    if (options.httpMode === 'replay') {
+      try {
+        await fs.access(options.fixturesDir);
+      } catch (error) {
+        console.error(`Fixtures directory not found: ${options.fixturesDir}. Run with --record first.`);
+        process.exit(1);
+      }
+    }
+    
+    if (options.httpMode !== 'live') {
+      console.log(`HTTP mode: ${options.httpMode} (fixtures: ${options.fixturesDir})`);
+    }
+    
+    // Venue-level time zone overrides for states with several zones
+    let venueTimezones = {};
+    if (options.venueTimezonesPath) {
+      try {
+        venueTimezones = JSON.parse(await fs.readFile(options.venueTimezonesPath, 'utf8'));
+      } catch (error) {
+        console.error(`Could not read venue time zones from ${options.venueTimezonesPath}: ${error.message}`);
+        process.exit(1);
+      }
+    }
+    
     // Initialize the scraper
     const scraper = new ComprehensiveCarEventScraper({
-      csvPath: path.join(__dirname, 'car_events_console.csv'),
+      csvPath: path.join(outputDir, 'car_events_console.csv'),
+      dbPath: dbPath(),
+      config: options.config,
+      selectedStates: stateLinksToProcess === allStateLinks
+        ? null
+        : stateLinksToProcess.map(stateKeyOf),
       logsPath: path.join(__dirname, 'logs', 'console_scraper.log'),
       progressPath: path.join(__dirname, 'console_scraper_progress.json'),
-      maxConcurrency: options.maxConcurrency
+      maxConcurrency: options.maxConcurrency,
+      stateConcurrency: options.stateConcurrency,
+      politeness: options.politeness,
+      httpMode: options.httpMode,
+      fixturesDir: options.fixturesDir,
+      venueTimezones,
+      geocoderUrl: options.geocoderUrl,
+      primarySource: options.primarySource,
+      fieldMonitor: options.fieldMonitor
     });
     
     // Add enhanced console logging for better visibility
@@ -203,7 +631,16 @@ async function main() {
       const timestamp = new Date().toISOString();
       
       // Format based on type of progress
-      if (progressData?.error) {
+      if (progressData?.selectorDrift) {
+        console.error(`[${timestamp}] ⚠️ SELECTOR DRIFT: ${message}`);
+        console.error(`[${timestamp}]    Coverage report: ${progressData.selectorDrift.reportPath}`);
+      } else if (progressData?.circuitBreaker) {
+        console.error(`[${timestamp}] ⏸️ CIRCUIT BREAKER ${progressData.circuitBreaker.state.toUpperCase()}: ${message}`);
+      } else if (progressData?.retryAfter) {
+        console.error(`[${timestamp}] ⏳ RETRY-AFTER: ${message}`);
+      } else if (progressData?.stateIncomplete) {
+        console.error(`[${timestamp}] ⚠️ INCOMPLETE STATE: ${message}`);
+      } else if (progressData?.error) {
         console.error(`[${timestamp}] ❌ ERROR: ${message}`);
       } else if (progressData?.stateCompleted) {
         const { state, eventsScraped, stateIndex, totalStates, markedComplete } = progressData.stateCompleted;
@@ -226,9 +663,20 @@ async function main() {
       } else if (progressData?.scraperSummary) {
         const { totalStates, completedStates, remainingStates, eventsAlreadyFound } = progressData.scraperSummary;
         console.log(`[${timestamp}] 🚀 STARTING: ${completedStates}/${totalStates} states completed, ${remainingStates} remaining, ${eventsAlreadyFound} events found so far`);
+      } else if (progressData?.eventChanged) {
+        const { type, eventName, state, reason } = progressData.eventChanged;
+        console.log(`[${timestamp}] ✏️ ${type.toUpperCase()}: "${eventName}" in ${state}${reason ? ` (${reason})` : ''}`);
+      } else if (progressData?.retryComplete) {
+        const { stillFailing } = progressData.retryComplete;
+        console.log(`[${timestamp}] 🎉 ${message}${stillFailing > 0 ? ' (see --stats)' : ''}`);
+      } else if (progressData?.refreshComplete) {
+        console.log(`[${timestamp}] 🎉 ${message}. Change log: ${progressData.refreshComplete.changeLogPath}`);
       } else if (progressData?.scrapingComplete) {
-        const { totalEvents, totalStates } = progressData.scrapingComplete;
+        const { totalEvents, totalStates, unfinishedStates = [] } = progressData.scrapingComplete;
         console.log(`[${timestamp}] 🎉 COMPLETE: Scraped ${totalEvents} events across ${totalStates} states`);
+        if (unfinishedStates.length > 0) {
+          console.log(`[${timestamp}]    Unfinished (run with --resume to retry): ${unfinishedStates.join(', ')}`);
+        }
       } else {
         console.log(`[${timestamp}] ℹ️ INFO: ${message}`);
       }
@@ -267,13 +715,42 @@ async function main() {
       resumeFromState = true; // Use true to indicate we want to use the stored state
     }
     
-    // Start or resume scraping
-    await scraper.scrapeAllEvents(stateLinksToProcess, resumeFromState);
+    // An interrupted refresh run is resumed as a refresh
+    let resumingRefresh = false;
+    if (options.resume) {
+      try {
+        const saved = await readProgress(scraper.progressPath);
+        resumingRefresh = Boolean(saved) && saved.mode === 'refresh' && saved.refresh && !saved.refresh.completed;
+      } catch (error) {
+        // No usable progress file, nothing to resume
+      }
+    }
+    
+    if (options.refresh || resumingRefresh) {
+      await scraper.refreshEvents(stateLinksToProcess, {
+        scope: options.refreshScope,
+        resume: resumingRefresh
+      });
+    } else if (options.retryFailed) {
+      await scraper.retryFailedRequests();
+    } else {
+      // Start or resume scraping
+      await scraper.scrapeAllEvents(stateLinksToProcess, resumeFromState);
+    }
     
     console.log('Scraping complete!');
     await scraper.cleanup();
     
   } catch (error) {
+    if (error.code === 'UNKNOWN_LOCATION' || error.code === 'UNKNOWN_COLUMN' || error.code === 'NO_STATES_FOUND') {
+      console.error(error.message);
+      process.exit(1);
+    }
+    if (error.code === 'SELECTOR_DRIFT') {
+      console.error(`\n${error.message}`);
+      console.error('Progress has been saved. Fix the selectors (or use --on-drift warn) and run again with --resume.');
+      process.exit(2);
+    }
     console.error('An error occurred during scraping:', error);
     process.exit(1);
   }
@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+
+// Last column layout of the headerless CSV files written before events moved
+// to the database (see LEGACY_CSV_LAYOUTS for the earlier ones). Only used to
+// read those files back.
+const LEGACY_CSV_COLUMNS = [
+  { id: 'eventName', title: 'Event Name' },
+  { id: 'state', title: 'State' },
+  { id: 'venue', title: 'Venue' },
+  { id: 'streetAddress', title: 'Street Address' },
+  { id: 'city', title: 'City' },
+  { id: 'stateAbbr', title: 'State Abbr' },
+  { id: 'postalCode', title: 'Postal Code' },
+  { id: 'country', title: 'Country' },
+  { id: 'latitude', title: 'Latitude' },
+  { id: 'longitude', title: 'Longitude' },
+  { id: 'date', title: 'Date' },
+  { id: 'startDate', title: 'Start Date' },
+  { id: 'endDate', title: 'End Date' },
+  { id: 'start-time', title: 'Start Time' },
+  { id: 'end-time', title: 'End Time' },
+  { id: 'startTime24', title: 'Start Time (24h)' },
+  { id: 'endTime24', title: 'End Time (24h)' },
+  { id: 'allDay', title: 'All Day' },
+  { id: 'timezone', title: 'Time Zone' },
+  { id: 'startDateTime', title: 'Start (Local)' },
+  { id: 'endDateTime', title: 'End (Local)' },
+  { id: 'startUtc', title: 'Start (UTC)' },
+  { id: 'endUtc', title: 'End (UTC)' },
+  { id: 'organizer', title: 'Organizer' },
+  { id: 'price', title: 'Price' },
+  { id: 'image', title: 'Image' },
+  { id: 'description', title: 'Description' },
+  { id: 'fieldSources', title: 'Field Sources' },
+  { id: 'status', title: 'Status' },
+  { id: 'contentHash', title: 'Content Hash' },
+  { id: 'lastChecked', title: 'Last Checked' },
+  { id: 'originalLink', title: 'Original Link' }
+];
+
+// The headerless CSV was only ever appended to, and columns were added in the
+// middle of its rows more than once, so one file can hold rows in several
+// layouts. These are all of them, oldest first. Each has a different number
+// of columns, which is how a row's layout is recognised.
+const LEGACY_CSV_LAYOUTS = [
+  // The original scraper
+  ['eventName', 'state', 'venue', 'streetAddress', 'city', 'stateAbbr', 'country', 'date',
+    'start-time', 'end-time', 'description', 'originalLink'],
+  // + ISO start and end dates
+  ['eventName', 'state', 'venue', 'streetAddress', 'city', 'stateAbbr', 'country', 'date',
+    'startDate', 'endDate', 'start-time', 'end-time', 'description', 'originalLink'],
+  // + 24-hour times, time zone and timestamps
+  ['eventName', 'state', 'venue', 'streetAddress', 'city', 'stateAbbr', 'country', 'date',
+    'startDate', 'endDate', 'start-time', 'end-time', 'startTime24', 'endTime24', 'allDay', 'timezone',
+    'startDateTime', 'endDateTime', 'startUtc', 'endUtc', 'description', 'originalLink'],
+  // + postal code, coordinates, organizer, price, image and field sources
+  ['eventName', 'state', 'venue', 'streetAddress', 'city', 'stateAbbr', 'postalCode', 'country',
+    'latitude', 'longitude', 'date', 'startDate', 'endDate', 'start-time', 'end-time', 'startTime24',
+    'endTime24', 'allDay', 'timezone', 'startDateTime', 'endDateTime', 'startUtc', 'endUtc',
+    'organizer', 'price', 'image', 'description', 'fieldSources', 'originalLink'],
+  // + refresh status
+  LEGACY_CSV_COLUMNS.map(column => column.id)
+].map(ids => ids.map(id => LEGACY_CSV_COLUMNS.find(column => column.id === id)));
+
+// Columns added since then, and the column they follow
+const ADDED_COLUMNS = [
+  { after: 'longitude', columns: [
+    { id: 'geoPrecision', title: 'Geo Precision' },
+    { id: 'geoSource', title: 'Geo Source' }
+  ] },
+  { after: 'originalLink', columns: [
+    { id: 'duplicateOf', title: 'Duplicate Of' },
+    { id: 'alternateLinks', title: 'Alternate Links' }
+  ] }
+];
+
+// Column layout of exported CSVs. Also used as the column list of the events
+// table in the database.
+const CSV_COLUMNS = ADDED_COLUMNS.reduce((columns, { after, columns: added }) => {
+  const index = columns.findIndex(column => column.id === after);
+  return [...columns.slice(0, index + 1), ...added, ...columns.slice(index + 1)];
+}, LEGACY_CSV_COLUMNS);
+
+// Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+// commas, doubled quotes and newlines)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Read all records from a headerless events CSV, each row with the layout it
+// was written in. Rows that fit none of the layouts are left out and listed
+// in `unmatched` (row number, counting from 1, and column count).
+// -> { records, unmatched: [{ row, columns }] }
+async function readCsvRecords(csvPath) {
+  let text;
+  try {
+    text = await fs.readFile(csvPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { records: [], unmatched: [] };
+    throw error;
+  }
+
+  const records = [];
+  const unmatched = [];
+  parseCsv(text).forEach((fields, index) => {
+    const layout = LEGACY_CSV_LAYOUTS.find(columns => columns.length === fields.length);
+    if (!layout) {
+      unmatched.push({ row: index + 1, columns: fields.length });
+      return;
+    }
+
+    const record = {};
+    layout.forEach((column, i) => {
+      record[column.id] = fields[i];
+    });
+    records.push(record);
+  });
+
+  return { records, unmatched };
+}
+
+// Format records as CSV text with a header row, for exports
+function toCsv(records, columns = CSV_COLUMNS) {
+  const stringifier = createCsvStringifier({ header: columns });
+  return stringifier.getHeaderString() + stringifier.stringifyRecords(records);
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  LEGACY_CSV_COLUMNS,
+  LEGACY_CSV_LAYOUTS,
+  parseCsv,
+  readCsvRecords,
+  toCsv
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Fields that make up an event's content. Bookkeeping columns (status, hash,
+// lastChecked, fieldSources) are left out so re-checking an unchanged page
+// produces the same hash.
+const CONTENT_FIELDS = [
+  'eventName', 'venue', 'streetAddress', 'city', 'stateAbbr', 'postalCode', 'country',
+  'latitude', 'longitude', 'date', 'startDate', 'endDate', 'start-time', 'end-time',
+  'allDay', 'timezone', 'organizer', 'price', 'image', 'description'
+];
+
+// Fields whose change means the event moved to a different time
+const SCHEDULE_FIELDS = ['startDate', 'endDate', 'start-time', 'end-time', 'allDay'];
+
+// Fields whose change means the event moved to a different place
+const LOCATION_FIELDS = ['venue', 'streetAddress', 'city', 'stateAbbr', 'postalCode'];
+
+function normalizeValue(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+// Stable hash of a record's content fields
+function hashRecord(record) {
+  const content = CONTENT_FIELDS.map(field => normalizeValue(record[field])).join('␟');
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+// Field-by-field differences between two versions of a record
+function diffRecords(before, after) {
+  const changes = {};
+  CONTENT_FIELDS.forEach(field => {
+    const from = normalizeValue(before[field]);
+    const to = normalizeValue(after[field]);
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+// Describe a set of changes as 'rescheduled', 'moved' or plain 'updated'
+function classifyChanges(changes) {
+  const fields = Object.keys(changes);
+  if (fields.some(field => SCHEDULE_FIELDS.includes(field))) return 'rescheduled';
+  if (fields.some(field => LOCATION_FIELDS.includes(field))) return 'moved';
+  return 'updated';
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  hashRecord,
+  diffRecords,
+  classifyChanges
+};
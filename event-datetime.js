@@ -0,0 +1,376 @@
+const { findState } = require('./us-states');
+
+// Date and time normalization for the free-form values found on event pages.
+// Dates come out as YYYY-MM-DD, times as 24-hour HH:MM, and '' means "couldn't tell".
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12
+};
+
+function pad(num) {
+  return String(num).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function isValidDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+function expandYear(year) {
+  if (year < 100) return 2000 + year;
+  return year;
+}
+
+// Pick the year that puts month/day closest to the reference date. Listings are
+// mostly upcoming events, so "Jan 5" seen in December means next January and
+// "Dec 28" seen in early January means the one that just happened.
+function inferYear(month, day, referenceDate) {
+  const refYear = referenceDate.getUTCFullYear();
+  const refTime = Date.UTC(refYear, referenceDate.getUTCMonth(), referenceDate.getUTCDate());
+
+  let bestYear = refYear;
+  let bestDistance = Infinity;
+
+  for (const year of [refYear - 1, refYear, refYear + 1]) {
+    if (!isValidDate(year, month, day)) continue;
+    const distance = Math.abs(Date.UTC(year, month - 1, day) - refTime);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestYear = year;
+    }
+  }
+
+  return bestYear;
+}
+
+// Parse a single date string into { year, month, day, hasYear }, or null
+function parseDateParts(text) {
+  if (!text) return null;
+
+  // Drop any time part ("May 4 @ 8:00 am") and weekday names
+  const cleaned = String(text)
+    .split('@')[0]
+    .replace(/\b(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)[a-z]*\.?,?/gi, ' ')
+    .replace(/(\d)(st|nd|rd|th)\b/gi, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // 2025-05-04 (the format tribe uses in title attributes)
+  let match = cleaned.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return { year: +match[1], month: +match[2], day: +match[3], hasYear: true };
+  }
+
+  // 05/04/2025, 5/4/25, 5/4
+  match = cleaned.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (match) {
+    return {
+      year: match[3] ? expandYear(+match[3]) : null,
+      month: +match[1],
+      day: +match[2],
+      hasYear: !!match[3]
+    };
+  }
+
+  // May 4, 2025 / May 4 2025 / May 4
+  match = cleaned.match(/^([a-z]+)\.? (\d{1,2}),? ?(\d{4})?$/i);
+  if (match && MONTHS[match[1].toLowerCase()]) {
+    return {
+      year: match[3] ? +match[3] : null,
+      month: MONTHS[match[1].toLowerCase()],
+      day: +match[2],
+      hasYear: !!match[3]
+    };
+  }
+
+  // 4 May 2025 / 4 May
+  match = cleaned.match(/^(\d{1,2}) ([a-z]+)\.?,? ?(\d{4})?$/i);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return {
+      year: match[3] ? +match[3] : null,
+      month: MONTHS[match[2].toLowerCase()],
+      day: +match[1],
+      hasYear: !!match[3]
+    };
+  }
+
+  return null;
+}
+
+// Normalize a single date string to YYYY-MM-DD, inferring a missing year
+function normalizeDate(text, referenceDate = new Date()) {
+  const parts = parseDateParts(text);
+  if (!parts) return '';
+
+  const year = parts.hasYear ? parts.year : inferYear(parts.month, parts.day, referenceDate);
+  if (!isValidDate(year, parts.month, parts.day)) return '';
+
+  return toIsoDate(year, parts.month, parts.day);
+}
+
+// Normalize the start/end date pair of an event. The end date's year is inferred
+// from the start date so shows running over New Year ("Dec 30 - Jan 2") come out right.
+function normalizeEventDates(startText, endText, referenceDate = new Date()) {
+  const startDate = normalizeDate(startText, referenceDate);
+  if (!startDate) {
+    return { startDate: '', endDate: '' };
+  }
+
+  let endDate = '';
+  const endParts = parseDateParts(endText);
+
+  if (endParts) {
+    let year = endParts.hasYear ? endParts.year : +startDate.slice(0, 4);
+    if (isValidDate(year, endParts.month, endParts.day)) {
+      endDate = toIsoDate(year, endParts.month, endParts.day);
+      if (!endParts.hasYear && endDate < startDate) {
+        year += 1;
+        endDate = isValidDate(year, endParts.month, endParts.day)
+          ? toIsoDate(year, endParts.month, endParts.day)
+          : '';
+      }
+    }
+  }
+
+  // Single-day events (and unreadable end dates) end on the day they start
+  if (!endDate || endDate < startDate) {
+    endDate = startDate;
+  }
+
+  return { startDate, endDate };
+}
+
+// Cities in the part of a multi-zone state that doesn't follow the state's main zone
+const CITY_TIMEZONES = {
+  TX: { zone: 'America/Denver', cities: ['El Paso', 'Socorro', 'Horizon City', 'Anthony', 'Canutillo', 'Clint', 'Fabens', 'Sierra Blanca'] },
+  FL: { zone: 'America/Chicago', cities: ['Pensacola', 'Gulf Breeze', 'Milton', 'Pace', 'Navarre', 'Fort Walton Beach', 'Destin', 'Niceville', 'Crestview', 'DeFuniak Springs', 'Panama City', 'Panama City Beach', 'Lynn Haven', 'Callaway', 'Marianna', 'Chipley', 'Bonifay', 'Mexico Beach'] },
+  TN: { zone: 'America/New_York', cities: ['Knoxville', 'Chattanooga', 'Johnson City', 'Kingsport', 'Bristol', 'Cleveland', 'Morristown', 'Maryville', 'Oak Ridge', 'Sevierville', 'Pigeon Forge', 'Gatlinburg', 'Athens', 'Greeneville', 'Elizabethton', 'Lenoir City', 'Dayton'] },
+  KY: { zone: 'America/Chicago', cities: ['Bowling Green', 'Owensboro', 'Paducah', 'Hopkinsville', 'Henderson', 'Madisonville', 'Murray', 'Mayfield', 'Glasgow', 'Russellville', 'Franklin', 'Princeton', 'Calvert City'] },
+  IN: { zone: 'America/Chicago', cities: ['Gary', 'Hammond', 'East Chicago', 'Merrillville', 'Crown Point', 'Hobart', 'Portage', 'Valparaiso', 'Michigan City', 'La Porte', 'Schererville', 'Munster', 'Highland', 'Evansville', 'Newburgh', 'Boonville', 'Mount Vernon', 'Tell City'] },
+  MI: { zone: 'America/Menominee', cities: ['Menominee', 'Iron Mountain', 'Kingsford', 'Ironwood', 'Iron River', 'Bessemer', 'Crystal Falls', 'Norway'] },
+  ND: { zone: 'America/Denver', cities: ['Dickinson', 'Bowman', 'Beach', 'Mott', 'Hettinger', 'New England', 'Belfield'] },
+  SD: { zone: 'America/Denver', cities: ['Rapid City', 'Spearfish', 'Sturgis', 'Belle Fourche', 'Lead', 'Deadwood', 'Hot Springs', 'Custer', 'Box Elder', 'Wall', 'Hill City', 'Keystone'] },
+  NE: { zone: 'America/Denver', cities: ['Scottsbluff', 'Gering', 'Alliance', 'Sidney', 'Chadron', 'Ogallala', 'Kimball', 'Bridgeport', 'Mitchell'] },
+  KS: { zone: 'America/Denver', cities: ['Sharon Springs', 'Tribune', 'Syracuse', 'Coolidge'] },
+  OR: { zone: 'America/Boise', cities: ['Ontario', 'Nyssa', 'Vale'] },
+  ID: { zone: 'America/Los_Angeles', cities: ["Coeur d'Alene", 'Post Falls', 'Hayden', 'Rathdrum', 'Sandpoint', 'Lewiston', 'Moscow', 'Bonners Ferry', 'Kellogg', 'Wallace', 'Grangeville'] }
+};
+
+// Work out the IANA time zone of an event: an explicit per-venue override wins,
+// then the minority-zone city list for states with several zones, then the
+// state's main zone. stateName is the scraped state category, used when the
+// page has no region.
+function resolveTimezone({ stateAbbr, stateName, city, venue } = {}, venueTimezones = {}) {
+  if (venue) {
+    const override = venueTimezones[venue] || venueTimezones[venue.trim().toLowerCase()];
+    if (override) return override;
+  }
+
+  const state = findState(stateAbbr) || findState(stateName);
+  if (!state) return '';
+
+  const cityZone = CITY_TIMEZONES[state.abbr];
+  if (cityZone && city) {
+    const needle = city.trim().toLowerCase();
+    if (cityZone.cities.some(c => c.toLowerCase() === needle)) {
+      return cityZone.zone;
+    }
+  }
+
+  return state.timezone;
+}
+
+// Parse a clock time ("8:00 am", "8am", "8 p.m.", "20:00", "noon") into HH:MM.
+// defaultMeridiem is used for bare hours like "8" in "8 - 11 pm".
+function parseClockTime(text, defaultMeridiem = '') {
+  if (!text) return '';
+  const cleaned = String(text).trim().toLowerCase().replace(/\./g, '');
+
+  if (/^noon\b/.test(cleaned)) return '12:00';
+  if (/^midnight\b/.test(cleaned)) return '00:00';
+
+  const match = cleaned.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?\b/);
+  if (!match) return '';
+
+  let hours = +match[1];
+  const minutes = match[2] ? +match[2] : 0;
+  const meridiem = (match[3] || defaultMeridiem || '').charAt(0);
+
+  if (minutes > 59 || hours > 23) return '';
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return '';
+    if (meridiem === 'p' && hours !== 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+  }
+
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+function meridiemOf(text) {
+  const match = String(text || '').toLowerCase().replace(/\./g, '').match(/\b(am|pm|a|p)\s*$/);
+  return match ? match[1].charAt(0) + 'm' : '';
+}
+
+// Split a time range on any kind of dash or "to"/"until", keeping the raw halves
+function splitTimeRange(text) {
+  const cleaned = String(text || '').replace(/\s+/g, ' ').trim();
+  const parts = cleaned.split(/\s*(?:[-‐-―−]+|\bto\b|\buntil\b|\btill\b)\s*/i).filter(Boolean);
+
+  if (parts.length >= 2) {
+    return { start: parts[0], end: parts[parts.length - 1] };
+  }
+  return { start: cleaned, end: '' };
+}
+
+// Parse the time text of an event into 24h start/end times.
+// endsNextDay is set for ranges like "8:00 pm - 2:00 am".
+function parseTimeRange(text) {
+  const result = { startTime24: '', endTime24: '', allDay: false, endsNextDay: false };
+  if (!text) return result;
+
+  if (/\ball[\s-]*day\b/i.test(text)) {
+    result.allDay = true;
+    return result;
+  }
+
+  // "May 4 @ 8:00 am - 5:00 pm": the date before each "@" isn't part of the time
+  const { start, end } = splitTimeRange(String(text).replace(/[^@\-‐-―−]*@\s*/g, ''));
+  const endMeridiem = meridiemOf(end);
+
+  result.endTime24 = parseClockTime(end);
+  result.startTime24 = parseClockTime(start);
+
+  // "8 - 11 pm": the start borrows the end's am/pm unless that puts it after the end
+  if (!meridiemOf(start) && endMeridiem && /^\d{1,2}(:\d{2})?$/.test(start.trim())) {
+    const borrowed = parseClockTime(start, endMeridiem);
+    const flipped = parseClockTime(start, endMeridiem === 'pm' ? 'am' : 'pm');
+    result.startTime24 = borrowed <= result.endTime24 ? borrowed : flipped;
+  }
+
+  if (result.startTime24 && result.endTime24 && result.endTime24 <= result.startTime24) {
+    result.endsNextDay = true;
+  }
+
+  return result;
+}
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Offset of a time zone from UTC, in minutes, at the given instant
+function zoneOffsetMinutes(timeZone, utcMs) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(utcMs)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+  return Math.round((asUtc - utcMs) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Turn a local date + time in a time zone into { local, utc } ISO timestamps,
+// e.g. { local: '2025-05-04T08:00:00-05:00', utc: '2025-05-04T13:00:00.000Z' }
+function toTimestamps(isoDate, time24, timeZone) {
+  if (!isoDate || !time24 || !timeZone) return { local: '', utc: '' };
+
+  const [hours, minutes] = time24.split(':').map(Number);
+  const wallClock = Date.UTC(+isoDate.slice(0, 4), +isoDate.slice(5, 7) - 1, +isoDate.slice(8, 10), hours, minutes);
+
+  let offset;
+  try {
+    // Two passes so times right after a DST switch pick up the right offset
+    offset = zoneOffsetMinutes(timeZone, wallClock);
+    offset = zoneOffsetMinutes(timeZone, wallClock - offset * 60000);
+  } catch (e) {
+    return { local: '', utc: '' };
+  }
+
+  const utcMs = wallClock - offset * 60000;
+  return {
+    local: `${isoDate}T${time24}:00${formatOffset(offset)}`,
+    utc: new Date(utcMs).toISOString()
+  };
+}
+
+// Combine normalized dates, the raw time text and the location into the full
+// set of time columns for a record
+function buildEventTimes({ startDate, endDate, timeText, timezone }) {
+  const times = parseTimeRange(timeText);
+  const result = {
+    startTime24: times.startTime24,
+    endTime24: times.endTime24,
+    allDay: times.allDay,
+    timezone: timezone || '',
+    startDateTime: '',
+    endDateTime: '',
+    startUtc: '',
+    endUtc: ''
+  };
+
+  if (!startDate) return result;
+
+  let endDay = endDate || startDate;
+  let startTime = times.startTime24;
+  let endTime = times.endTime24;
+
+  if (times.allDay) {
+    // All-day events run from midnight to midnight after the last day
+    startTime = '00:00';
+    endTime = '00:00';
+    endDay = addDays(endDay, 1);
+  } else if (times.endsNextDay && endDay === startDate) {
+    endDay = addDays(endDay, 1);
+  }
+
+  const start = toTimestamps(startDate, startTime, timezone);
+  const end = toTimestamps(endDay, endTime, timezone);
+
+  result.startDateTime = start.local;
+  result.startUtc = start.utc;
+  result.endDateTime = end.local;
+  result.endUtc = end.utc;
+
+  return result;
+}
+
+module.exports = {
+  normalizeDate,
+  normalizeEventDates,
+  parseDateParts,
+  inferYear,
+  parseClockTime,
+  parseTimeRange,
+  splitTimeRange,
+  resolveTimezone,
+  toTimestamps,
+  buildEventTimes
+};
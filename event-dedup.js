@@ -0,0 +1,273 @@
+const { distanceMiles } = require('./event-search');
+const { validCoordinates } = require('./geocoder');
+const { CONTENT_FIELDS } = require('./event-changes');
+
+// Finds events that are probably the same show: listed under two states (border
+// towns) or posted twice with slightly different titles. Pairs need overlapping
+// dates, the same place and similar titles. Users can confirm a cluster or split
+// it; those decisions are kept per pair of links and override the heuristics.
+
+const TITLE_THRESHOLD = 0.5;       // Title similarity needed when only the city matches
+const SAME_VENUE_THRESHOLD = 0.35; // ...and when the venue matches too
+const NEARBY_MILES = 3;
+
+// Words that say nothing about which show it is
+const TITLE_STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'of', 'at', 'in', 'on', 'for', 'to', 'with',
+  'annual', 'car', 'cars', 'show', 'shows', 'cruise', 'cruisein', 'cruise-in', 'event'
+]);
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Meaningful words of a title: no years, ordinals ("5th") or filler words
+function titleTokens(title) {
+  return normalizeText(title)
+    .split(' ')
+    .filter(word => word &&
+      !TITLE_STOPWORDS.has(word) &&
+      !/^(19|20)\d\d$/.test(word) &&
+      !/^\d+(st|nd|rd|th)$/.test(word));
+}
+
+function bigrams(text) {
+  const grams = new Set();
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.add(text.slice(i, i + 2));
+  }
+  return grams;
+}
+
+// Dice coefficient of two sets
+function dice(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+// 0..1. The better of word overlap and character bigram overlap, so both
+// reordered words and small typos still score high.
+function textSimilarity(tokensA, tokensB) {
+  const words = dice(new Set(tokensA), new Set(tokensB));
+  const characters = dice(bigrams(tokensA.join(' ')), bigrams(tokensB.join(' ')));
+  return Math.max(words, characters);
+}
+
+function titleSimilarity(a, b) {
+  return textSimilarity(titleTokens(a), titleTokens(b));
+}
+
+function venueSimilarity(a, b) {
+  const tokensA = normalizeText(a).split(' ').filter(Boolean);
+  const tokensB = normalizeText(b).split(' ').filter(Boolean);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  return textSimilarity(tokensA, tokensB);
+}
+
+function lastDay(record) {
+  return record.endDate || record.startDate;
+}
+
+function samePlace(a, b) {
+  const venue = venueSimilarity(a.venue, b.venue);
+  if (venue >= 0.8) return { match: true, sameVenue: true };
+
+  const coordsA = validCoordinates(a.latitude, a.longitude);
+  const coordsB = validCoordinates(b.latitude, b.longitude);
+  if (coordsA && coordsB && a.geoPrecision !== 'city' && b.geoPrecision !== 'city' &&
+      distanceMiles(coordsA, coordsB) <= NEARBY_MILES) {
+    return { match: true, sameVenue: false };
+  }
+
+  const cityA = normalizeText(a.city);
+  const cityB = normalizeText(b.city);
+  if (cityA && cityA === cityB && normalizeText(a.stateAbbr) === normalizeText(b.stateAbbr)) {
+    return { match: true, sameVenue: false };
+  }
+
+  return { match: false, sameVenue: false };
+}
+
+// Score (0..1) if the two records look like the same show, otherwise null
+function duplicateScore(a, b) {
+  if (!a.startDate || !b.startDate) return null;
+  if (a.startDate > lastDay(b) || b.startDate > lastDay(a)) return null;
+
+  const place = samePlace(a, b);
+  if (!place.match) return null;
+
+  const score = titleSimilarity(a.eventName, b.eventName);
+  const threshold = place.sameVenue ? SAME_VENUE_THRESHOLD : TITLE_THRESHOLD;
+  return score >= threshold ? score : null;
+}
+
+// Key for a decision about two links (order doesn't matter)
+function pairKey(linkA, linkB) {
+  return linkA < linkB ? `${linkA}\n${linkB}` : `${linkB}\n${linkA}`;
+}
+
+// Minimal union-find over links
+function createGroups(links) {
+  const parent = new Map(links.map(link => [link, link]));
+  const find = link => {
+    while (parent.get(link) !== link) {
+      parent.set(link, parent.get(parent.get(link)));
+      link = parent.get(link);
+    }
+    return link;
+  };
+  return {
+    find,
+    union: (a, b) => parent.set(find(a), find(b))
+  };
+}
+
+// How complete a record is; the most complete one in a cluster is kept
+function completeness(record) {
+  let score = CONTENT_FIELDS.filter(field => String(record[field] || '').trim() !== '').length;
+  if (record.status !== 'removed') score += 10;
+  if (record.geoPrecision === 'address') score += 2;
+  return score;
+}
+
+function pickCanonical(records) {
+  return [...records].sort((a, b) =>
+    completeness(b) - completeness(a) || a.originalLink.localeCompare(b.originalLink))[0];
+}
+
+// Cluster likely duplicates. decisions maps pairKey -> 'same' | 'distinct'.
+// Returns clusters of two or more records:
+// { id, canonicalLink, links, score, confirmed }
+function findDuplicateClusters(records, decisions = new Map()) {
+  const byLink = new Map();
+  records.forEach(record => {
+    if (record.originalLink) byLink.set(record.originalLink, record);
+  });
+
+  const links = Array.from(byLink.keys());
+  const groups = createGroups(links);
+  const scores = new Map();
+
+  // Compare each event with the ones that start before it ends
+  const dated = Array.from(byLink.values())
+    .filter(record => record.startDate)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  for (let i = 0; i < dated.length; i++) {
+    for (let j = i + 1; j < dated.length && dated[j].startDate <= lastDay(dated[i]); j++) {
+      const a = dated[i];
+      const b = dated[j];
+      const key = pairKey(a.originalLink, b.originalLink);
+      if (decisions.get(key) === 'distinct') continue;
+
+      const score = duplicateScore(a, b);
+      if (score !== null) {
+        scores.set(key, score);
+        groups.union(a.originalLink, b.originalLink);
+      }
+    }
+  }
+
+  // Pairs a user said are the same are joined even when the heuristics disagree
+  const sameEdges = [];
+  decisions.forEach((decision, key) => {
+    const [a, b] = key.split('\n');
+    if (decision === 'same' && byLink.has(a) && byLink.has(b)) {
+      sameEdges.push([a, b]);
+      groups.union(a, b);
+    }
+  });
+
+  const members = new Map();
+  links.forEach(link => {
+    const root = groups.find(link);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(link);
+  });
+
+  const clusters = [];
+  members.forEach(clusterLinks => {
+    if (clusterLinks.length < 2) return;
+
+    const canonical = pickCanonical(clusterLinks.map(link => byLink.get(link)));
+    const clusterScores = [];
+    scores.forEach((score, key) => {
+      const [a] = key.split('\n');
+      if (clusterLinks.includes(a)) clusterScores.push(score);
+    });
+
+    // Confirmed when the user's "same" decisions alone connect every member
+    const confirmedGroups = createGroups(clusterLinks);
+    sameEdges
+      .filter(([a, b]) => clusterLinks.includes(a) && clusterLinks.includes(b))
+      .forEach(([a, b]) => confirmedGroups.union(a, b));
+    const confirmed = new Set(clusterLinks.map(link => confirmedGroups.find(link))).size === 1;
+
+    clusters.push({
+      id: canonical.originalLink,
+      canonicalLink: canonical.originalLink,
+      links: [canonical.originalLink, ...clusterLinks.filter(link => link !== canonical.originalLink).sort()],
+      score: clusterScores.length ? Math.round(Math.min(...clusterScores) * 100) / 100 : 1,
+      confirmed
+    });
+  });
+
+  return clusters.sort((a, b) => a.canonicalLink.localeCompare(b.canonicalLink));
+}
+
+// Run the duplicate pass over everything in the database and store the result
+// (duplicateOf on the duplicates, alternateLinks on the record that is kept)
+function updateDuplicateClusters(store) {
+  const clusters = findDuplicateClusters(store.getAllEvents(), store.getDuplicateDecisions());
+  store.applyDuplicateClusters(clusters);
+  return clusters;
+}
+
+// The user agrees the cluster's links are one show
+function confirmCluster(store, links) {
+  const [canonical, ...others] = links;
+  store.setDuplicateDecisions(others.map(link => [canonical, link]), 'same');
+  return updateDuplicateClusters(store);
+}
+
+// The user says a cluster is wrong: either one link doesn't belong (removeLink)
+// or none of the links are the same show
+function splitCluster(store, links, removeLink = null) {
+  const pairs = [];
+  if (removeLink) {
+    links.filter(link => link !== removeLink).forEach(link => pairs.push([removeLink, link]));
+  } else {
+    links.forEach((a, i) => links.slice(i + 1).forEach(b => pairs.push([a, b])));
+  }
+  store.setDuplicateDecisions(pairs, 'distinct');
+  return updateDuplicateClusters(store);
+}
+
+// Records with duplicates folded into their canonical record, which lists the
+// other links in alternateLinks
+function deduplicateRecords(records) {
+  return records.filter(record => !record.duplicateOf);
+}
+
+module.exports = {
+  normalizeText,
+  titleTokens,
+  titleSimilarity,
+  duplicateScore,
+  pairKey,
+  findDuplicateClusters,
+  updateDuplicateClusters,
+  confirmCluster,
+  splitCluster,
+  deduplicateRecords
+};
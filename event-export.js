@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const path = require('path');
+const { toCsv, CSV_COLUMNS } = require('./csv-store');
+
+// Formats events can be exported in. The key is also the file extension.
+const EXPORT_FORMATS = {
+  csv: { name: 'CSV', extensions: ['csv'] },
+  json: { name: 'JSON', extensions: ['json'] },
+  ndjson: { name: 'Newline-delimited JSON', extensions: ['ndjson', 'jsonl'] },
+  ics: { name: 'iCalendar', extensions: ['ics'] },
+  geojson: { name: 'GeoJSON', extensions: ['geojson'] }
+};
+
+// Work out the format from a file name (events.ics -> ics)
+function formatFromPath(filePath) {
+  const extension = path.extname(filePath || '').slice(1).toLowerCase();
+  return Object.keys(EXPORT_FORMATS).find(format =>
+    EXPORT_FORMATS[format].extensions.includes(extension)) || null;
+}
+
+// Column definitions for a list of column ids, in the order given. All columns
+// when no list is given.
+function resolveColumns(ids) {
+  if (!ids || ids.length === 0) return CSV_COLUMNS;
+
+  return ids.map(id => {
+    const column = CSV_COLUMNS.find(c => c.id === id);
+    if (!column) {
+      const error = new Error(`Unknown column "${id}". Expected one of: ${CSV_COLUMNS.map(c => c.id).join(', ')}`);
+      error.code = 'UNKNOWN_COLUMN';
+      throw error;
+    }
+    return column;
+  });
+}
+
+// A record as a plain object for the JSON formats, limited to the given columns
+// (in their order). fieldSources is parsed back into an object and allDay into
+// a boolean.
+function toPlainEvent(record, columns = CSV_COLUMNS) {
+  const event = {};
+  columns.forEach(({ id }) => {
+    event[id] = record[id] === undefined ? '' : record[id];
+  });
+
+  if (typeof event.fieldSources === 'string') {
+    try {
+      event.fieldSources = JSON.parse(event.fieldSources || '{}');
+    } catch (e) {
+      event.fieldSources = {};
+    }
+  }
+  if (event.allDay !== undefined) {
+    event.allDay = event.allDay === true || event.allDay === 'true';
+  }
+  if (typeof event.alternateLinks === 'string') {
+    try {
+      event.alternateLinks = JSON.parse(event.alternateLinks || '[]');
+    } catch (e) {
+      event.alternateLinks = [];
+    }
+  }
+
+  return event;
+}
+
+function toJson(records, columns) {
+  return JSON.stringify(records.map(record => toPlainEvent(record, columns)), null, 2) + '\n';
+}
+
+function toNdjson(records, columns) {
+  return records.map(record => JSON.stringify(toPlainEvent(record, columns))).join('\n') + (records.length ? '\n' : '');
+}
+
+function coordinates(record) {
+  const latitude = parseFloat(record.latitude);
+  const longitude = parseFloat(record.longitude);
+  if (!isFinite(latitude) || !isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+// One Point feature per event that has coordinates. Events without them are left out.
+function toGeoJson(records, columns) {
+  const features = [];
+  records.forEach(record => {
+    const coords = coordinates(record);
+    if (!coords) return;
+
+    const { latitude, longitude, ...properties } = toPlainEvent(record, columns);
+    features.push({
+      type: 'Feature',
+      id: record.originalLink,
+      geometry: {
+        type: 'Point',
+        coordinates: [coords.longitude, coords.latitude]
+      },
+      properties
+    });
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2) + '\n';
+}
+
+// --- iCalendar (RFC 5545) ---
+
+// Escape a TEXT value (backslash, semicolon, comma and newlines)
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line at 75 octets, without splitting a UTF-8 character
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// 2027-06-01T14:00:00.000Z -> 20270601T140000Z
+function icsUtc(isoTimestamp) {
+  return new Date(isoTimestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 2027-06-01 -> 20270601
+function icsDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function nextDay(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// DTSTART/DTEND lines. Events with a known time use UTC timestamps; the rest
+// become all-day events (DTEND is the day after the last day, exclusive).
+function icsEventDates(record) {
+  const isAllDay = record.allDay === true || record.allDay === 'true';
+
+  if (!isAllDay && record.startUtc) {
+    const lines = [`DTSTART:${icsUtc(record.startUtc)}`];
+    if (record.endUtc) lines.push(`DTEND:${icsUtc(record.endUtc)}`);
+    return lines;
+  }
+
+  const lastDay = record.endDate || record.startDate;
+  return [
+    `DTSTART;VALUE=DATE:${icsDate(record.startDate)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDay(lastDay))}`
+  ];
+}
+
+function icsLocation(record) {
+  const cityLine = [record.city, [record.stateAbbr, record.postalCode].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+  return [record.venue, record.streetAddress, cityLine].filter(Boolean).join(', ');
+}
+
+function toIcs(records) {
+  const stamp = icsUtc(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Car Cruise Finder Scraper//Car Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Car Shows'
+  ];
+
+  records.forEach(record => {
+    // Events without a date can't go on a calendar
+    if (!record.startDate) return;
+
+    const uid = crypto.createHash('sha1').update(record.originalLink || record.eventName || '').digest('hex');
+    const description = [
+      record.description,
+      record.organizer && `Organizer: ${record.organizer}`,
+      record.price && `Price: ${record.price}`,
+      record.originalLink
+    ].filter(Boolean).join('\n\n');
+    const coords = coordinates(record);
+
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${uid}@carcruisefinder.com`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(...icsEventDates(record));
+    lines.push(`SUMMARY:${escapeIcsText(record.eventName)}`);
+    const location = icsLocation(record);
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (coords) lines.push(`GEO:${coords.latitude};${coords.longitude}`);
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (record.originalLink) lines.push(`URL:${record.originalLink}`);
+    lines.push(`STATUS:${record.status === 'removed' ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Format records as the text of an export file. columnIds picks and orders the
+// columns (all of them by default); calendars always use the fields they need.
+function formatEvents(records, format, columnIds = null) {
+  const columns = resolveColumns(columnIds);
+  switch (format) {
+    case 'csv': return toCsv(records, columns);
+    case 'json': return toJson(records, columns);
+    case 'ndjson': return toNdjson(records, columns);
+    case 'ics': return toIcs(records);
+    case 'geojson': return toGeoJson(records, columns);
+    default: {
+      const error = new Error(`Unknown export format "${format}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      error.code = 'UNKNOWN_FORMAT';
+      throw error;
+    }
+  }
+}
+
+// How many of the records end up in an export (ics needs a date, geojson coordinates)
+function countExported(records, format) {
+  if (format === 'ics') return records.filter(record => record.startDate).length;
+  if (format === 'geojson') return records.filter(record => coordinates(record)).length;
+  return records.length;
+}
+
+// Write records to filePath. The format defaults to the one matching the file
+// extension. Returns the format used and how many events were written/skipped.
+async function exportEvents(records, filePath, format = formatFromPath(filePath) || 'csv', options = {}) {
+  const content = formatEvents(records, format, options.columns);
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+
+  const exported = countExported(records, format);
+  return { format, exported, skipped: records.length - exported };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatFromPath,
+  formatEvents,
+  resolveColumns,
+  exportEvents
+};
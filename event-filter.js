@@ -0,0 +1,147 @@
+const { findState } = require('./us-states');
+
+// Filters for exports: which states, which dates, keywords to include or leave
+// out (matched on name and description) and whether to keep past events.
+
+// "swap meet, cars & coffee" -> ['swap meet', 'cars & coffee']
+function parseList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Does the record belong to one of the given states (names or abbreviations)?
+function matchesState(record, states) {
+  const wanted = states.map(state => {
+    const known = findState(state);
+    return known ? known.abbr : String(state).trim().toUpperCase();
+  });
+
+  const recordState = findState(record.stateAbbr) || findState(record.state);
+  const candidates = [
+    recordState && recordState.abbr,
+    String(record.state || '').trim().toUpperCase()
+  ].filter(Boolean);
+
+  return candidates.some(candidate => wanted.includes(candidate));
+}
+
+function matchesKeyword(record, keywords) {
+  const text = `${record.eventName || ''} ${record.description || ''}`.toLowerCase();
+  return keywords.some(keyword => text.includes(keyword.toLowerCase()));
+}
+
+// Keep the records matching every given filter:
+// { states, from, to, include, exclude, upcomingOnly, today }
+function filterEvents(records, filters = {}) {
+  const states = parseList(filters.states);
+  const include = parseList(filters.include);
+  const exclude = parseList(filters.exclude);
+  const today = filters.today || new Date().toISOString().slice(0, 10);
+
+  return records.filter(record => {
+    const firstDay = record.startDate;
+    const lastDay = record.endDate || record.startDate;
+
+    if (states.length > 0 && !matchesState(record, states)) return false;
+    if ((filters.from || filters.to) && !firstDay) return false;
+    if (filters.from && lastDay < filters.from) return false;
+    if (filters.to && firstDay > filters.to) return false;
+    if (filters.upcomingOnly && (record.status === 'removed' || (lastDay && lastDay < today))) return false;
+    if (include.length > 0 && !matchesKeyword(record, include)) return false;
+    if (exclude.length > 0 && matchesKeyword(record, exclude)) return false;
+
+    return true;
+  });
+}
+
+// Columns the event browser can sort and filter on
+const BROWSER_COLUMNS = [
+  'eventName', 'startDate', 'startTime', 'venue', 'city', 'stateAbbr', 'organizer', 'price', 'status'
+];
+
+// Fields the browser's free-text search looks in
+const SEARCH_FIELDS = ['eventName', 'description', 'venue', 'city', 'stateAbbr', 'organizer', 'price'];
+
+function browserValue(record, column) {
+  // The time column is stored as start-time
+  return String((column === 'startTime' ? record['start-time'] : record[column]) || '');
+}
+
+// One page of events for the browser: states (names or abbreviations),
+// free-text search, per-column filters (substring, any case), sorting and paging.
+// { states, search, columnFilters: { column: text }, sortBy, sortDirection, page, pageSize }
+// -> { rows, total, page, pageSize, pageCount }
+function queryEvents(records, query = {}) {
+  const states = parseList(query.states);
+  const search = String(query.search || '').trim().toLowerCase();
+  const columnFilters = Object.entries(query.columnFilters || {})
+    .filter(([column, text]) => BROWSER_COLUMNS.includes(column) && String(text || '').trim())
+    .map(([column, text]) => [column, String(text).trim().toLowerCase()]);
+
+  const matching = records.filter(record => {
+    if (states.length > 0 && !matchesState(record, states)) return false;
+    if (search && !SEARCH_FIELDS.some(field => String(record[field] || '').toLowerCase().includes(search))) {
+      return false;
+    }
+    return columnFilters.every(([column, text]) => browserValue(record, column).toLowerCase().includes(text));
+  });
+
+  const sortBy = BROWSER_COLUMNS.includes(query.sortBy) ? query.sortBy : 'startDate';
+  const direction = query.sortDirection === 'desc' ? -1 : 1;
+  matching.sort((a, b) => {
+    const first = browserValue(a, sortBy);
+    const second = browserValue(b, sortBy);
+    // Empty values go last whichever way we sort
+    if (!first !== !second) return first ? -1 : 1;
+    return direction * first.localeCompare(second, undefined, { numeric: true, sensitivity: 'base' }) ||
+      browserValue(a, 'eventName').localeCompare(browserValue(b, 'eventName'));
+  });
+
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || 25, 1), 500);
+  const pageCount = Math.max(1, Math.ceil(matching.length / pageSize));
+  const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), pageCount);
+
+  return {
+    rows: matching.slice((page - 1) * pageSize, page * pageSize),
+    total: matching.length,
+    page,
+    pageSize,
+    pageCount
+  };
+}
+
+// Events running between from and to (ISO dates) for the calendar, optionally
+// only in some states. Duplicates are left out so a show isn't counted twice
+// on a crowded weekend. Sorted by date, then start time.
+function calendarEvents(records, { from, to, states } = {}) {
+  return filterEvents(records, { from, to, states })
+    .filter(record => record.startDate && !record.duplicateOf)
+    .map(record => {
+      const known = findState(record.stateAbbr) || findState(record.state);
+      return {
+        link: record.originalLink,
+        eventName: record.eventName,
+        startDate: record.startDate,
+        endDate: record.endDate || record.startDate,
+        startTime: record['start-time'],
+        startTime24: record.startTime24,
+        endTime24: record.endTime24,
+        allDay: record.allDay === true || record.allDay === 'true' || !record.startTime24,
+        venue: record.venue,
+        city: record.city,
+        stateAbbr: known ? known.abbr : record.stateAbbr,
+        status: record.status
+      };
+    })
+    .sort((a, b) => a.startDate.localeCompare(b.startDate) ||
+      (a.allDay ? '' : a.startTime24).localeCompare(b.allDay ? '' : b.startTime24) ||
+      a.eventName.localeCompare(b.eventName));
+}
+
+module.exports = {
+  parseList,
+  filterEvents,
+  queryEvents,
+  calendarEvents,
+  BROWSER_COLUMNS
+};
@@ -0,0 +1,352 @@
+const cheerio = require('cheerio');
+const {
+  normalizeEventDates,
+  splitTimeRange,
+  resolveTimezone,
+  buildEventTimes
+} = require('./event-datetime');
+
+// Pure HTML -> data functions for carcruisefinder.com pages. Nothing in here
+// touches the network or the file system, so they can be run against saved pages.
+
+const EVENT_LINK_SELECTOR = 'h3.tribe-events-calendar-list__event-title a.tribe-events-calendar-list__event-title-link';
+
+// Parse a state listing page into its event links and pagination info
+function parseListingPage(html, pageUrl = '') {
+  const $ = cheerio.load(html);
+
+  const eventLinks = [];
+  $(EVENT_LINK_SELECTOR).each((i, el) => {
+    const href = $(el).attr('href');
+    if (href && !eventLinks.includes(href)) {
+      eventLinks.push(href);
+    }
+  });
+
+  // The Events Calendar list view renders prev/next links in its nav bar.
+  // hasNextPage is null when the nav isn't on the page at all, so callers can
+  // tell "last page" apart from "markup changed".
+  const nav = $('.tribe-events-c-nav, .tribe-events-calendar-list-nav').first();
+  const nextLink = $('a.tribe-events-c-nav__next, .tribe-events-c-nav__list-item--next a').first();
+
+  let nextPageUrl = nextLink.attr('href') || null;
+  if (nextPageUrl && pageUrl) {
+    try {
+      nextPageUrl = new URL(nextPageUrl, pageUrl).toString();
+    } catch (e) {
+      // Keep the raw href
+    }
+  }
+
+  let hasNextPage = null;
+  if (nextPageUrl) {
+    hasNextPage = true;
+  } else if (nav.length > 0) {
+    hasNextPage = false;
+  }
+
+  return {
+    eventLinks,
+    nextPageUrl,
+    hasNextPage
+  };
+}
+
+// Collect the description text between the "action-buttons" and "custom-event-message" divs
+function extractDescription($) {
+  const actionButtonsDiv = $('.action-buttons');
+  if (actionButtonsDiv.length === 0) return '';
+
+  // Start gathering content after the action-buttons div
+  let currentElement = actionButtonsDiv[0].nextSibling;
+  const descriptionParts = [];
+
+  // Continue until we reach the custom-event-message div or run out of elements
+  while (currentElement &&
+    !($(currentElement).hasClass && $(currentElement).hasClass('custom-event-message'))) {
+
+    // Element and text nodes both contribute their text content
+    if (currentElement.type === 'tag' || currentElement.type === 'text') {
+      const text = $(currentElement).text().trim();
+      if (text) {
+        descriptionParts.push(text);
+      }
+    }
+
+    // Move to the next sibling
+    currentElement = currentElement.nextSibling;
+  }
+
+  // Combine all description parts and clean up
+  return descriptionParts.join(' ')
+    .replace(/\n+/g, ' ')  // Replace newlines with spaces
+    .replace(/\s+/g, ' ')  // Normalize spaces
+    .trim();
+}
+
+// Fields every source can provide. Order matters: it's the order fieldSources lists them in.
+const SOURCE_FIELDS = [
+  'eventName', 'venue', 'streetAddress', 'city', 'stateAbbr', 'postalCode', 'country',
+  'latitude', 'longitude', 'date', 'endDateText', 'timeText', 'organizer', 'price',
+  'image', 'description'
+];
+
+// Extract fields from the theme's markup with CSS selectors
+function extractCssFields($) {
+  // Extract event name
+  const eventName = $('span.evnt_title h1.tribe-events-single-event-title').text().trim();
+
+  // Extract venue and location from meta_data
+  const venue = $('dd.tribe-venue').text().trim();
+
+  // Extract address components
+  const addressElement = $('dd.tribe-venue-location address.tribe-events-address span.tribe-address');
+  const streetAddress = addressElement.find('.tribe-street-address').text().trim();
+  const city = addressElement.find('.tribe-locality').text().trim();
+  const stateAbbr = addressElement.find('.tribe-region').attr('title') ||
+    addressElement.find('.tribe-region').text().trim();
+  const postalCode = addressElement.find('.tribe-postal-code').text().trim();
+  const country = addressElement.find('.tribe-country-name').text().trim();
+
+  // Extract raw start/end dates
+  const dateElement = $('abbr.tribe-events-abbr.tribe-events-start-date');
+  const date = dateElement.attr('title') || dateElement.text().trim();
+  const endDateElement = $('abbr.tribe-events-abbr.tribe-events-end-date');
+  const endDateText = endDateElement.attr('title') || endDateElement.text().trim();
+
+  // Extract time
+  // Check if we have a time range with the recurring event time class
+  const timeRangeElement = $('div.tribe-events-abbr.tribe-events-start-time .tribe-recurring-event-time');
+  // Check for single time format
+  const singleTimeElement = $('div.tribe-events-abbr.tribe-events-start-time.published.dtstart');
+
+  let timeText = '';
+  if (timeRangeElement.length > 0) {
+    timeText = timeRangeElement.text().trim();
+  } else if (singleTimeElement.length > 0) {
+    timeText = singleTimeElement.text().trim();
+  }
+
+  return {
+    eventName,
+    venue,
+    streetAddress,
+    city,
+    stateAbbr,
+    postalCode,
+    country,
+    date,
+    endDateText,
+    timeText,
+    organizer: $('dd.tribe-organizer').first().text().trim(),
+    description: extractDescription($)
+  };
+}
+
+// Decode entities and strip tags from a string found in structured data. The
+// Events Calendar escapes the markup in its JSON-LD ("&lt;p&gt;"), so it can
+// take a second pass to get down to the text.
+function cleanText(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  for (let pass = 0; pass < 2 && /[<&]/.test(text); pass++) {
+    text = cheerio.load(`<div>${text}</div>`)('div').text();
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function firstOf(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function isEventType(type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => typeof t === 'string' && /Event$/.test(t));
+}
+
+// Turn a pair of ISO datetimes into the "HH:MM - HH:MM" text the time parser understands
+function timeTextFromIso(start, end) {
+  const startMatch = String(start || '').match(/T(\d{2}:\d{2})/);
+  if (!startMatch) return '';
+  const endMatch = String(end || '').match(/T(\d{2}:\d{2})/);
+  return endMatch ? `${startMatch[1]} - ${endMatch[1]}` : startMatch[1];
+}
+
+// Find the schema.org Event in the page's application/ld+json blocks
+function findJsonLdEvent($) {
+  const candidates = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    let data;
+    try {
+      data = JSON.parse($(el).contents().text());
+    } catch (e) {
+      return; // Broken block, try the next one
+    }
+
+    const queue = Array.isArray(data) ? [...data] : [data];
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (!item || typeof item !== 'object') continue;
+      if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+      if (isEventType(item['@type'])) candidates.push(item);
+    }
+  });
+
+  return candidates[0] || null;
+}
+
+// Extract fields from the JSON-LD Event block The Events Calendar adds to single event pages
+function extractJsonLdFields($) {
+  const event = findJsonLdEvent($);
+  if (!event) return {};
+
+  const location = firstOf(event.location) || {};
+  const address = typeof location.address === 'string'
+    ? { streetAddress: location.address }
+    : (location.address || {});
+  const geo = location.geo || {};
+  const organizer = firstOf(event.organizer) || {};
+  const offers = firstOf(event.offers) || {};
+  const image = firstOf(event.image);
+
+  let price = '';
+  if (offers.price !== undefined && offers.price !== '') {
+    price = [offers.price, offers.priceCurrency].filter(Boolean).join(' ');
+  }
+
+  return {
+    eventName: cleanText(event.name),
+    venue: cleanText(location.name),
+    streetAddress: cleanText(address.streetAddress),
+    city: cleanText(address.addressLocality),
+    stateAbbr: cleanText(address.addressRegion),
+    postalCode: cleanText(address.postalCode),
+    country: cleanText(typeof address.addressCountry === 'object' ? address.addressCountry.name : address.addressCountry),
+    latitude: geo.latitude !== undefined ? String(geo.latitude) : '',
+    longitude: geo.longitude !== undefined ? String(geo.longitude) : '',
+    date: cleanText(event.startDate),
+    endDateText: cleanText(event.endDate),
+    timeText: timeTextFromIso(event.startDate, event.endDate),
+    organizer: cleanText(typeof organizer === 'string' ? organizer : organizer.name),
+    price,
+    image: cleanText(typeof image === 'object' && image ? image.url : image),
+    description: cleanText(event.description)
+  };
+}
+
+// Extract fields from hCalendar / h-event microformats and schema.org microdata
+function extractMicroformatFields($) {
+  const root = $('.vevent, .h-event, [itemtype$="schema.org/Event"]').first();
+  if (root.length === 0) return {};
+
+  const pick = (selector, attrs = ['title', 'datetime', 'content']) => {
+    const el = root.find(selector).first();
+    if (el.length === 0) return '';
+    for (const attr of attrs) {
+      if (el.attr(attr)) return el.attr(attr).trim();
+    }
+    return el.text().replace(/\s+/g, ' ').trim();
+  };
+
+  const date = pick('.dtstart, .dt-start, [itemprop="startDate"]');
+  const endDateText = pick('.dtend, .dt-end, [itemprop="endDate"]');
+
+  return {
+    eventName: pick('.summary, .p-name, [itemprop="name"]', ['content']),
+    venue: pick('.location .fn, .p-location, [itemprop="location"] [itemprop="name"]', ['content']),
+    streetAddress: pick('.street-address, .p-street-address, [itemprop="streetAddress"]', ['content']),
+    city: pick('.locality, .p-locality, [itemprop="addressLocality"]', ['content']),
+    stateAbbr: pick('.region, .p-region, [itemprop="addressRegion"]', ['title', 'content']),
+    postalCode: pick('.postal-code, .p-postal-code, [itemprop="postalCode"]', ['content']),
+    latitude: pick('.geo .latitude, .p-latitude, [itemprop="latitude"]'),
+    longitude: pick('.geo .longitude, .p-longitude, [itemprop="longitude"]'),
+    date,
+    endDateText,
+    timeText: timeTextFromIso(date, endDateText)
+  };
+}
+
+// Merge field by field: each field comes from the first source that has a value.
+// Returns the merged fields and a { field: sourceName } map.
+function mergeSources(sources) {
+  const merged = {};
+  const fieldSources = {};
+
+  for (const field of SOURCE_FIELDS) {
+    merged[field] = '';
+    for (const { name, fields } of sources) {
+      const value = fields[field];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        merged[field] = String(value).trim();
+        fieldSources[field] = name;
+        break;
+      }
+    }
+  }
+
+  return { merged, fieldSources };
+}
+
+// Parse a single event page into the fields of a scraped record.
+// Options:
+//   referenceDate  - when the page was fetched, used to fill in missing years
+//   stateName      - the state category the event was listed under
+//   venueTimezones - { venue name: IANA zone } overrides for multi-zone states
+//   primarySource  - 'css' (default) or 'jsonld': which source wins when both have a field
+function parseEventPage(html, options = {}) {
+  const referenceDate = options.referenceDate || new Date();
+  const $ = cheerio.load(html);
+
+  const css = { name: 'css', fields: extractCssFields($) };
+  const jsonld = { name: 'jsonld', fields: extractJsonLdFields($) };
+  const microformat = { name: 'microformat', fields: extractMicroformatFields($) };
+
+  const order = options.primarySource === 'jsonld'
+    ? [jsonld, css, microformat]
+    : [css, jsonld, microformat];
+  const { merged, fieldSources } = mergeSources(order);
+
+  // Normalized ISO start/end dates alongside the raw date text
+  const { startDate, endDate } = normalizeEventDates(merged.date, merged.endDateText, referenceDate);
+
+  // Raw halves of the range, plus 24h times and full timestamps in the venue's time zone
+  const { start: startTime, end: endTime } = splitTimeRange(merged.timeText);
+  const timezone = resolveTimezone({
+    stateAbbr: merged.stateAbbr,
+    stateName: options.stateName,
+    city: merged.city,
+    venue: merged.venue
+  }, options.venueTimezones);
+  const times = buildEventTimes({ startDate, endDate, timeText: merged.timeText, timezone });
+
+  return {
+    eventName: merged.eventName,
+    venue: merged.venue,
+    streetAddress: merged.streetAddress,
+    city: merged.city,
+    stateAbbr: merged.stateAbbr,
+    postalCode: merged.postalCode,
+    country: merged.country,
+    latitude: merged.latitude,
+    longitude: merged.longitude,
+    date: merged.date,
+    startDate,
+    endDate,
+    'start-time': startTime,
+    'end-time': endTime,
+    ...times,
+    organizer: merged.organizer,
+    price: merged.price,
+    image: merged.image,
+    description: merged.description,
+    fieldSources
+  };
+}
+
+module.exports = {
+  parseListingPage,
+  parseEventPage,
+  mergeSources,
+  EVENT_LINK_SELECTOR
+};
@@ -0,0 +1,91 @@
+const zipcodes = require('zipcodes');
+const { GazetteerGeocoder, validCoordinates } = require('./geocoder');
+const { findState } = require('./us-states');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Great-circle distance between two { latitude, longitude } points
+function distanceMiles(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+// Turn "62701", "Springfield, IL" or "Springfield IL" into a point, using the
+// offline gazetteer
+async function resolveLocation(text) {
+  const query = String(text || '').trim();
+  let result = null;
+  let label = query;
+
+  if (/^\d{5}(-\d{4})?$/.test(query)) {
+    const match = zipcodes.lookup(query.slice(0, 5));
+    if (match) {
+      label = `${match.city}, ${match.state} ${match.zip}`;
+      result = validCoordinates(match.latitude, match.longitude);
+    }
+  } else {
+    // The state is whatever follows the last comma, or the last word(s)
+    const parts = query.split(',').map(part => part.trim()).filter(Boolean);
+    let city = parts.slice(0, -1).join(', ');
+    let state = parts.length > 1 ? findState(parts[parts.length - 1]) : null;
+
+    if (!state) {
+      const words = query.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+      for (let take = Math.min(3, words.length - 1); take >= 1 && !state; take--) {
+        state = findState(words.slice(-take).join(' '));
+        if (state) city = words.slice(0, -take).join(' ');
+      }
+    }
+
+    if (state && city) {
+      result = await new GazetteerGeocoder().geocode({ city, stateAbbr: state.abbr });
+      label = `${city}, ${state.abbr}`;
+    }
+  }
+
+  if (!result) {
+    const error = new Error(`Could not find "${query}". Use a 5-digit ZIP code or "City, ST".`);
+    error.code = 'UNKNOWN_LOCATION';
+    throw error;
+  }
+
+  return { latitude: result.latitude, longitude: result.longitude, label };
+}
+
+// Events within `miles` of origin, optionally limited to those running between
+// from and to (ISO dates, inclusive). Sorted by distance, then start date.
+// Removed events and events without coordinates are left out.
+function searchNearby(records, { origin, miles, from, to }) {
+  const results = [];
+
+  records.forEach(record => {
+    if (record.status === 'removed') return;
+
+    const coords = validCoordinates(record.latitude, record.longitude);
+    if (!coords) return;
+
+    const firstDay = record.startDate;
+    const lastDay = record.endDate || record.startDate;
+    if ((from || to) && !firstDay) return;
+    if (from && lastDay < from) return;
+    if (to && firstDay > to) return;
+
+    const distance = distanceMiles(origin, coords);
+    if (distance > miles) return;
+
+    results.push({ ...record, distanceMiles: Math.round(distance * 10) / 10 });
+  });
+
+  return results.sort((a, b) =>
+    a.distanceMiles - b.distanceMiles || (a.startDate || '').localeCompare(b.startDate || ''));
+}
+
+module.exports = {
+  distanceMiles,
+  resolveLocation,
+  searchNearby
+};
@@ -0,0 +1,451 @@
+const initSqlJs = require('sql.js');
+const fs = require('fs').promises;
+const path = require('path');
+const { CSV_COLUMNS, readCsvRecords } = require('./csv-store');
+const { pairKey } = require('./event-dedup');
+
+// Local SQLite database that holds every scraped event. It is the source of
+// truth; CSV and other formats are exported from it on demand.
+//
+// sql.js keeps the database in memory, so changes are persisted by save(),
+// which writes a temp file and renames it over the old one. A crash can lose
+// the last unsaved batch, but never leaves a half-written database.
+
+const SCHEMA_VERSION = 5;
+
+// Columns added to other tables after they were first created, with their types
+const ADDED_TABLE_COLUMNS = {
+  scrape_status: { last_error: 'TEXT' },
+  runs: { trigger: "TEXT DEFAULT 'manual'" }
+};
+
+// Record field -> column name (eventName -> event_name, 'start-time' -> start_time)
+function toColumnName(field) {
+  return field
+    .replace(/-/g, '_')
+    .replace(/([a-z])([A-Z0-9])/g, '$1_$2')
+    .toLowerCase();
+}
+
+const EVENT_FIELDS = CSV_COLUMNS.map(column => column.id);
+const EVENT_COLUMNS = EVENT_FIELDS.map(toColumnName);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS venues (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL DEFAULT '',
+    street_address TEXT NOT NULL DEFAULT '',
+    city TEXT NOT NULL DEFAULT '',
+    state_abbr TEXT NOT NULL DEFAULT '',
+    postal_code TEXT,
+    country TEXT,
+    latitude TEXT,
+    longitude TEXT,
+    UNIQUE (name, street_address, city, state_abbr)
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    ${EVENT_COLUMNS.map(column => column === 'original_link'
+    ? 'original_link TEXT PRIMARY KEY'
+    : `${column} TEXT`).join(',\n    ')},
+    venue_id INTEGER REFERENCES venues(id),
+    first_seen TEXT,
+    updated_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_events_state ON events (state);
+  CREATE INDEX IF NOT EXISTS idx_events_start_date ON events (start_date);
+
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mode TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    events_processed INTEGER DEFAULT 0,
+    message TEXT,
+    trigger TEXT DEFAULT 'manual'
+  );
+
+  CREATE TABLE IF NOT EXISTS scrape_status (
+    state_id TEXT PRIMARY KEY,
+    state_name TEXT,
+    last_page INTEGER DEFAULT 0,
+    events_found INTEGER DEFAULT 0,
+    completed INTEGER DEFAULT 0,
+    last_processed TEXT,
+    last_run_id INTEGER,
+    last_error TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS event_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    original_link TEXT NOT NULL,
+    run_id INTEGER,
+    changed_at TEXT NOT NULL,
+    type TEXT NOT NULL,
+    reason TEXT,
+    changes TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS duplicate_decisions (
+    link_a TEXT NOT NULL,
+    link_b TEXT NOT NULL,
+    decision TEXT NOT NULL CHECK (decision IN ('same', 'distinct')),
+    decided_at TEXT NOT NULL,
+    PRIMARY KEY (link_a, link_b)
+  );
+`;
+
+let sqlPromise = null;
+
+function loadSql() {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs();
+  }
+  return sqlPromise;
+}
+
+class EventStore {
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+    this.dirty = false;
+  }
+
+  // Open (or create) the database at dbPath
+  static async open(dbPath) {
+    const SQL = await loadSql();
+
+    let db;
+    try {
+      const buffer = await fs.readFile(dbPath);
+      db = new SQL.Database(buffer);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      db = new SQL.Database();
+    }
+
+    const store = new EventStore(db, dbPath);
+    store.db.exec(SCHEMA);
+    store.migrate();
+    return store;
+  }
+
+  // Bring a database created by an older version up to date. New event fields
+  // and status details only ever add columns, so that's all there is to do.
+  migrate() {
+    const existing = new Set(this.all('PRAGMA table_info(events)').map(column => column.name));
+    EVENT_COLUMNS.filter(column => !existing.has(column)).forEach(column => {
+      this.db.run(`ALTER TABLE events ADD COLUMN ${column} TEXT`);
+      this.dirty = true;
+    });
+
+    Object.entries(ADDED_TABLE_COLUMNS).forEach(([table, columns]) => {
+      const tableColumns = new Set(this.all(`PRAGMA table_info(${table})`).map(column => column.name));
+      Object.entries(columns)
+        .filter(([column]) => !tableColumns.has(column))
+        .forEach(([column, type]) => {
+          this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+          this.dirty = true;
+        });
+    });
+
+    const version = this.get("SELECT value FROM meta WHERE key = 'schemaVersion'");
+    if (!version || Number(version.value) !== SCHEMA_VERSION) {
+      this.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES ('schemaVersion', ?)", [String(SCHEMA_VERSION)]);
+      this.dirty = true;
+    }
+  }
+
+  // Run a SELECT and return all rows as objects
+  all(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  get(sql, params = []) {
+    return this.all(sql, params)[0] || null;
+  }
+
+  // Run fn inside a transaction; everything is rolled back if it throws
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      this.dirty = true;
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Persist the database to disk (temp file + rename)
+  async save() {
+    if (!this.dirty) return;
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    const tempPath = `${this.dbPath}.tmp`;
+    await fs.writeFile(tempPath, Buffer.from(this.db.export()));
+    await fs.rename(tempPath, this.dbPath);
+    this.dirty = false;
+  }
+
+  async close() {
+    await this.save();
+    this.db.close();
+  }
+
+  // Find or create the venue row for a record
+  upsertVenue(record) {
+    const key = [
+      record.venue || '',
+      record.streetAddress || '',
+      record.city || '',
+      record.stateAbbr || ''
+    ];
+    if (key.every(part => !part)) return null;
+
+    this.db.run(
+      `INSERT INTO venues (name, street_address, city, state_abbr, postal_code, country, latitude, longitude)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (name, street_address, city, state_abbr) DO UPDATE SET
+         postal_code = COALESCE(NULLIF(excluded.postal_code, ''), venues.postal_code),
+         country = COALESCE(NULLIF(excluded.country, ''), venues.country),
+         latitude = COALESCE(NULLIF(excluded.latitude, ''), venues.latitude),
+         longitude = COALESCE(NULLIF(excluded.longitude, ''), venues.longitude)`,
+      [...key, record.postalCode || '', record.country || '', record.latitude || '', record.longitude || '']
+    );
+
+    const row = this.get(
+      'SELECT id FROM venues WHERE name = ? AND street_address = ? AND city = ? AND state_abbr = ?',
+      key
+    );
+    return row ? row.id : null;
+  }
+
+  // Insert or update a batch of event records (keyed by originalLink) in one transaction
+  upsertEvents(records) {
+    if (records.length === 0) return;
+
+    const now = new Date().toISOString();
+    const columns = [...EVENT_COLUMNS, 'venue_id', 'first_seen', 'updated_at'];
+    const updates = [...EVENT_COLUMNS, 'venue_id', 'updated_at']
+      .filter(column => column !== 'original_link')
+      .map(column => `${column} = excluded.${column}`)
+      .join(', ');
+    const sql = `INSERT INTO events (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT (original_link) DO UPDATE SET ${updates}`;
+
+    this.transaction(() => {
+      records.forEach(record => {
+        if (!record.originalLink) return;
+        const venueId = this.upsertVenue(record);
+        const values = EVENT_FIELDS.map(field => {
+          const value = record[field];
+          return value === undefined || value === null ? '' : String(value);
+        });
+        this.db.run(sql, [...values, venueId, now, now]);
+      });
+    });
+  }
+
+  upsertEvent(record) {
+    this.upsertEvents([record]);
+  }
+
+  // Turn an events row back into a record with the scraper's field names
+  rowToRecord(row) {
+    const record = {};
+    EVENT_FIELDS.forEach((field, index) => {
+      const value = row[EVENT_COLUMNS[index]];
+      record[field] = value === null || value === undefined ? '' : value;
+    });
+    return record;
+  }
+
+  getEvent(link) {
+    const row = this.get('SELECT * FROM events WHERE original_link = ?', [link]);
+    return row ? this.rowToRecord(row) : null;
+  }
+
+  // All events, ordered by start date then name
+  getAllEvents() {
+    return this.all('SELECT * FROM events ORDER BY start_date, event_name')
+      .map(row => this.rowToRecord(row));
+  }
+
+  getEventLinks() {
+    return this.all('SELECT original_link FROM events').map(row => row.original_link);
+  }
+
+  countEvents() {
+    return this.get('SELECT COUNT(*) AS count FROM events').count;
+  }
+
+  // States that have events, with how many each
+  getStateCounts() {
+    return this.all("SELECT state, COUNT(*) AS count FROM events WHERE state != '' GROUP BY state ORDER BY state");
+  }
+
+  // Number of events per geocoding precision ('' = not looked up yet, 'none' = not found)
+  countByGeoPrecision() {
+    const counts = {};
+    this.all('SELECT geo_precision, COUNT(*) AS count FROM events GROUP BY geo_precision')
+      .forEach(row => {
+        counts[row.geo_precision || ''] = row.count;
+      });
+    return counts;
+  }
+
+  // Record a run starting; returns its id
+  // trigger says who started the run: 'manual' or 'scheduled: <job name>'
+  startRun(mode, trigger = 'manual') {
+    return this.transaction(() => {
+      this.db.run('INSERT INTO runs (mode, started_at, trigger) VALUES (?, ?, ?)', [mode, new Date().toISOString(), trigger]);
+      return this.get('SELECT last_insert_rowid() AS id').id;
+    });
+  }
+
+  finishRun(runId, status, eventsProcessed = 0, message = '') {
+    if (!runId) return;
+    this.transaction(() => {
+      this.db.run(
+        'UPDATE runs SET finished_at = ?, status = ?, events_processed = ?, message = ? WHERE id = ?',
+        [new Date().toISOString(), status, eventsProcessed, message, runId]
+      );
+    });
+  }
+
+  getRuns(limit = 20) {
+    return this.all('SELECT * FROM runs ORDER BY id DESC LIMIT ?', [limit]);
+  }
+
+  // Per-state scrape status. status.lastError is set when pages of the state
+  // could not be fetched.
+  setScrapeStatus(stateId, status, runId = null) {
+    this.transaction(() => {
+      this.db.run(
+        `INSERT INTO scrape_status (state_id, state_name, last_page, events_found, completed, last_processed, last_run_id, last_error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (state_id) DO UPDATE SET
+           state_name = excluded.state_name,
+           last_page = excluded.last_page,
+           events_found = excluded.events_found,
+           completed = excluded.completed,
+           last_processed = excluded.last_processed,
+           last_run_id = excluded.last_run_id,
+           last_error = excluded.last_error`,
+        [
+          stateId,
+          status.stateName || '',
+          status.lastPage || 0,
+          status.eventsFound || 0,
+          status.completed ? 1 : 0,
+          status.lastProcessed || new Date().toISOString(),
+          runId,
+          status.lastError || null
+        ]
+      );
+    });
+  }
+
+  getScrapeStatus() {
+    return this.all('SELECT * FROM scrape_status ORDER BY state_id');
+  }
+
+  // Keep a history of what refresh runs changed
+  addChanges(entries, runId = null) {
+    if (entries.length === 0) return;
+    this.transaction(() => {
+      entries.forEach(entry => {
+        this.db.run(
+          'INSERT INTO event_changes (original_link, run_id, changed_at, type, reason, changes) VALUES (?, ?, ?, ?, ?, ?)',
+          [entry.link, runId, entry.timestamp, entry.type, entry.reason || null, JSON.stringify(entry.changes || {})]
+        );
+      });
+    });
+  }
+
+  // User decisions about possible duplicates, as a Map of pairKey -> 'same' | 'distinct'
+  getDuplicateDecisions() {
+    const decisions = new Map();
+    this.all('SELECT link_a, link_b, decision FROM duplicate_decisions').forEach(row => {
+      decisions.set(pairKey(row.link_a, row.link_b), row.decision);
+    });
+    return decisions;
+  }
+
+  // Record that each [linkA, linkB] pair is the same show, or two distinct ones
+  setDuplicateDecisions(pairs, decision) {
+    const decidedAt = new Date().toISOString();
+    this.transaction(() => {
+      pairs.forEach(([linkA, linkB]) => {
+        const [a, b] = linkA < linkB ? [linkA, linkB] : [linkB, linkA];
+        this.db.run(
+          'INSERT OR REPLACE INTO duplicate_decisions (link_a, link_b, decision, decided_at) VALUES (?, ?, ?, ?)',
+          [a, b, decision, decidedAt]
+        );
+      });
+    });
+  }
+
+  // Store the result of a duplicate pass, replacing the previous one
+  applyDuplicateClusters(clusters) {
+    this.transaction(() => {
+      this.db.run("UPDATE events SET duplicate_of = '', alternate_links = ''");
+      clusters.forEach(({ canonicalLink, links }) => {
+        const alternates = links.filter(link => link !== canonicalLink);
+        this.db.run('UPDATE events SET alternate_links = ? WHERE original_link = ?',
+          [JSON.stringify(alternates), canonicalLink]);
+        alternates.forEach(link => {
+          this.db.run('UPDATE events SET duplicate_of = ? WHERE original_link = ?', [canonicalLink, link]);
+        });
+      });
+    });
+  }
+
+  // Remove all scraped data (used by reset)
+  clear() {
+    this.transaction(() => {
+      this.db.exec('DELETE FROM event_changes; DELETE FROM events; DELETE FROM venues; DELETE FROM runs; ' +
+        'DELETE FROM scrape_status; DELETE FROM duplicate_decisions;');
+    });
+  }
+
+  // One-time import of the CSV files earlier versions used as their only store.
+  // Rows that can't be imported are reported in `warnings` rather than dropped
+  // without a word.
+  // -> { imported, warnings }
+  async importCsv(csvPath) {
+    const { records, unmatched } = await readCsvRecords(csvPath);
+    const valid = records.filter(record => /^https?:\/\//.test(record.originalLink));
+    this.upsertEvents(valid);
+
+    const warnings = unmatched.map(({ row, columns }) =>
+      `${csvPath} row ${row} has ${columns} columns, which matches no known layout; not imported`);
+    if (valid.length < records.length) {
+      warnings.push(`${csvPath}: ${records.length - valid.length} of ${records.length} rows have no event link; not imported`);
+    }
+    return { imported: valid.length, warnings };
+  }
+}
+
+module.exports = { EventStore, SCHEMA_VERSION, toColumnName };
@@ -0,0 +1,161 @@
+// Tracks how often key fields come back filled during a run, so a change in the
+// site's markup shows up after a few dozen events instead of after a full run.
+
+const DEFAULT_THRESHOLDS = {
+  eventName: 0.9,
+  venue: 0.5,
+  date: 0.9
+};
+
+const DRIFT_ACTIONS = ['pause', 'warn'];
+
+function isFilled(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+class FieldCoverageMonitor {
+  constructor(options = {}) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    this.fields = Object.keys(this.thresholds);
+    this.windowSize = options.windowSize || 50;  // Rolling window of most recent records
+    this.minSamples = options.minSamples || 20;  // Don't judge until the window has this many
+    this.action = options.action || 'pause';
+
+    if (!DRIFT_ACTIONS.includes(this.action)) {
+      throw new Error(`Unknown drift action "${this.action}". Expected one of: ${DRIFT_ACTIONS.join(', ')}`);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.window = [];
+    this.totalRecords = 0;
+    this.filledCounts = {};
+    this.sourceCounts = {};
+    this.fields.forEach(field => {
+      this.filledCounts[field] = 0;
+      this.sourceCounts[field] = {};
+    });
+    this.breaches = [];
+    this.activeBreaches = new Set();
+    this.startedAt = new Date().toISOString();
+  }
+
+  // Rolling fill rate of a field over the current window
+  rollingFillRate(field) {
+    if (this.window.length === 0) return null;
+    const filled = this.window.filter(entry => entry[field]).length;
+    return filled / this.window.length;
+  }
+
+  // Add a scraped record. Returns the fields that have just dropped below their
+  // threshold (each field is reported once until it recovers).
+  record(record, link = '') {
+    this.totalRecords++;
+
+    let fieldSources = {};
+    try {
+      fieldSources = typeof record.fieldSources === 'string'
+        ? JSON.parse(record.fieldSources || '{}')
+        : (record.fieldSources || {});
+    } catch (e) {
+      // Coverage still works without source info
+    }
+
+    const entry = {};
+    this.fields.forEach(field => {
+      entry[field] = isFilled(record[field]);
+      if (entry[field]) {
+        this.filledCounts[field]++;
+        const source = fieldSources[field] || 'unknown';
+        this.sourceCounts[field][source] = (this.sourceCounts[field][source] || 0) + 1;
+      }
+    });
+
+    this.window.push(entry);
+    if (this.window.length > this.windowSize) {
+      this.window.shift();
+    }
+
+    if (this.window.length < this.minSamples) return [];
+
+    const newBreaches = [];
+    this.fields.forEach(field => {
+      const rate = this.rollingFillRate(field);
+      if (rate < this.thresholds[field]) {
+        if (!this.activeBreaches.has(field)) {
+          this.activeBreaches.add(field);
+          const breach = {
+            field,
+            fillRate: rate,
+            threshold: this.thresholds[field],
+            sampleSize: this.window.length,
+            lastLink: link,
+            detectedAt: new Date().toISOString()
+          };
+          this.breaches.push(breach);
+          newBreaches.push(breach);
+        }
+      } else {
+        this.activeBreaches.delete(field);
+      }
+    });
+
+    return newBreaches;
+  }
+
+  // Human-readable summary of a list of breaches
+  describe(breaches) {
+    return breaches
+      .map(b => `${b.field} filled in ${Math.round(b.fillRate * 100)}% of the last ${b.sampleSize} events (minimum ${Math.round(b.threshold * 100)}%)`)
+      .join('; ');
+  }
+
+  getReport() {
+    const fields = {};
+    this.fields.forEach(field => {
+      fields[field] = {
+        filled: this.filledCounts[field],
+        total: this.totalRecords,
+        fillRate: this.totalRecords > 0 ? this.filledCounts[field] / this.totalRecords : null,
+        rollingFillRate: this.rollingFillRate(field),
+        threshold: this.thresholds[field],
+        sources: this.sourceCounts[field]
+      };
+    });
+
+    return {
+      startedAt: this.startedAt,
+      generatedAt: new Date().toISOString(),
+      totalRecords: this.totalRecords,
+      windowSize: this.windowSize,
+      minSamples: this.minSamples,
+      action: this.action,
+      fields,
+      breaches: this.breaches
+    };
+  }
+}
+
+// Parse "eventName=0.9,venue=0.5" (fractions or percentages) into a thresholds object
+function parseThresholds(text) {
+  const thresholds = {};
+  String(text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [field, value] = part.split('=');
+    let threshold = parseFloat(value);
+    if (!field || isNaN(threshold)) {
+      throw new Error(`Invalid field threshold "${part}". Expected field=0.9`);
+    }
+    if (threshold > 1) threshold = threshold / 100;
+    thresholds[field.trim()] = threshold;
+  });
+  return thresholds;
+}
+
+module.exports = {
+  FieldCoverageMonitor,
+  parseThresholds,
+  DEFAULT_THRESHOLDS,
+  DRIFT_ACTIONS
+};
@@ -0,0 +1,214 @@
+const axios = require('axios');
+const zipcodes = require('zipcodes');
+const { findState } = require('./us-states');
+const { hashRecord } = require('./event-changes');
+
+// Turns venue addresses into coordinates without needing the internet. The
+// bundled gazetteer (the zipcodes package) knows the centroid of every US ZIP
+// code and city; a local geocoding service (e.g. a self-hosted Nominatim) can
+// be plugged in in front of it for street-level results.
+//
+// Every provider implements geocode(address) and resolves to
+// { latitude, longitude, precision, postalCode? } or null.
+
+// Most precise first
+const GEO_PRECISIONS = ['address', 'zip', 'city'];
+
+// Precision of an address that was looked up and not found. Those aren't looked
+// up again on every start: re-scraping the event (e.g. after its address
+// changed) or asking for it with retryNotFound does.
+const GEO_NOT_FOUND = 'none';
+
+function validCoordinates(latitude, longitude) {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  if (!isFinite(lat) || !isFinite(lon)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180 || (lat === 0 && lon === 0)) return null;
+  return { latitude: lat, longitude: lon };
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+// Offline lookups by ZIP code, then by city and state
+class GazetteerGeocoder {
+  constructor() {
+    this.name = 'gazetteer';
+  }
+
+  async geocode({ city, stateAbbr, postalCode }) {
+    const zip = String(postalCode || '').trim().slice(0, 5);
+    if (/^\d{5}$/.test(zip)) {
+      const match = zipcodes.lookup(zip);
+      if (match && validCoordinates(match.latitude, match.longitude)) {
+        return { latitude: match.latitude, longitude: match.longitude, precision: 'zip' };
+      }
+    }
+
+    const state = findState(stateAbbr);
+    if (!city || !state) return null;
+
+    // A city can span several ZIP codes; use the middle of them
+    const matches = zipcodes.lookupByName(String(city).trim(), state.abbr)
+      .filter(match => validCoordinates(match.latitude, match.longitude));
+    if (matches.length === 0) return null;
+
+    const latitude = matches.reduce((sum, match) => sum + match.latitude, 0) / matches.length;
+    const longitude = matches.reduce((sum, match) => sum + match.longitude, 0) / matches.length;
+    return {
+      latitude: roundCoordinate(latitude),
+      longitude: roundCoordinate(longitude),
+      precision: 'city'
+    };
+  }
+}
+
+// A geocoding service running on the local network that speaks the Nominatim
+// search API (GET /search?format=json&q=...)
+class NominatimGeocoder {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('NominatimGeocoder needs the url of the geocoding service');
+    }
+    this.name = 'service';
+    this.url = options.url.replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+  }
+
+  async geocode({ streetAddress, city, stateAbbr, postalCode }) {
+    if (!streetAddress || !city) return null;
+
+    const query = [streetAddress, city, [stateAbbr, postalCode].filter(Boolean).join(' ')]
+      .filter(Boolean).join(', ');
+    const response = await axios.get(`${this.url}/search`, {
+      params: { q: query, format: 'json', addressdetails: 1, limit: 1, countrycodes: 'us' },
+      timeout: this.timeout
+    });
+
+    const [match] = Array.isArray(response.data) ? response.data : [];
+    const coords = match && validCoordinates(match.lat, match.lon);
+    if (!coords) return null;
+
+    return {
+      ...coords,
+      precision: 'address',
+      postalCode: (match.address && match.address.postcode) || ''
+    };
+  }
+}
+
+// Runs the providers in order and caches results per address
+class Geocoder {
+  constructor(options = {}) {
+    this.providers = options.providers || [new GazetteerGeocoder()];
+    this.cache = new Map();
+    this.onError = options.onError || (() => {});
+  }
+
+  cacheKey({ streetAddress, city, stateAbbr, postalCode }) {
+    return [streetAddress, city, stateAbbr, postalCode]
+      .map(part => String(part || '').trim().toLowerCase())
+      .join('|');
+  }
+
+  async geocode(address) {
+    const key = this.cacheKey(address);
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    let result = null;
+    for (const provider of this.providers) {
+      try {
+        result = await provider.geocode(address);
+      } catch (error) {
+        // A service that's down shouldn't stop the scrape; fall through to the next provider
+        this.onError(error, provider);
+        result = null;
+      }
+      if (result) {
+        result = { ...result, source: provider.name };
+        break;
+      }
+    }
+
+    this.cache.set(key, result);
+    return result;
+  }
+
+  // The geo columns for a record. Coordinates published on the event page are
+  // kept as they are; otherwise the providers are asked.
+  async geocodeRecord(record) {
+    if (validCoordinates(record.latitude, record.longitude)) {
+      return {
+        geoPrecision: record.geoPrecision || 'address',
+        geoSource: record.geoSource || 'page'
+      };
+    }
+
+    const result = await this.geocode(record);
+    if (!result) {
+      return { latitude: '', longitude: '', geoPrecision: GEO_NOT_FOUND, geoSource: '' };
+    }
+
+    const fields = {
+      latitude: String(result.latitude),
+      longitude: String(result.longitude),
+      geoPrecision: result.precision,
+      geoSource: result.source
+    };
+    if (!record.postalCode && result.postalCode) {
+      fields.postalCode = result.postalCode;
+    }
+    return fields;
+  }
+}
+
+// Gazetteer only, or a local service with the gazetteer as fallback
+function createGeocoder(options = {}) {
+  const providers = [];
+  if (options.serviceUrl) {
+    providers.push(new NominatimGeocoder({ url: options.serviceUrl, timeout: options.timeout }));
+  }
+  providers.push(new GazetteerGeocoder());
+
+  return new Geocoder({ providers, onError: options.onError });
+}
+
+// Geocode events already in the database: those never geocoded (plus those
+// not found last time with retryNotFound), or all of them (e.g. after pointing
+// at a better service). Returns how many were resolved.
+async function geocodeStoredEvents(store, geocoder, options = {}) {
+  const records = store.getAllEvents()
+    .filter(record => options.all || !record.geoPrecision ||
+      (options.retryNotFound && record.geoPrecision === GEO_NOT_FOUND));
+
+  const updated = [];
+  let resolved = 0;
+  for (const record of records) {
+    if (options.all && record.geoSource !== 'page') {
+      record.latitude = '';
+      record.longitude = '';
+      record.geoPrecision = '';
+      record.geoSource = '';
+    }
+
+    Object.assign(record, await geocoder.geocodeRecord(record));
+    record.contentHash = hashRecord(record);
+    if (record.geoPrecision !== GEO_NOT_FOUND) resolved++;
+    updated.push(record);
+  }
+
+  store.upsertEvents(updated);
+  return { checked: records.length, resolved };
+}
+
+module.exports = {
+  Geocoder,
+  GazetteerGeocoder,
+  NominatimGeocoder,
+  createGeocoder,
+  geocodeStoredEvents,
+  validCoordinates,
+  GEO_PRECISIONS,
+  GEO_NOT_FOUND
+};
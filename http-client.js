@@ -0,0 +1,168 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Names the scraper, so a site can give it its own robots.txt rules (they're
+// looked up under the name the user agent starts with, see robotsAgentFor)
+const DEFAULT_USER_AGENT = 'carcruisefinder-scraper/1.0';
+
+// What older versions sent; settings saved back then still hold it
+const LEGACY_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// live: talk to the site, record: talk to the site and save every response,
+// replay: serve previously recorded responses without touching the network
+const HTTP_MODES = ['live', 'record', 'replay'];
+
+class HttpClient {
+  constructor(options = {}) {
+    this.mode = options.mode || 'live';
+    if (!HTTP_MODES.includes(this.mode)) {
+      throw new Error(`Unknown HTTP mode "${this.mode}". Expected one of: ${HTTP_MODES.join(', ')}`);
+    }
+
+    this.fixturesDir = options.fixturesDir || path.join(__dirname, 'fixtures');
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+
+    // Decides when live requests may go out (see politeness.js)
+    this.politeness = options.politeness || null;
+  }
+
+  // Build a stable, human-readable file name for a URL
+  fixtureKey(url) {
+    let slug = url;
+    try {
+      const urlObj = new URL(url);
+      slug = `${urlObj.hostname}${urlObj.pathname}${urlObj.search}`;
+    } catch (e) {
+      // Not an absolute URL, use it as-is
+    }
+
+    slug = slug.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').slice(0, 80);
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 10);
+
+    return `${slug}-${hash}`;
+  }
+
+  fixturePaths(url) {
+    const key = this.fixtureKey(url);
+    return {
+      metaPath: path.join(this.fixturesDir, `${key}.json`),
+      bodyPath: path.join(this.fixturesDir, `${key}.html`)
+    };
+  }
+
+  // Fetch a URL, returning an axios-style response ({ status, headers, data }).
+  // Live requests wait for the politeness controller.
+  async get(url, options = {}) {
+    if (this.mode === 'replay') {
+      return this.replay(url);
+    }
+
+    if (this.politeness) {
+      return this.politeness.schedule(url, () => this.fetch(url, options));
+    }
+    return this.fetch(url, options);
+  }
+
+  // Send the request right away (robots.txt itself is fetched this way)
+  async fetch(url, options = {}) {
+    const startedAt = Date.now();
+
+    try {
+      const response = await axios.get(url, {
+        headers: {
+          'User-Agent': this.userAgent
+        },
+        timeout: options.timeout || 30000,
+        responseType: 'text'
+      });
+
+      if (this.mode === 'record') {
+        await this.saveFixture(url, response, Date.now() - startedAt);
+      }
+
+      return response;
+    } catch (error) {
+      // Error statuses (404 at the end of pagination, 5xx, ...) are part of
+      // what we want to reproduce, so record them as well
+      if (this.mode === 'record' && error.response) {
+        await this.saveFixture(url, error.response, Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  // Save a response body and its metadata to the fixtures directory
+  async saveFixture(url, response, durationMs) {
+    try {
+      await fs.mkdir(this.fixturesDir, { recursive: true });
+      const { metaPath, bodyPath } = this.fixturePaths(url);
+
+      const body = typeof response.data === 'string'
+        ? response.data
+        : JSON.stringify(response.data);
+
+      const meta = {
+        url,
+        method: 'GET',
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: { ...(response.headers || {}) },
+        durationMs,
+        recordedAt: new Date().toISOString(),
+        bodyFile: path.basename(bodyPath)
+      };
+
+      await fs.writeFile(bodyPath, body);
+      await fs.writeFile(metaPath, JSON.stringify(meta, null, 2));
+    } catch (error) {
+      console.error(`Error recording fixture for ${url}:`, error);
+    }
+  }
+
+  // Serve a recorded response. Throws like axios does for error statuses so the
+  // scraper's retry and pagination logic behaves exactly as it did when recording.
+  async replay(url) {
+    const { metaPath, bodyPath } = this.fixturePaths(url);
+
+    let meta;
+    try {
+      meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    } catch (e) {
+      // Treat pages that were never recorded like pages that don't exist
+      const error = new Error(`No recorded fixture for ${url}`);
+      error.code = 'ENOFIXTURE';
+      error.response = { status: 404, statusText: 'Not Found', headers: {}, data: '' };
+      throw error;
+    }
+
+    // A fixture can be edited by hand to simulate a network failure, e.g.
+    // "error": { "code": "ECONNABORTED", "message": "timeout of 15000ms exceeded" }
+    if (meta.error) {
+      const error = new Error(meta.error.message || 'Replayed network error');
+      error.code = meta.error.code;
+      throw error;
+    }
+
+    const data = await fs.readFile(bodyPath, 'utf8').catch(() => '');
+    const response = {
+      status: meta.status,
+      statusText: meta.statusText,
+      headers: meta.headers || {},
+      data,
+      config: { url },
+      fromFixture: true
+    };
+
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return response;
+  }
+}
+
+module.exports = { HttpClient, HTTP_MODES, DEFAULT_USER_AGENT, LEGACY_USER_AGENT };
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
 
@@ -13,15 +13,40 @@ let scraperInstance = null;
 let isScraperRunning = false;
 let scrapedDataExists = false;
 let trackedEventLinks = new Set();
+let eventStore = null;
+let scheduler = null;
+let settings = null; // Scraper settings from scraper-config.js, kept current by save-settings
+let discoveredStateLinks = null; // Last "Discover States" result, waiting to be adopted
+let progressRecovery = []; // What startup had to repair in the progress file, shown once in the window
+const unfinishedRuns = new Set(); // Scrapes, and the cleanup after a stop, that haven't finished yet
 global.isScraperRunning = false;
 
 // App directories and paths
 const APP_DATA_DIR = path.join(app.getPath('userData'), 'car-events-scraper');
-const CSV_OUTPUT_DIR = path.join(APP_DATA_DIR, 'output');
+const DEFAULT_OUTPUT_DIR = path.join(APP_DATA_DIR, 'output');
 const LOGS_DIR = path.join(APP_DATA_DIR, 'logs');
 const LOG_FILE_PATH = path.join(LOGS_DIR, 'scraper.log');
 const PROGRESS_FILE_PATH = path.join(APP_DATA_DIR, 'scraper_progress.json');
-const CSV_FILE_PATH = path.join(CSV_OUTPUT_DIR, 'car_events_details.csv');
+const FIXTURES_DIR = path.join(APP_DATA_DIR, 'fixtures');
+const VENUE_TIMEZONES_PATH = path.join(APP_DATA_DIR, 'venue-timezones.json');
+const GEOCODER_CONFIG_PATH = path.join(APP_DATA_DIR, 'geocoder.json');
+const SCHEDULE_PATH = path.join(APP_DATA_DIR, 'schedule.json');
+const SETTINGS_PATH = path.join(APP_DATA_DIR, 'scraper-config.json');
+const ADOPTED_STATE_LINKS_PATH = path.join(APP_DATA_DIR, 'state-car-show-links.json');
+
+// The event database (and CSVs from older versions) live in the output folder
+// picked in Settings, or in the app data folder when none is set
+function outputDir() {
+  return (settings && settings.outputDir) || DEFAULT_OUTPUT_DIR;
+}
+
+function csvFilePath() {
+  return path.join(outputDir(), 'car_events_details.csv');
+}
+
+function dbFilePath() {
+  return path.join(outputDir(), 'car_events_details.db');
+}
 
 // Function to create the main window
 function createWindow() {
@@ -90,10 +115,9 @@ async function writeLogEntry(message) {
 
 async function loadPreviousProgress() {
   try {
-    const progressExists = await fs.pathExists(PROGRESS_FILE_PATH);
-    if (progressExists) {
-      const progressData = await fs.readJSON(PROGRESS_FILE_PATH);
-
+    const { readProgress } = require('./progress-file');
+    const progressData = await readProgress(PROGRESS_FILE_PATH);
+    if (progressData) {
       // Load tracked event links if available
       if (progressData.trackedEventLinks && Array.isArray(progressData.trackedEventLinks)) {
         trackedEventLinks = new Set(progressData.trackedEventLinks);
@@ -108,284 +132,452 @@ async function loadPreviousProgress() {
   }
 }
 
-async function checkCsvExists() {
+// Optional local geocoding service ({ "serviceUrl": "http://localhost:8080" })
+async function readGeocoderConfig() {
+  if (!(await fs.pathExists(GEOCODER_CONFIG_PATH))) return {};
   try {
-    const csvExists = await fs.pathExists(CSV_FILE_PATH);
-    if (csvExists) {
-      const stats = await fs.stat(CSV_FILE_PATH);
-      return stats.size > 0;
-    }
-    return false;
-  } catch (error) {
-    console.error('Error checking CSV file:', error);
-    return false;
+    return await fs.readJSON(GEOCODER_CONFIG_PATH);
+  } catch (e) {
+    await writeLogEntry(`Ignoring unreadable geocoder config: ${e.message}`);
+    return {};
   }
 }
 
-// Set up all IPC handlers
-function setupIpcHandlers() {
-  // IPC handler to get logs
-  ipcMain.handle('get-logs', async () => {
-    return await readLogFile();
-  });
-
-  // IPC handler for checking app state
-  ipcMain.handle('check-app-state', async () => {
-    try {
-      // Recheck CSV existence
-      const csvHasContent = await checkCsvExists();
-      scrapedDataExists = csvHasContent;
-
-      // Check progress file
-      const progressExists = await fs.pathExists(PROGRESS_FILE_PATH);
+// Open the event database once and share it with every scraper run. CSV files
+// from older versions are imported the first time.
+async function getEventStore() {
+  if (!eventStore) {
+    const { EventStore } = require('./event-store');
+    eventStore = await EventStore.open(dbFilePath());
+
+    if (eventStore.countEvents() === 0) {
+      const { imported, warnings } = await eventStore.importCsv(csvFilePath());
+      for (const warning of warnings) {
+        console.warn(warning);
+        await writeLogEntry(`Warning: ${warning}`);
+      }
+      if (imported > 0) {
+        await writeLogEntry(`Imported ${imported} events from ${csvFilePath()} into the event database`);
+      }
+    }
 
-      return {
-        isScraperRunning,
-        scrapedDataExists: csvHasContent,
-        hasProgress: progressExists
-      };
-    } catch (error) {
-      console.error('Error checking app state:', error);
-      return {
-        isScraperRunning: false,
-        scrapedDataExists: false,
-        hasProgress: false
-      };
+    // Events stored before geocoding existed get coordinates from the offline
+    // gazetteer. Addresses it didn't find before are left alone (see GEO_NOT_FOUND).
+    const { createGeocoder, geocodeStoredEvents } = require('./geocoder');
+    const { checked, resolved } = await geocodeStoredEvents(eventStore, createGeocoder());
+    if (checked > 0) {
+      await writeLogEntry(`Geocoded ${resolved} of ${checked} stored events`);
     }
-  });
+    await eventStore.save();
+  }
+  return eventStore;
+}
 
-  // IPC handler to start scraping
-  ipcMain.handle('start-scraping', async (event, options = {}) => {
-    // Ensure directories exist
-    await fs.ensureDir(APP_DATA_DIR);
-    await fs.ensureDir(CSV_OUTPUT_DIR);
-    await fs.ensureDir(LOGS_DIR);
+// Load the settings file, logging any values that had to fall back to defaults
+async function loadSettings() {
+  const { loadConfig } = require('./scraper-config');
+  const { config, warnings } = await loadConfig(SETTINGS_PATH);
+  for (const warning of warnings) {
+    await writeLogEntry(`Settings: ${warning}`);
+  }
+  settings = config;
+  return settings;
+}
 
-    // Prevent multiple scraping instances
-    if (isScraperRunning) {
+async function checkEventsExist() {
+  try {
+    const store = await getEventStore();
+    return store.countEvents() > 0;
+  } catch (error) {
+    console.error('Error checking event database:', error);
+    return false;
+  }
+}
+
+// Duplicate clusters with enough about each event to judge them in the UI
+function describeClusters(store, clusters) {
+  return clusters.map(cluster => ({
+    ...cluster,
+    events: cluster.links.map(link => {
+      const record = store.getEvent(link) || {};
       return {
-        success: false,
-        message: 'Scraper is already running'
+        link,
+        eventName: record.eventName,
+        startDate: record.startDate,
+        venue: record.venue,
+        city: record.city,
+        stateAbbr: record.stateAbbr,
+        state: record.state,
+        canonical: link === cluster.canonicalLink
       };
-    }
+    })
+  }));
+}
 
-    try {
-      // Explicitly set running state
-      isScraperRunning = true;
-      global.isScraperRunning = true;
+// The state pages to scrape -> [{ slug, name, link }]. A list adopted from
+// "Discover States" (kept in the app data folder) wins over the one shipped
+// with the app.
+async function stateLinksPath() {
+  return (await fs.pathExists(ADOPTED_STATE_LINKS_PATH))
+    ? ADOPTED_STATE_LINKS_PATH
+    : path.join(__dirname, 'state-car-show-links.json');
+}
 
+async function readStateLinks() {
+  const { readStateLinksFile } = require('./state-links');
+  const filePath = await stateLinksPath();
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`State links file not found at ${filePath}`);
+  }
 
-      // Log the start of scraping
-      await writeLogEntry('Scraping started');
+  const stateLinks = await readStateLinksFile(filePath);
+  if (stateLinks.length === 0) {
+    throw new Error('No state links found');
+  }
+  return stateLinks;
+}
 
-      // Ensure UI reflects running state
-      mainWindow.webContents.send('scraping-progress', 'Scraping started');
+// Run a scrape or refresh. Used by the Start/Resume/Refresh buttons and by
+// scheduled jobs (options.trigger is recorded in the run history).
+async function runScraper(options = {}) {
+  // Ensure directories exist
+  await fs.ensureDir(APP_DATA_DIR);
+  await fs.ensureDir(outputDir());
+  await fs.ensureDir(LOGS_DIR);
+
+  // Prevent multiple scraping instances
+  if (isScraperRunning) {
+    return {
+      success: false,
+      message: 'Scraper is already running'
+    };
+  }
 
-      // Require scraper dynamically to ensure fresh instance
-      const { ComprehensiveCarEventScraper } = require('./scraper');
+  try {
+    // Explicitly set running state
+    isScraperRunning = true;
+    global.isScraperRunning = true;
 
-      // Determine if we're resuming
-      let resumeFromState = 0;
-      let progressData = null;
 
-      if (options.resume) {
-        progressData = await loadPreviousProgress();
-        if (progressData && typeof progressData.currentState === 'number') {
-          resumeFromState = progressData.currentState;
-          await writeLogEntry(`Resuming scraping from state index ${resumeFromState}`);
-        }
-      }
+    // Log the start of scraping
+    await writeLogEntry('Scraping started');
 
-      // Create scraper instance with custom output paths
-      scraperInstance = new ComprehensiveCarEventScraper({
-        csvPath: CSV_FILE_PATH,
-        progressPath: PROGRESS_FILE_PATH,
-        logsPath: LOG_FILE_PATH,
-        trackedEventLinks,
-        maxConcurrency: 3  // Limit concurrency to avoid rate limiting
-      });
+    // Ensure UI reflects running state
+    mainWindow.webContents.send('scraping-progress', 'Scraping started');
 
-      // If we have progress data, set the internal state
-      if (progressData) {
-        scraperInstance.currentState = progressData.currentState || 0;
-        scraperInstance.totalStates = progressData.totalStates || 0;
-        scraperInstance.processedEvents = progressData.processedEvents || 0;
-        scraperInstance.totalEventsFound = progressData.totalEventsFound || 0;
-      }
-
-      if (options.resume && progressData) {
-        scraperInstance.currentState = progressData.currentState || 0;
-        scraperInstance.totalStates = progressData.totalStates || 0;
-        scraperInstance.processedEvents = progressData.processedEvents || 0;
-        scraperInstance.totalEventsFound = progressData.totalEventsFound || 0;
-
-        // Send initial stats to the UI immediately
-        mainWindow.webContents.send('scraping-progress', 'Resuming with previous data', {
-          stats: {
-            statesProcessed: scraperInstance.currentState,
-            totalStates: scraperInstance.totalStates,
-            eventsProcessed: scraperInstance.processedEvents,
-            totalEvents: scraperInstance.totalEventsFound,
-            // If you have the current state name stored, include it here
-            currentStateName: progressData.currentStateName || 'Resuming...'
-          }
-        });
-      }
+    // Require scraper dynamically to ensure fresh instance
+    const { ComprehensiveCarEventScraper } = require('./scraper');
+    const { HTTP_MODES } = require('./http-client');
+
+    // Live, record or replay network mode
+    const httpMode = options.httpMode || 'live';
+    if (!HTTP_MODES.includes(httpMode)) {
+      throw new Error(`Unknown network mode: ${httpMode}`);
+    }
+    if (httpMode === 'replay' && !(await fs.pathExists(FIXTURES_DIR))) {
+      throw new Error('No recorded pages to replay. Run a scrape in record mode first.');
+    }
+    if (httpMode !== 'live') {
+      await writeLogEntry(`Network mode: ${httpMode} (fixtures: ${FIXTURES_DIR})`);
+    }
 
-      // Read state links
-      const stateLinksPath = path.join(__dirname, 'state-car-show-links.json');
+    // Determine if we're resuming
+    let resumeFromState = 0;
+    let progressData = null;
 
-      // Check if file exists
-      const stateLinksExists = await fs.pathExists(stateLinksPath);
-      if (!stateLinksExists) {
-        throw new Error(`State links file not found at ${stateLinksPath}`);
+    if (options.resume) {
+      progressData = await loadPreviousProgress();
+      if (progressData && typeof progressData.currentState === 'number') {
+        resumeFromState = progressData.currentState;
+        await writeLogEntry(`Resuming scraping from state index ${resumeFromState}`);
       }
+    }
 
-      const stateLinksData = await fs.readJSON(stateLinksPath);
-
-      if (!stateLinksData || !stateLinksData.stateCarShowLinks || !Array.isArray(stateLinksData.stateCarShowLinks)) {
-        throw new Error('Invalid state links data format');
+    // Optional venue name -> time zone overrides for states with several zones
+    let venueTimezones = {};
+    if (await fs.pathExists(VENUE_TIMEZONES_PATH)) {
+      try {
+        venueTimezones = await fs.readJSON(VENUE_TIMEZONES_PATH);
+      } catch (e) {
+        await writeLogEntry(`Ignoring unreadable venue time zones file: ${e.message}`);
       }
+    }
 
-      // Transform state links to include names
-      const stateLinks = stateLinksData.stateCarShowLinks.map(link => {
-        // Use the state name extraction logic from the scraper
-        let stateName = 'Unknown State';
-        
-        try {
-          // For new URL format: /car-shows/category/iowa/
-          if (link.includes('/car-shows/category/')) {
-            const match = link.match(/\/car-shows\/category\/([a-z-]+)\/?/i);
-            if (match && match[1]) {
-              const state = match[1].toLowerCase();
-              stateName = state.charAt(0).toUpperCase() + state.slice(1);
-            }
-          } 
-          // For old URL format: /alabama-car-events/
-          else if (link.includes('-car-events/')) {
-            const match = link.match(/\/([a-z-]+)-car-events\//i);
-            if (match && match[1]) {
-              const state = match[1].split('-')[0].toLowerCase();
-              stateName = state.charAt(0).toUpperCase() + state.slice(1);
-            }
-          }
-          // Fall back to basic URL parsing if needed
-          else {
-            const urlPath = link.startsWith('http') 
-              ? new URL(link).pathname
-              : link;
-              
-            const pathParts = urlPath.split('/').filter(p => p && !['events', 'category', 'car-shows'].includes(p));
-            if (pathParts.length > 0) {
-              const state = pathParts[0].split('-')[0].toLowerCase();
-              stateName = state.charAt(0).toUpperCase() + state.slice(1);
-            }
-          }
-        } catch (e) {
-          console.error(`Error extracting state name from URL: ${link}`, e);
-          // Use a fallback
-          stateName = link.split('/').filter(Boolean)[0] || 'Unknown State';
-        }
+    // Create scraper instance with custom output paths
+    scraperInstance = new ComprehensiveCarEventScraper({
+      csvPath: csvFilePath(),
+      store: await getEventStore(),
+      config: settings,
+      progressPath: PROGRESS_FILE_PATH,
+      logsPath: LOG_FILE_PATH,
+      trackedEventLinks,
+      httpMode,
+      fixturesDir: FIXTURES_DIR,
+      venueTimezones,
+      geocoderUrl: (await readGeocoderConfig()).serviceUrl,
+      trigger: options.trigger
+    });
+
+    // If we have progress data, set the internal state
+    if (progressData) {
+      scraperInstance.currentState = progressData.currentState || 0;
+      scraperInstance.totalStates = progressData.totalStates || 0;
+      scraperInstance.processedEvents = progressData.processedEvents || 0;
+      scraperInstance.totalEventsFound = progressData.totalEventsFound || 0;
+    }
 
-        return { link, name: stateName };
+    if (options.resume && progressData) {
+      scraperInstance.currentState = progressData.currentState || 0;
+      scraperInstance.totalStates = progressData.totalStates || 0;
+      scraperInstance.processedEvents = progressData.processedEvents || 0;
+      scraperInstance.totalEventsFound = progressData.totalEventsFound || 0;
+
+      // Send initial stats to the UI immediately
+      mainWindow.webContents.send('scraping-progress', 'Resuming with previous data', {
+        stats: {
+          statesProcessed: scraperInstance.currentState,
+          totalStates: scraperInstance.totalStates,
+          eventsProcessed: scraperInstance.processedEvents,
+          totalEvents: scraperInstance.totalEventsFound,
+          // If you have the current state name stored, include it here
+          currentStateName: progressData.currentStateName || 'Resuming...'
+        }
       });
+    }
+
+    const stateLinks = await readStateLinks();
 
-      if (stateLinks.length === 0) {
-        throw new Error('No state links found');
+    // Scrape only some states (picked in the state picker or on the map). A
+    // resumed run carries on with the states it was started with.
+    const states = options.resume && progressData ? progressData.selectedStates : options.states;
+    if (Array.isArray(states) && states.length > 0) {
+      const { stateKeyOf, selectStateLinks } = require('./us-states');
+      const selected = selectStateLinks(stateLinks, states);
+      if (selected.length === 0) {
+        throw new Error(`No state pages found for: ${states.join(', ')}`);
       }
+      stateLinks.splice(0, stateLinks.length, ...selected);
+      scraperInstance.selectedStates = selected.map(stateKeyOf);
+      await writeLogEntry(`Limited to ${selected.map(({ name }) => name).join(', ')}`);
+    }
 
-      // Override scraping methods to send progress
-      scraperInstance.onProgress = async (message, progressData = {}) => {
-        if (!isScraperRunning) return;
+    // Override scraping methods to send progress
+    scraperInstance.onProgress = async (message, progressData = {}) => {
+      if (!isScraperRunning) return;
 
-        // Log to file
-        await writeLogEntry(message);
+      // Log to file
+      await writeLogEntry(message);
 
-        // Create progress information
-        let progressInfo = {
-          message,
-          timestamp: new Date().toISOString()
-        };
+      // Create progress information
+      let progressInfo = {
+        message,
+        timestamp: new Date().toISOString()
+      };
 
-        // Add progress percentage and stats information
-        if (progressData.overallProgress) {
-          const { statesProcessed, totalStates, processed, total } = progressData.overallProgress;
+      // Add progress percentage and stats information
+      if (progressData.overallProgress) {
+        const { statesProcessed, totalStates, processed, total } = progressData.overallProgress;
 
-          // Calculate percentage based on states and events
-          let stateWeight = 0.7; // 70% of progress based on states
-          let eventWeight = 0.3; // 30% based on events processed
+        // Calculate percentage based on states and events
+        let stateWeight = 0.7; // 70% of progress based on states
+        let eventWeight = 0.3; // 30% based on events processed
 
-          let statePercentage = totalStates > 0 ? (statesProcessed / totalStates) * 100 : 0;
-          let eventPercentage = total > 0 ? (processed / total) * 100 : 0;
+        let statePercentage = totalStates > 0 ? (statesProcessed / totalStates) * 100 : 0;
+        let eventPercentage = total > 0 ? (processed / total) * 100 : 0;
 
-          // Combined weighted percentage
-          let percentage = (statePercentage * stateWeight) + (eventPercentage * eventWeight);
+        // Combined weighted percentage
+        let percentage = (statePercentage * stateWeight) + (eventPercentage * eventWeight);
 
-          // Format for display (0-100%)
-          progressInfo.percentage = Math.min(100, Math.max(0, Math.round(percentage)));
-          progressInfo.progressDetail = `States: ${statesProcessed}/${totalStates}, Events: ${processed}/${total || '?'}`;
+        // Format for display (0-100%)
+        progressInfo.percentage = Math.min(100, Math.max(0, Math.round(percentage)));
+        progressInfo.progressDetail = `States: ${statesProcessed}/${totalStates}, Events: ${processed}/${total || '?'}`;
 
-          // Add explicit stats information
-          progressInfo.stats = {
-            statesProcessed,
-            totalStates,
-            eventsProcessed: processed,
-            totalEvents: total,
-            currentState: scraperInstance.currentState
-          };
-        }
+        // Add explicit stats information
+        progressInfo.stats = {
+          statesProcessed,
+          totalStates,
+          eventsProcessed: processed,
+          totalEvents: total,
+          currentState: scraperInstance.currentState
+        };
+      }
 
-        // If there's state completion info, include it
-        if (progressData.stateCompleted) {
-          const { state, stateIndex, totalStates, eventsScraped } = progressData.stateCompleted;
-          if (!progressInfo.stats) progressInfo.stats = {};
-          progressInfo.stats.currentStateName = state;
-          progressInfo.stats.stateIndex = stateIndex;
-          if (eventsScraped) progressInfo.stats.eventsScraped = eventsScraped;
-        }
+      // Lets the event browser reload while rows are being added or changed
+      if (progressData.eventDetails || progressData.eventChanged) {
+        progressInfo.eventsUpdated = true;
+      }
 
-        // Send to UI with additional progress info
-        mainWindow.webContents.send('scraping-progress', message, progressInfo);
-      };
+      // The site asked us to wait (Retry-After) or kept failing (circuit breaker)
+      if (progressData.retryAfter) {
+        progressInfo.retryAfter = progressData.retryAfter;
+      }
+      if (progressData.circuitBreaker) {
+        progressInfo.circuitBreaker = progressData.circuitBreaker;
+      }
 
+      // Selector drift alerts are shown as errors in the status bar
+      if (progressData.selectorDrift) {
+        progressInfo.error = true;
+        progressInfo.selectorDrift = progressData.selectorDrift;
+      }
+
+      // If there's state completion info, include it
+      if (progressData.stateCompleted) {
+        const { state, stateIndex, totalStates, eventsScraped } = progressData.stateCompleted;
+        if (!progressInfo.stats) progressInfo.stats = {};
+        progressInfo.stats.currentStateName = state;
+        progressInfo.stats.stateIndex = stateIndex;
+        if (eventsScraped) progressInfo.stats.eventsScraped = eventsScraped;
+      }
+
+      // Send to UI with additional progress info
+      mainWindow.webContents.send('scraping-progress', message, progressInfo);
+    };
+
+    // Resuming continues an unfinished refresh run if that's what was interrupted
+    const resumingRefresh = Boolean(options.resume && progressData && progressData.mode === 'refresh' &&
+      progressData.refresh && !progressData.refresh.completed);
+    const isRefresh = options.mode === 'refresh' || resumingRefresh;
+    const isRetry = options.mode === 'retry-failed' && !isRefresh;
+    const runLabel = isRefresh ? 'Refresh' : (isRetry ? 'Retry' : 'Scraping');
+
+    if (isRefresh) {
+      // Re-check known events for changes and removals
+      await scraperInstance.refreshEvents(stateLinks, {
+        scope: options.refreshScope === 'upcoming' ? 'upcoming' : 'all',
+        resume: resumingRefresh
+      });
+    } else if (isRetry) {
+      // Only the event and listing pages that failed before
+      await scraperInstance.retryFailedRequests();
+    } else {
       // Start scraping 
       await scraperInstance.scrapeAllEvents(stateLinks, resumeFromState);
+    }
 
-      // Mark as completed
-      isScraperRunning = false;
-      scrapedDataExists = true;
+    // Mark as completed
+    isScraperRunning = false;
+    scrapedDataExists = true;
 
-      // Log completion
-      await writeLogEntry('Scraping completed successfully');
+    // Log completion
+    await writeLogEntry(`${runLabel} completed successfully`);
 
-      // Send final progress update
-      mainWindow.webContents.send('scraping-progress', 'Scraping completed', {
-        message: 'Scraping completed',
-        percentage: 100,
-        progressDetail: 'All states and events processed'
-      });
+    // Send final progress update
+    mainWindow.webContents.send('scraping-progress', `${runLabel} completed`, {
+      message: `${runLabel} completed`,
+      percentage: 100,
+      progressDetail: isRefresh
+        ? `Change log: ${scraperInstance.changeLogPath}`
+        : (isRetry ? `${scraperInstance.failedRequests.size} requests still failing` : 'All states and events processed')
+    });
 
-      return { success: true, message: 'Scraping completed successfully' };
-    } catch (error) {
-      // Log error and update state
-      await writeLogEntry(`Scraping error: ${error.message}`);
+    return { success: true, message: `${runLabel} completed successfully` };
+  } catch (error) {
+    // Log error and update state
+    await writeLogEntry(`Scraping error: ${error.message}`);
+
+    isScraperRunning = false;
+    console.error('Scraping error:', error);
+
+    // Send error progress update
+    mainWindow.webContents.send('scraping-progress', `Error: ${error.message}`, {
+      error: true,
+      message: `Error: ${error.message}`
+    });
+
+    return {
+      success: false,
+      message: error.message || 'An error occurred during scraping'
+    };
+  }
+}
 
-      isScraperRunning = false;
-      console.error('Scraping error:', error);
+// Keep track of a run until it has finished. Stop clears isScraperRunning
+// straight away, but the stopped run still saves its progress and cleans up
+// for a moment after that.
+function trackRun(run) {
+  unfinishedRuns.add(run);
+  const done = () => unfinishedRuns.delete(run);
+  run.then(done, done);
+  return run;
+}
 
-      // Send error progress update
-      mainWindow.webContents.send('scraping-progress', `Error: ${error.message}`, {
-        error: true,
-        message: `Error: ${error.message}`
-      });
+// Start the scheduler for automatic runs. Jobs missed while the app was closed
+// run right away; jobs never start while another scrape is running or a
+// stopped one is still finishing.
+async function startScheduler() {
+  const { Scheduler } = require('./scheduler');
+  scheduler = new Scheduler({
+    filePath: SCHEDULE_PATH,
+    runJob: (job, jobOptions) => trackRun(runScraper({
+      ...jobOptions,
+      resume: false,
+      trigger: `scheduled: ${job.name}`
+    })),
+    isBusy: () => isScraperRunning || unfinishedRuns.size > 0,
+    onLog: message => writeLogEntry(message)
+  });
+
+  await scheduler.load();
+  scheduler.start().catch(error => {
+    console.error('Error running scheduled jobs:', error);
+  });
+}
+
+// Scheduled jobs plus the latest runs, for the schedule panel
+async function describeSchedule() {
+  const { SCHEDULE_ACTIONS } = require('./scheduler');
+  const store = await getEventStore();
+  return {
+    success: true,
+    jobs: scheduler.getJobs(),
+    actions: Object.entries(SCHEDULE_ACTIONS).map(([id, action]) => ({ id, label: action.label })),
+    runs: store.getRuns(10)
+  };
+}
+
+// Set up all IPC handlers
+function setupIpcHandlers() {
+  // IPC handler to get logs
+  ipcMain.handle('get-logs', async () => {
+    return await readLogFile();
+  });
+
+  // IPC handler for checking app state
+  ipcMain.handle('check-app-state', async () => {
+    try {
+      // Recheck whether there are events to export
+      const hasEvents = await checkEventsExist();
+      scrapedDataExists = hasEvents;
+
+      // Check progress file, and which states a resume would carry on with
+      const progressExists = await fs.pathExists(PROGRESS_FILE_PATH);
+      let resumeStates = null;
+      if (progressExists) {
+        const { readProgress } = require('./progress-file');
+        const progressData = await readProgress(PROGRESS_FILE_PATH);
+        resumeStates = (progressData && progressData.selectedStates) || null;
+      }
 
       return {
-        success: false,
-        message: error.message || 'An error occurred during scraping'
+        isScraperRunning,
+        scrapedDataExists: hasEvents,
+        hasProgress: progressExists,
+        resumeStates
+      };
+    } catch (error) {
+      console.error('Error checking app state:', error);
+      return {
+        isScraperRunning: false,
+        scrapedDataExists: false,
+        hasProgress: false
       };
     }
   });
 
+  // IPC handler to start scraping
+  ipcMain.handle('start-scraping', (event, options = {}) => trackRun(runScraper(options)));
+
   ipcMain.handle('stop-scraping', async (event) => {
     if (!isScraperRunning) {
       return {
@@ -422,13 +614,17 @@ function setupIpcHandlers() {
         }
 
         // Allow some time for the scraper to clean up
-        setTimeout(async () => {
-          if (scraperInstance && typeof scraperInstance.cleanup === 'function') {
-            await scraperInstance.cleanup();
+        trackRun(new Promise(resolve => setTimeout(async () => {
+          try {
+            if (scraperInstance && typeof scraperInstance.cleanup === 'function') {
+              await scraperInstance.cleanup();
+            }
+            // Clear the instance to allow garbage collection
+            scraperInstance = null;
+          } finally {
+            resolve();
           }
-          // Clear the instance to allow garbage collection
-          scraperInstance = null;
-        }, 2000);
+        }, 2000)));
       }
 
       return {
@@ -538,10 +734,31 @@ function setupIpcHandlers() {
         }
       }
 
-      // 5. Delete the CSV file
+      // The backup and any half-written save too, or the next start would
+      // restore the progress from them
       try {
-        if (await fs.pathExists(CSV_FILE_PATH)) {
-          await fs.remove(CSV_FILE_PATH);
+        const { removeProgressBackups } = require('./progress-file');
+        await removeProgressBackups(progressFilePath);
+      } catch (e) {
+        console.error('Error removing progress backup:', e);
+        errorMessages.push(`Failed to remove progress backup: ${e.message}`);
+      }
+
+      // 5. Empty the event database
+      try {
+        const store = await getEventStore();
+        store.clear();
+        await store.save();
+        successMessages.push('Event database cleared');
+      } catch (e) {
+        console.error('Error clearing event database:', e);
+        errorMessages.push(`Failed to clear event database: ${e.message}`);
+      }
+
+      // 6. Delete the CSV file left by older versions
+      try {
+        if (await fs.pathExists(csvFilePath())) {
+          await fs.remove(csvFilePath());
           successMessages.push('CSV file removed');
         } else {
           successMessages.push('No CSV file found to remove');
@@ -553,8 +770,8 @@ function setupIpcHandlers() {
         // Try native fs as backup
         try {
           const fs_native = require('fs');
-          if (fs_native.existsSync(CSV_FILE_PATH)) {
-            fs_native.unlinkSync(CSV_FILE_PATH);
+          if (fs_native.existsSync(csvFilePath())) {
+            fs_native.unlinkSync(csvFilePath());
             successMessages.push('CSV file removed with native fs');
           }
         } catch (e2) {
@@ -562,7 +779,7 @@ function setupIpcHandlers() {
         }
       }
 
-      // 6. Clear log file but keep the file
+      // 7. Clear log file but keep the file
       try {
         // Ensure logs directory exists
         await fs.ensureDir(LOGS_DIR);
@@ -575,9 +792,9 @@ function setupIpcHandlers() {
         errorMessages.push(`Failed to clear log file: ${e.message}`);
       }
 
-      // 7. Final check if files still exist
+      // 8. Final check if files still exist
       const progressStillExists = await fs.pathExists(progressFilePath);
-      const csvStillExists = await fs.pathExists(CSV_FILE_PATH);
+      const csvStillExists = await fs.pathExists(csvFilePath());
 
       if (progressStillExists) {
         console.warn('WARNING: Progress file STILL exists after all deletion attempts!');
@@ -589,7 +806,7 @@ function setupIpcHandlers() {
         errorMessages.push('CSV file could not be deleted by any method');
       }
 
-      // 8. Write reset operation outcome to logs
+      // 9. Write reset operation outcome to logs
       await writeLogEntry('Scraper has been reset');
       await writeLogEntry(`Reset operation results: ${successMessages.join(', ')}`);
       if (errorMessages.length > 0) {
@@ -623,8 +840,31 @@ function setupIpcHandlers() {
     }
   });
 
-  // IPC handler to save CSV file to user-selected location
-  ipcMain.handle('save-csv-file', async () => {
+  // IPC handler for what the export dialog can offer: states with events and columns
+  ipcMain.handle('get-export-options', async () => {
+    try {
+      const { CSV_COLUMNS } = require('./csv-store');
+      const store = await getEventStore();
+      return {
+        success: true,
+        states: store.getStateCounts(),
+        columns: CSV_COLUMNS
+      };
+    } catch (error) {
+      console.error('Error loading export options:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading export options'
+      };
+    }
+  });
+
+  // IPC handler to export the events to a user-selected file. The format
+  // (CSV, JSON, NDJSON, iCalendar or GeoJSON) follows the chosen extension.
+  // options.filters (states, dates, keywords, upcoming only) narrow down the
+  // events, options.columns picks and orders the columns, and with
+  // options.deduplicate likely duplicates are folded into one record.
+  ipcMain.handle('save-csv-file', async (event, options = {}) => {
     try {
       if (!scrapedDataExists) {
         return {
@@ -633,13 +873,17 @@ function setupIpcHandlers() {
         };
       }
 
-      // Open save dialog
+      const { exportEvents, formatFromPath, EXPORT_FORMATS } = require('./event-export');
+
+      // Open save dialog, suggesting the default export format from Settings
+      const defaultFormat = (settings && settings.exportFormat) || 'csv';
       const { canceled, filePath } = await dialog.showSaveDialog({
         title: 'Save Car Events Data',
-        defaultPath: path.join(app.getPath('downloads'), 'car_events_details.csv'),
-        filters: [
-          { name: 'CSV Files', extensions: ['csv'] }
-        ]
+        defaultPath: path.join(app.getPath('downloads'), `car_events_details.${EXPORT_FORMATS[defaultFormat].extensions[0]}`),
+        filters: Object.values(EXPORT_FORMATS).map(({ name, extensions }) => ({
+          name: `${name} Files`,
+          extensions
+        }))
       });
 
       if (canceled) {
@@ -649,14 +893,34 @@ function setupIpcHandlers() {
         };
       }
 
-      // Copy CSV file from app data to selected location
-      await fs.copyFile(CSV_FILE_PATH, filePath);
-      await writeLogEntry(`CSV file exported to ${filePath}`);
+      // Export the events from the database
+      const store = await getEventStore();
+      const { filterEvents } = require('./event-filter');
+      if (options.deduplicate) {
+        const { updateDuplicateClusters } = require('./event-dedup');
+        updateDuplicateClusters(store);
+        await store.save();
+      }
+
+      let records = store.getAllEvents();
+      if (options.deduplicate) {
+        const { deduplicateRecords } = require('./event-dedup');
+        records = deduplicateRecords(records);
+      }
+      records = filterEvents(records, options.filters || {});
+
+      const result = await exportEvents(records, filePath, formatFromPath(filePath) || defaultFormat, {
+        columns: options.columns
+      });
+      await writeLogEntry(`Exported ${result.exported} events as ${result.format} to ${filePath}`);
 
       return {
         success: true,
         message: 'File saved successfully',
-        path: filePath
+        path: filePath,
+        format: EXPORT_FORMATS[result.format].name,
+        exported: result.exported,
+        skipped: result.skipped
       };
     } catch (error) {
       console.error('Error saving CSV file:', error);
@@ -667,6 +931,428 @@ function setupIpcHandlers() {
     }
   });
 
+  // IPC handler for the "shows near me" search
+  ipcMain.handle('search-nearby', async (event, options = {}) => {
+    try {
+      const { resolveLocation, searchNearby } = require('./event-search');
+      const miles = parseFloat(options.miles) || 50;
+      const origin = await resolveLocation(options.location);
+      const store = await getEventStore();
+
+      const results = searchNearby(store.getAllEvents(), {
+        origin,
+        miles,
+        from: options.from || null,
+        to: options.to || null
+      });
+
+      return {
+        success: true,
+        origin,
+        miles,
+        results: results.map(record => ({
+          eventName: record.eventName,
+          venue: record.venue,
+          city: record.city,
+          stateAbbr: record.stateAbbr,
+          startDate: record.startDate,
+          endDate: record.endDate,
+          startTime: record['start-time'],
+          distanceMiles: record.distanceMiles,
+          geoPrecision: record.geoPrecision,
+          link: record.originalLink
+        }))
+      };
+    } catch (error) {
+      console.error('Error searching nearby events:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while searching'
+      };
+    }
+  });
+
+  // IPC handler for one page of the event browser (search, column filters,
+  // sorting and paging; see queryEvents in event-filter.js)
+  ipcMain.handle('query-events', async (event, query = {}) => {
+    try {
+      const { queryEvents } = require('./event-filter');
+      const store = await getEventStore();
+      const result = queryEvents(store.getAllEvents(), query);
+
+      return {
+        success: true,
+        ...result,
+        rows: result.rows.map(record => ({
+          eventName: record.eventName,
+          startDate: record.startDate,
+          endDate: record.endDate,
+          startTime: record['start-time'],
+          venue: record.venue,
+          city: record.city,
+          stateAbbr: record.stateAbbr,
+          organizer: record.organizer,
+          price: record.price,
+          status: record.status,
+          duplicateOf: record.duplicateOf,
+          link: record.originalLink
+        }))
+      };
+    } catch (error) {
+      console.error('Error querying events:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading events'
+      };
+    }
+  });
+
+  // IPC handlers for scheduled runs
+  ipcMain.handle('get-schedule', async () => {
+    try {
+      return await describeSchedule();
+    } catch (error) {
+      console.error('Error loading schedule:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading the schedule'
+      };
+    }
+  });
+
+  ipcMain.handle('save-schedule-job', async (event, job = {}) => {
+    try {
+      if (job.id) {
+        await scheduler.updateJob(job.id, job);
+      } else {
+        const added = await scheduler.addJob(job);
+        await writeLogEntry(`Scheduled job "${added.name}" added (${added.cron})`);
+      }
+      return await describeSchedule();
+    } catch (error) {
+      console.error('Error saving scheduled job:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while saving the scheduled job'
+      };
+    }
+  });
+
+  // IPC handler for the Settings panel: current values plus the allowed ranges
+  ipcMain.handle('get-settings', async () => {
+    try {
+      const { CONFIG_FIELDS } = require('./scraper-config');
+      return {
+        success: true,
+        settings: await loadSettings(),
+        fields: CONFIG_FIELDS,
+        defaultOutputDir: DEFAULT_OUTPUT_DIR
+      };
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading settings'
+      };
+    }
+  });
+
+  // IPC handler saving changed settings. They apply from the next run; a new
+  // output folder switches the event database over straight away.
+  ipcMain.handle('save-settings', async (event, changes = {}) => {
+    try {
+      const { saveConfig } = require('./scraper-config');
+      const previousOutputDir = outputDir();
+      const movesOutput = changes.outputDir !== undefined &&
+        (changes.outputDir || DEFAULT_OUTPUT_DIR) !== previousOutputDir;
+
+      if (movesOutput && isScraperRunning) {
+        throw new Error('Stop the scraper before changing the output folder');
+      }
+
+      settings = await saveConfig(SETTINGS_PATH, changes);
+      await writeLogEntry(`Settings saved: ${Object.keys(changes).join(', ')}`);
+
+      if (movesOutput) {
+        await fs.ensureDir(outputDir());
+        if (eventStore) {
+          await eventStore.close();
+          eventStore = null;
+        }
+        scrapedDataExists = await checkEventsExist();
+        await writeLogEntry(`Output folder changed from ${previousOutputDir} to ${outputDir()}`);
+      }
+
+      return { success: true, settings };
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while saving settings'
+      };
+    }
+  });
+
+  // IPC handler for the output folder's Browse button
+  ipcMain.handle('choose-output-dir', async () => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog({
+        title: 'Choose Output Folder',
+        defaultPath: outputDir(),
+        properties: ['openDirectory', 'createDirectory']
+      });
+      if (canceled || filePaths.length === 0) {
+        return { success: false, message: 'No folder chosen' };
+      }
+      return { success: true, path: filePaths[0] };
+    } catch (error) {
+      console.error('Error choosing output folder:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while choosing a folder'
+      };
+    }
+  });
+
+  ipcMain.handle('remove-schedule-job', async (event, id) => {
+    try {
+      await scheduler.removeJob(id);
+      return await describeSchedule();
+    } catch (error) {
+      console.error('Error removing scheduled job:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while removing the scheduled job'
+      };
+    }
+  });
+
+  // IPC handler for the state map: upcoming events and scrape status per state
+  ipcMain.handle('get-state-map', async () => {
+    try {
+      const { summarizeStates, summarizeOtherPages } = require('./state-map');
+      const { findState } = require('./us-states');
+      const store = await getEventStore();
+      const stateLinks = await readStateLinks();
+      const records = store.getAllEvents();
+      const statusRows = store.getScrapeStatus();
+
+      // States without a page in state-car-show-links.json can't be picked
+      const withPages = new Set(stateLinks.map(({ name }) => (findState(name) || {}).abbr));
+      return {
+        success: true,
+        states: summarizeStates(records, statusRows)
+          .map(state => ({ ...state, hasPage: withPages.has(state.abbr) })),
+        // Provinces and other pages, which are only in the state picker
+        otherStates: summarizeOtherPages(stateLinks, records, statusRows)
+      };
+    } catch (error) {
+      console.error('Error loading state map:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading the state map'
+      };
+    }
+  });
+
+  // IPC handler crawling the site for its current state pages. The result is
+  // compared with the list in use and kept until it's adopted (or discarded
+  // by the next discovery); nothing changes yet.
+  ipcMain.handle('discover-states', async (event, options = {}) => {
+    try {
+      if (isScraperRunning) {
+        throw new Error('Wait for the scraper to finish before discovering states');
+      }
+
+      const { ComprehensiveCarEventScraper } = require('./scraper');
+      const { diffStateLinks, hasStateLinkChanges, describeStateLinksDiff } = require('./state-links');
+      const scraper = new ComprehensiveCarEventScraper({
+        config: settings,
+        logsPath: LOG_FILE_PATH,
+        httpMode: options.httpMode || 'live',
+        fixturesDir: FIXTURES_DIR
+      });
+      scraper.onProgress = message => writeLogEntry(message);
+
+      const { states, ignored, indexUrl } = await scraper.discoverStateLinks();
+      const diff = diffStateLinks(await readStateLinks(), states);
+      discoveredStateLinks = hasStateLinkChanges(diff) ? states : null;
+      await writeLogEntry(`State discovery (${indexUrl}): ${describeStateLinksDiff(diff).join('; ')}`);
+
+      return {
+        success: true,
+        indexUrl,
+        diff,
+        ignored,
+        hasChanges: hasStateLinkChanges(diff)
+      };
+    } catch (error) {
+      console.error('Error discovering states:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while discovering states'
+      };
+    }
+  });
+
+  // IPC handler switching to the list found by the last discovery
+  ipcMain.handle('adopt-state-links', async () => {
+    try {
+      if (!discoveredStateLinks) {
+        throw new Error('Nothing to adopt. Run "Discover States" first.');
+      }
+      if (isScraperRunning) {
+        throw new Error('Wait for the scraper to finish before changing the state list');
+      }
+
+      const { writeStateLinksFile } = require('./state-links');
+      await writeStateLinksFile(ADOPTED_STATE_LINKS_PATH, discoveredStateLinks);
+      await writeLogEntry(`Adopted discovered state list (${discoveredStateLinks.length} states)`);
+      discoveredStateLinks = null;
+      return { success: true };
+    } catch (error) {
+      console.error('Error adopting state list:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while adopting the state list'
+      };
+    }
+  });
+
+  // What startup repaired in the progress file. Reported once: later calls
+  // get an empty list.
+  ipcMain.handle('get-progress-recovery', async () => {
+    const messages = progressRecovery;
+    progressRecovery = [];
+    return { success: true, messages };
+  });
+
+  // IPC handler for the failed-request queue (kept in the progress file)
+  ipcMain.handle('get-failed-requests', async () => {
+    try {
+      const { readProgress } = require('./progress-file');
+      const progressData = (await readProgress(PROGRESS_FILE_PATH)) || {};
+      const requests = (progressData.failedRequests || [])
+        .sort((a, b) => (b.lastFailedAt || '').localeCompare(a.lastFailedAt || ''));
+      return { success: true, requests };
+    } catch (error) {
+      console.error('Error loading failed requests:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading failed requests'
+      };
+    }
+  });
+
+  // IPC handler for the calendar: events between options.from and options.to,
+  // optionally limited to options.states
+  ipcMain.handle('get-calendar-events', async (event, options = {}) => {
+    try {
+      const { calendarEvents } = require('./event-filter');
+      const store = await getEventStore();
+
+      return {
+        success: true,
+        events: calendarEvents(store.getAllEvents(), {
+          from: options.from || null,
+          to: options.to || null,
+          states: options.states || []
+        }),
+        states: store.getStateCounts()
+      };
+    } catch (error) {
+      console.error('Error loading calendar events:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading the calendar'
+      };
+    }
+  });
+
+  // IPC handler for everything stored about one event (the detail panes)
+  ipcMain.handle('get-event-details', async (event, link) => {
+    try {
+      const store = await getEventStore();
+      const record = store.getEvent(link);
+      if (!record) {
+        return { success: false, message: 'Event not found in the database' };
+      }
+      return { success: true, event: record };
+    } catch (error) {
+      console.error('Error loading event details:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while loading the event'
+      };
+    }
+  });
+
+  // IPC handler opening an event's original page in the default browser
+  ipcMain.handle('open-external-link', async (event, url) => {
+    try {
+      if (!/^https?:\/\//i.test(String(url || ''))) {
+        throw new Error(`Not a web link: ${url}`);
+      }
+      await shell.openExternal(url);
+      return { success: true };
+    } catch (error) {
+      console.error('Error opening link:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while opening the link'
+      };
+    }
+  });
+
+  // IPC handler listing groups of likely duplicate events for review
+  ipcMain.handle('get-duplicates', async () => {
+    try {
+      const { updateDuplicateClusters } = require('./event-dedup');
+      const store = await getEventStore();
+      const clusters = updateDuplicateClusters(store);
+      await store.save();
+
+      return { success: true, clusters: describeClusters(store, clusters) };
+    } catch (error) {
+      console.error('Error finding duplicates:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while finding duplicates'
+      };
+    }
+  });
+
+  // IPC handler for the user's verdict on a duplicate group: 'confirm' keeps it,
+  // 'split' breaks it up (or just takes options.removeLink out of it)
+  ipcMain.handle('resolve-duplicates', async (event, options = {}) => {
+    try {
+      const { confirmCluster, splitCluster } = require('./event-dedup');
+      if (!Array.isArray(options.links) || options.links.length < 2) {
+        throw new Error('A duplicate group needs at least two links');
+      }
+
+      const store = await getEventStore();
+      let clusters;
+      if (options.action === 'confirm') {
+        clusters = confirmCluster(store, options.links);
+      } else if (options.action === 'split') {
+        clusters = splitCluster(store, options.links, options.removeLink || null);
+      } else {
+        throw new Error(`Unknown duplicate action: ${options.action}`);
+      }
+      await store.save();
+      await writeLogEntry(`Duplicate group ${options.action === 'confirm' ? 'confirmed' : 'split'}: ${options.links.join(', ')}`);
+
+      return { success: true, clusters: describeClusters(store, clusters) };
+    } catch (error) {
+      console.error('Error resolving duplicates:', error);
+      return {
+        success: false,
+        message: error.message || 'An error occurred while updating duplicates'
+      };
+    }
+  });
+
   // Add this for writing logs (used in preload.js)
   ipcMain.handle('write-logs', async (event, logs) => {
     try {
@@ -701,24 +1387,33 @@ app.whenReady().then(async () => {
   try {
     // Ensure directories exist
     await fs.ensureDir(APP_DATA_DIR);
-    await fs.ensureDir(CSV_OUTPUT_DIR);
     await fs.ensureDir(LOGS_DIR);
     await fs.ensureFile(LOG_FILE_PATH);
 
-    // Check if CSV file exists
-    const csvExists = await fs.pathExists(CSV_FILE_PATH);
-    if (csvExists) {
-      const stats = await fs.stat(CSV_FILE_PATH);
-      scrapedDataExists = stats.size > 0;
-    }
+    // Scraper settings decide where the event database lives
+    await loadSettings();
+    await fs.ensureDir(outputDir());
 
-    // Load previous progress
-    const progressExists = await fs.pathExists(PROGRESS_FILE_PATH);
-    if (progressExists) {
-      const progressData = await fs.readJSON(PROGRESS_FILE_PATH);
-      if (progressData.trackedEventLinks && Array.isArray(progressData.trackedEventLinks)) {
+    // Open the event database and check whether it has anything to export
+    scrapedDataExists = await checkEventsExist();
+
+    // Load previous progress. If the app was closed while saving it and the
+    // file can't be read, it comes back from the backup or is rebuilt from
+    // the event database; what happened is logged and shown in the window.
+    try {
+      const { loadProgressFile } = require('./progress-file');
+      const { data: progressData, messages } = await loadProgressFile(PROGRESS_FILE_PATH, { store: await getEventStore() });
+      if (progressData && Array.isArray(progressData.trackedEventLinks)) {
         trackedEventLinks = new Set(progressData.trackedEventLinks);
       }
+      progressRecovery = messages;
+    } catch (error) {
+      console.error('Error loading progress:', error);
+      progressRecovery = [error.message];
+    }
+    for (const message of progressRecovery) {
+      console.log(`Progress file: ${message}`);
+      await writeLogEntry(`Progress file: ${message}`);
     }
 
     // Create the window
@@ -727,6 +1422,9 @@ app.whenReady().then(async () => {
     // Set up IPC handlers
     setupIpcHandlers();
 
+    // Automatic runs (after the window exists, so they can report progress)
+    await startScheduler();
+
     console.log('Initialization complete');
   } catch (error) {
     console.error('Error during initialization:', error);
@@ -0,0 +1,389 @@
+// One place that decides when the scraper may send its next request, so we
+// respect the site's limits however many fetches are in flight:
+// - a token bucket caps requests per second (with random jitter so requests
+//   don't go out on a fixed beat)
+// - robots.txt is fetched once per site; disallowed URLs are refused and its
+//   Crawl-delay becomes the minimum gap between requests
+// - when responses get slow or start failing, the rate is halved until the
+//   site recovers
+// - a Retry-After on a 429/503 holds every request until the time it names
+// - after several failures in a row a circuit breaker pauses the whole run
+//   for a cool-down (see circuit-breaker.js)
+// - retry backoff goes through here too
+
+const { CircuitBreaker } = require('./circuit-breaker');
+const { TRANSIENT_KINDS, classifyRequestError } = require('./request-errors');
+
+const DEFAULT_POLITENESS = {
+  requestsPerSecond: 1,
+  burst: 1,                   // Requests that may go out back to back after a quiet spell
+  jitter: 0.3,                // Up to 30% extra random wait
+  respectRobotsTxt: true,
+  robotsAgent: 'carcruisefinder-scraper', // Name looked for in robots.txt user-agent lines
+  maxCrawlDelaySeconds: 60,   // Ignore absurd Crawl-delay values
+  adaptive: true,
+  latencyThresholdMs: 4000,   // Average response time that counts as "slow"
+  errorRateThreshold: 0.2,    // Share of failed requests that counts as "struggling"
+  sampleSize: 20,             // Requests looked at for latency and error rate
+  maxSlowdown: 8,             // Never drop below requestsPerSecond / maxSlowdown
+  backoffBaseMs: 2000,        // Wait before the first retry; doubles for each one after
+  maxBackoffMs: 60000,
+  maxRetryAfterSeconds: 600,  // Longest Retry-After we'll honour
+  breakerThreshold: 3,        // Failures in a row that pause the run
+  breakerCooldownMs: 60000,   // First pause; doubles while the site stays down
+  maxBreakerCooldownMs: 900000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- robots.txt ---
+
+// Groups of { agents, rules: [{ allow, path }], crawlDelay }
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  });
+
+  return groups;
+}
+
+// The name a user agent goes by in robots.txt: its first product token
+// ("carcruisefinder-scraper/1.0" -> "carcruisefinder-scraper")
+function robotsAgentFor(userAgent) {
+  const match = String(userAgent || '').trim().match(/^[^\s/]+/);
+  return match ? match[0].toLowerCase() : DEFAULT_POLITENESS.robotsAgent;
+}
+
+// Rules for our agent: the group naming it, otherwise the "*" group
+function robotsRulesFor(groups, agent) {
+  const name = String(agent || '').toLowerCase();
+  const own = groups.filter(group => group.agents.some(candidate => candidate !== '*' && name.includes(candidate)));
+  const chosen = own.length > 0 ? own : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: chosen.flatMap(group => group.rules),
+    crawlDelay: chosen.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+  };
+}
+
+// robots.txt path pattern (with * and $) -> RegExp
+function robotsPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The most specific (longest) matching rule wins; Allow wins a tie
+function isAllowedByRobots(rules, urlPath) {
+  let best = null;
+  rules.forEach(rule => {
+    if (!robotsPattern(rule.path).test(urlPath)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+class PolitenessController {
+  // options: DEFAULT_POLITENESS overrides, plus
+  //   enabled: false turns every wait off (replaying recorded pages)
+  //   fetchRobots(url) -> { status, data } to download robots.txt
+  //   onNotice(message, details) when the rate changes, robots.txt applies,
+  //     the site asks us to wait or the circuit breaker opens or closes.
+  //     details are progress data: { politeness }, { retryAfter } or { circuitBreaker }
+  //   shouldContinue() -> false ends long waits early (the run was stopped)
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_POLITENESS };
+    Object.keys(DEFAULT_POLITENESS).forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) this.config[key] = options[key];
+    });
+    this.enabled = options.enabled !== false;
+    this.fetchRobots = options.fetchRobots || null;
+    this.onNotice = options.onNotice || (() => {});
+    this.shouldContinue = options.shouldContinue || (() => true);
+
+    this.tokens = this.config.burst;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+    this.lastRequestAt = 0;
+
+    this.robots = new Map(); // origin -> Promise of { rules, crawlDelay }
+    this.samples = [];       // { latency, failed } of recent requests
+    this.slowdown = 1;
+    this.samplesSinceChange = 0;
+
+    this.pausedUntil = 0; // Set by Retry-After
+    this.breaker = new CircuitBreaker({
+      threshold: this.config.breakerThreshold,
+      cooldownMs: this.config.breakerCooldownMs,
+      maxCooldownMs: this.config.maxBreakerCooldownMs,
+      onChange: (state, details) => this.noticeBreaker(state, details)
+    });
+  }
+
+  // Requests per second we currently allow
+  currentRate() {
+    return this.config.requestsPerSecond / this.slowdown;
+  }
+
+  // Crawl-delay from robots.txt, in ms: a hard minimum between requests
+  crawlDelayMs(robots) {
+    if (!robots || robots.crawlDelay === null) return 0;
+    return Math.min(robots.crawlDelay, this.config.maxCrawlDelaySeconds) * 1000;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.config.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.currentRate());
+    this.lastRefill = now;
+  }
+
+  // Fetch and cache robots.txt for the URL's site. Sites without one (or that
+  // can't be reached) allow everything.
+  robotsFor(url) {
+    const origin = new URL(url).origin;
+    if (!this.robots.has(origin)) {
+      this.robots.set(origin, this.loadRobots(origin));
+    }
+    return this.robots.get(origin);
+  }
+
+  async loadRobots(origin) {
+    const none = { rules: [], crawlDelay: null };
+    if (!this.config.respectRobotsTxt || !this.fetchRobots) return none;
+
+    try {
+      const response = await this.fetchRobots(`${origin}/robots.txt`);
+      if (!response || response.status >= 400) return none;
+
+      const robots = robotsRulesFor(parseRobotsTxt(response.data), this.config.robotsAgent);
+      if (robots.crawlDelay !== null) {
+        this.onNotice(`robots.txt for ${origin} asks for ${robots.crawlDelay}s between requests`, {
+          politeness: { crawlDelay: robots.crawlDelay }
+        });
+      }
+      return robots;
+    } catch (error) {
+      if (error.response && error.response.status >= 400 && error.response.status < 500) return none;
+      this.onNotice(`Could not read robots.txt for ${origin} (${error.message}); continuing without it`, {
+        politeness: { robotsError: error.message }
+      });
+      return none;
+    }
+  }
+
+  // Sleep that ends early with SCRAPER_STOPPED when the run is stopped, so a
+  // long pause doesn't hold up a stop request
+  async pause(ms) {
+    const until = Date.now() + ms;
+    for (let left = ms; left > 0; left = until - Date.now()) {
+      if (!this.shouldContinue()) {
+        const error = new Error('Stopped while waiting to send a request');
+        error.code = 'SCRAPER_STOPPED';
+        throw error;
+      }
+      await sleep(Math.min(left, 1000));
+    }
+  }
+
+  // Hold requests while the circuit breaker is open. Resolves to true when
+  // this caller got to make the half-open trial request.
+  async waitForBreaker() {
+    let wait;
+    while ((wait = this.breaker.waitTime()) > 0) {
+      await this.pause(wait);
+    }
+    return this.breaker.state === 'half-open';
+  }
+
+  noticeBreaker(state, details) {
+    const circuitBreaker = { state, ...details };
+    if (state === 'open') {
+      const seconds = Math.round(details.cooldownMs / 1000);
+      this.onNotice(`Site keeps failing (${details.failures} ${details.kind} errors in a row); pausing all requests for ${seconds}s`, { circuitBreaker });
+    } else if (state === 'half-open') {
+      this.onNotice('Pause over; sending one request to see if the site has recovered', { circuitBreaker });
+    } else {
+      this.onNotice('Site is responding again; resuming', { circuitBreaker });
+    }
+  }
+
+  // Wait for a token. Calls are served one at a time in arrival order.
+  acquire(robots) {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      let wait = this.tokens >= 1 ? 0 : ((1 - this.tokens) / this.currentRate()) * 1000;
+      wait = Math.max(wait, this.lastRequestAt + this.crawlDelayMs(robots) - Date.now());
+
+      // The site told us when to come back
+      if (this.pausedUntil > Date.now() + wait) {
+        await this.pause(this.pausedUntil - Date.now());
+        wait = 0;
+      }
+
+      if (wait > 0) {
+        await this.pause(wait * (1 + Math.random() * this.config.jitter));
+      }
+
+      this.refill();
+      this.tokens = Math.max(0, this.tokens - 1);
+      this.lastRequestAt = Date.now();
+    });
+
+    // A failed turn must not block the ones behind it
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Run request() when the rules allow it. Throws ROBOTS_DISALLOWED for URLs
+  // robots.txt keeps us out of, and SCRAPER_STOPPED when the run was stopped
+  // while waiting. A failure that opened the circuit breaker is marked with
+  // error.breakerTripped.
+  async schedule(url, request) {
+    if (!this.enabled) return request();
+
+    const robots = await this.robotsFor(url);
+    const { pathname, search } = new URL(url);
+    if (!isAllowedByRobots(robots.rules, `${pathname}${search}`)) {
+      const error = new Error(`robots.txt does not allow fetching ${url}`);
+      error.code = 'ROBOTS_DISALLOWED';
+      throw error;
+    }
+
+    const madeTrial = await this.waitForBreaker();
+    try {
+      await this.acquire(robots);
+    } catch (error) {
+      // Stopped before the trial went out; without this the others would
+      // wait for its result forever
+      if (madeTrial) this.breaker.releaseTrial();
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const response = await request();
+      this.record(Date.now() - startedAt, false);
+      this.breaker.recordSuccess();
+      return response;
+    } catch (error) {
+      // 404s are normal (end of pagination, removed events); timeouts, 429s
+      // and 5xx mean the site is struggling
+      const info = classifyRequestError(error);
+      const struggling = TRANSIENT_KINDS.has(info.kind);
+      this.record(Date.now() - startedAt, struggling);
+
+      if (info.retryAfterMs !== null) {
+        this.holdFor(url, info);
+      }
+      if (struggling) {
+        error.breakerTripped = this.breaker.recordFailure(info.kind);
+      } else {
+        this.breaker.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  // Honour Retry-After: no request goes out before then
+  holdFor(url, info) {
+    const waitMs = Math.min(info.retryAfterMs, this.config.maxRetryAfterSeconds * 1000);
+    const until = Date.now() + waitMs;
+    if (until <= this.pausedUntil) return;
+
+    this.pausedUntil = until;
+    this.onNotice(`Site answered ${info.status} and asked us to wait ${Math.ceil(waitMs / 1000)}s (Retry-After); holding all requests`, {
+      retryAfter: {
+        url,
+        status: info.status,
+        kind: info.kind,
+        waitMs,
+        resumesAt: new Date(until).toISOString()
+      }
+    });
+  }
+
+  // Adapt the rate to how the site is coping
+  record(latency, failed) {
+    this.samples.push({ latency, failed });
+    if (this.samples.length > this.config.sampleSize) this.samples.shift();
+    this.samplesSinceChange++;
+
+    // Judge only on a full window of requests made at the current rate
+    if (!this.config.adaptive || this.samplesSinceChange < this.config.sampleSize) return;
+
+    const errorRate = this.samples.filter(sample => sample.failed).length / this.samples.length;
+    const averageLatency = this.samples.reduce((sum, sample) => sum + sample.latency, 0) / this.samples.length;
+    const struggling = errorRate >= this.config.errorRateThreshold || averageLatency >= this.config.latencyThresholdMs;
+    const healthy = errorRate === 0 && averageLatency < this.config.latencyThresholdMs / 2;
+
+    let slowdown = this.slowdown;
+    if (struggling) slowdown = Math.min(this.config.maxSlowdown, this.slowdown * 2);
+    else if (healthy) slowdown = Math.max(1, this.slowdown / 2);
+    if (slowdown === this.slowdown) return;
+
+    this.slowdown = slowdown;
+    this.samplesSinceChange = 0;
+    this.onNotice(
+      `${struggling ? 'Slowing down' : 'Speeding up'} to ${this.currentRate().toFixed(2)} requests/second ` +
+      `(error rate ${Math.round(errorRate * 100)}%, average response ${Math.round(averageLatency)}ms)`,
+      { politeness: { requestsPerSecond: this.currentRate(), errorRate, averageLatency } }
+    );
+  }
+
+  // Wait before retry number `attempt` (1, 2, ...): exponential with jitter,
+  // and longer while we're slowed down. No extra wait after a failure that
+  // came with a Retry-After or opened the circuit breaker: the next request
+  // waits for those anyway.
+  async backoff(attempt, lastError = null) {
+    if (!this.enabled || attempt < 1) return;
+    if (lastError && (lastError.breakerTripped || classifyRequestError(lastError).retryAfterMs !== null)) return;
+
+    const base = this.config.backoffBaseMs * Math.pow(2, attempt - 1) * this.slowdown;
+    const delay = Math.min(this.config.maxBackoffMs, base) * (1 + Math.random() * this.config.jitter);
+    await this.pause(delay);
+  }
+}
+
+module.exports = {
+  PolitenessController,
+  DEFAULT_POLITENESS,
+  parseRobotsTxt,
+  robotsRulesFor,
+  robotsAgentFor,
+  isAllowedByRobots
+};
@@ -25,9 +25,42 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // App state checks
   checkAppState: () => ipcRenderer.invoke('check-app-state'),
+  getProgressRecovery: () => ipcRenderer.invoke('get-progress-recovery'),
   
   // File operations
-  saveCSVFile: () => ipcRenderer.invoke('save-csv-file'),
+  saveCSVFile: (options) => ipcRenderer.invoke('save-csv-file', options),
+  getExportOptions: () => ipcRenderer.invoke('get-export-options'),
+  
+  // Event search
+  searchNearby: (options) => ipcRenderer.invoke('search-nearby', options),
+  
+  // Event browser
+  queryEvents: (query) => ipcRenderer.invoke('query-events', query),
+  getEventDetails: (link) => ipcRenderer.invoke('get-event-details', link),
+  openExternalLink: (url) => ipcRenderer.invoke('open-external-link', url),
+  
+  // Scheduled runs
+  getSchedule: () => ipcRenderer.invoke('get-schedule'),
+  saveScheduleJob: (job) => ipcRenderer.invoke('save-schedule-job', job),
+  removeScheduleJob: (id) => ipcRenderer.invoke('remove-schedule-job', id),
+  
+  // State map
+  getStateMap: () => ipcRenderer.invoke('get-state-map'),
+  getFailedRequests: () => ipcRenderer.invoke('get-failed-requests'),
+  discoverStates: (options) => ipcRenderer.invoke('discover-states', options),
+  adoptStateLinks: () => ipcRenderer.invoke('adopt-state-links'),
+  
+  // Calendar
+  getCalendarEvents: (options) => ipcRenderer.invoke('get-calendar-events', options),
+  
+  // Duplicate review
+  getDuplicates: () => ipcRenderer.invoke('get-duplicates'),
+  resolveDuplicates: (options) => ipcRenderer.invoke('resolve-duplicates', options),
+  
+  // Settings
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  saveSettings: (changes) => ipcRenderer.invoke('save-settings', changes),
+  chooseOutputDir: () => ipcRenderer.invoke('choose-output-dir'),
   
   // Logging operations
   getLogs: () => ipcRenderer.invoke('get-logs'),
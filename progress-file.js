@@ -0,0 +1,226 @@
+// Reading and writing the scraper's progress file so that a crash can't lose it:
+// - every save goes to a temp file that is renamed into place, so the file is
+//   either the old version or the new one, never half written
+// - the save before is kept as <file>.bak
+// - schemaVersion says which layout the file uses; older layouts are migrated
+//   when read
+// - when neither the file nor its backup can be read, progress is rebuilt
+//   from the event database (what has been scraped is all in there)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { stateIdOf } = require('./state-links');
+
+const PROGRESS_SCHEMA_VERSION = 2;
+
+function backupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+// Keys in completedStates and stateProgress are state ids. Older versions
+// kept hyphens in them ("new-hampshire"); they're "new_hampshire" now.
+function rekeyStates(stateProgress) {
+  const rekeyed = {};
+  Object.entries(stateProgress || {}).forEach(([stateId, entry]) => {
+    rekeyed[stateIdOf(stateId)] = { ...rekeyed[stateIdOf(stateId)], ...entry };
+  });
+  return rekeyed;
+}
+
+// MIGRATIONS[n] turns a version n file into version n + 1
+const MIGRATIONS = {
+  // 1: every layout from before the file had a schemaVersion. The first ones
+  // only had the counters and tracked links; completed states, failed
+  // requests, refresh state and the state selection came later.
+  1: data => {
+    const completed = Array.isArray(data.completedStates)
+      ? data.completedStates
+      : Object.keys(data.completedStates || {}).filter(stateId => data.completedStates[stateId]);
+
+    return {
+      ...data,
+      trackedEventLinks: Array.isArray(data.trackedEventLinks) ? data.trackedEventLinks : [],
+      currentState: data.currentState || 0,
+      totalStates: data.totalStates || 0,
+      processedEvents: data.processedEvents || 0,
+      totalEventsFound: data.totalEventsFound || 0,
+      stateProgress: rekeyStates(data.stateProgress),
+      completedStates: Array.from(new Set(completed.map(stateIdOf))),
+      selectedStates: data.selectedStates || null,
+      failedRequests: Array.isArray(data.failedRequests) ? data.failedRequests : [],
+      mode: data.mode || 'scrape',
+      refresh: data.refresh || null
+    };
+  }
+};
+
+// -> { data, fromVersion }
+function migrateProgress(data) {
+  let version = data.schemaVersion || 1;
+  if (version > PROGRESS_SCHEMA_VERSION) {
+    const error = new Error(`Progress file was written by a newer version (schema ${version}, this version reads up to ${PROGRESS_SCHEMA_VERSION})`);
+    error.code = 'PROGRESS_TOO_NEW';
+    throw error;
+  }
+
+  const fromVersion = version;
+  let migrated = data;
+  while (version < PROGRESS_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+  return { data: { ...migrated, schemaVersion: version }, fromVersion };
+}
+
+// -> { data, fromVersion } | { missing: true } | { error }
+async function readCandidate(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    return error.code === 'ENOENT' ? { missing: true } : { error };
+  }
+
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('not a progress object');
+    }
+    return migrateProgress(data);
+  } catch (error) {
+    return { error };
+  }
+}
+
+// The progress, or null when there is none or it can't be read. Falls back
+// to the backup but never writes anything (see loadProgressFile for that).
+async function readProgress(filePath) {
+  for (const candidatePath of [filePath, backupPath(filePath)]) {
+    const candidate = await readCandidate(candidatePath);
+    if (candidate.data) return candidate.data;
+  }
+  return null;
+}
+
+// Progress from what's in the event database: every stored event counts as
+// tracked, and the scrape status table says which states finished and how
+// far the others got. The failed-request queue can't be rebuilt.
+function rebuildProgress(store) {
+  const completedStates = [];
+  const stateProgress = {};
+  store.getScrapeStatus().forEach(row => {
+    const stateId = stateIdOf(row.state_name || row.state_id);
+    if (row.completed) {
+      completedStates.push(stateId);
+    } else {
+      stateProgress[stateId] = {
+        lastPage: row.last_page || 0,
+        eventsFound: row.events_found || 0,
+        lastProcessed: row.last_processed
+      };
+    }
+  });
+
+  const trackedEventLinks = store.getEventLinks();
+  return {
+    schemaVersion: PROGRESS_SCHEMA_VERSION,
+    trackedEventLinks,
+    currentState: 0,
+    totalStates: 0,
+    processedEvents: trackedEventLinks.length,
+    totalEventsFound: trackedEventLinks.length,
+    stateProgress,
+    completedStates,
+    selectedStates: null,
+    failedRequests: [],
+    mode: 'scrape',
+    refresh: null,
+    rebuiltAt: new Date().toISOString()
+  };
+}
+
+// Reads the progress file, repairing it when it can't be read: the backup is
+// used if it's good, otherwise progress is rebuilt from options.store (an
+// EventStore). An unreadable file is kept as <file>.corrupt.
+// -> { data, recovered, messages }
+async function loadProgressFile(filePath, options = {}) {
+  const messages = [];
+  const main = await readCandidate(filePath);
+
+  if (main.data) {
+    if (main.fromVersion < PROGRESS_SCHEMA_VERSION) {
+      // Saved in the new layout; the old one stays behind as the backup
+      await writeProgressFile(filePath, main.data);
+      messages.push(`Progress file updated from schema ${main.fromVersion} to ${PROGRESS_SCHEMA_VERSION}`);
+    }
+    return { data: main.data, recovered: false, messages };
+  }
+
+  const backup = await readCandidate(backupPath(filePath));
+  if (main.missing && backup.missing) {
+    return { data: null, recovered: false, messages };
+  }
+
+  if (main.error) {
+    // A file from a newer version is left alone rather than overwritten
+    if (main.error.code === 'PROGRESS_TOO_NEW') throw main.error;
+
+    messages.push(`Progress file could not be read (${main.error.message})`);
+    await fs.rename(filePath, `${filePath}.corrupt`).catch(() => {});
+  }
+
+  let data = null;
+  if (backup.data) {
+    data = backup.data;
+    messages.push(`Restored progress from the backup saved ${data.timestamp || 'before the last save'}`);
+  } else if (options.store) {
+    data = rebuildProgress(options.store);
+    messages.push(`Rebuilt progress from the event database: ${data.trackedEventLinks.length} events, ` +
+      `${data.completedStates.length} completed states, ${Object.keys(data.stateProgress).length} partly scraped`);
+  } else {
+    messages.push('Progress could not be recovered; the next run starts from the beginning');
+  }
+
+  if (data) await writeProgressFile(filePath, data);
+  return { data, recovered: Boolean(data), messages };
+}
+
+async function writeProgressFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(JSON.stringify({ ...data, schemaVersion: PROGRESS_SCHEMA_VERSION }, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  // The previous save becomes the backup
+  await fs.rename(filePath, backupPath(filePath)).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+  await fs.rename(tempPath, filePath);
+}
+
+// The backup and any temp file left by an interrupted save. Resetting the
+// scraper removes these along with the file, or the backup would bring the
+// progress back on the next start.
+async function removeProgressBackups(filePath) {
+  for (const candidatePath of [backupPath(filePath), `${filePath}.tmp`]) {
+    await fs.unlink(candidatePath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+module.exports = {
+  PROGRESS_SCHEMA_VERSION,
+  migrateProgress,
+  readProgress,
+  rebuildProgress,
+  loadProgressFile,
+  writeProgressFile,
+  removeProgressBackups
+};
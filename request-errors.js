@@ -0,0 +1,100 @@
+// Sorts failed requests into kinds, so the scraper can tell "the page isn't
+// there" from "the site is overloaded" and react to each differently.
+//
+//   timeout       no answer in time
+//   dns           the host name could not be looked up
+//   network       connection refused, reset, ...
+//   not_found     404
+//   client        any other 4xx (forbidden, gone, ...): retrying won't help
+//   rate_limited  429, the site says we're asking too often
+//   server        5xx
+//   robots        robots.txt keeps us out
+//   stopped       the run was stopped while the request waited
+//   unknown       anything else (e.g. a page we couldn't parse)
+
+// Kinds that mean the site (or our connection to it) is struggling. These are
+// retried and count towards the circuit breaker.
+const TRANSIENT_KINDS = new Set(['timeout', 'dns', 'network', 'rate_limited', 'server']);
+
+const NON_RETRYABLE_KINDS = new Set(['not_found', 'client', 'robots', 'stopped']);
+
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+const DNS_CODES = new Set(['ENOTFOUND', 'EAI_AGAIN']);
+const NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'ERR_NETWORK']);
+
+// Retry-After is either a number of seconds or an HTTP date. Returns ms from
+// now, or null when missing or unreadable.
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// -> { kind, status, code, message, retryable, retryAfterMs }
+function classifyRequestError(error) {
+  const status = error && error.response ? error.response.status : null;
+  const code = error && error.code;
+  let kind = 'unknown';
+
+  if (code === 'ROBOTS_DISALLOWED') kind = 'robots';
+  else if (code === 'SCRAPER_STOPPED') kind = 'stopped';
+  else if (status === 404) kind = 'not_found';
+  else if (status === 429) kind = 'rate_limited';
+  else if (status >= 500) kind = 'server';
+  else if (status >= 400) kind = 'client';
+  else if (TIMEOUT_CODES.has(code) || /timeout/i.test((error && error.message) || '')) kind = 'timeout';
+  else if (DNS_CODES.has(code)) kind = 'dns';
+  else if (NETWORK_CODES.has(code)) kind = 'network';
+
+  // Only meaningful on "come back later" answers
+  const retryAfterMs = kind === 'rate_limited' || kind === 'server'
+    ? parseRetryAfter(headerValue(error.response.headers, 'retry-after'))
+    : null;
+
+  return {
+    kind,
+    status,
+    code: code || null,
+    message: (error && error.message) || '',
+    retryable: !NON_RETRYABLE_KINDS.has(kind),
+    retryAfterMs
+  };
+}
+
+// Short wording for logs: "rate limited (HTTP 429)", "DNS lookup failed", ...
+function describeRequestError(info) {
+  const http = info.status ? ` (HTTP ${info.status})` : '';
+  switch (info.kind) {
+    case 'timeout': return 'timed out';
+    case 'dns': return `DNS lookup failed${info.code ? ` (${info.code})` : ''}`;
+    case 'network': return `network error${info.code ? ` (${info.code})` : ''}`;
+    case 'not_found': return `not found${http}`;
+    case 'client': return `refused by the site${http}`;
+    case 'rate_limited': return `rate limited${http}`;
+    case 'server': return `server error${http}`;
+    case 'robots': return 'disallowed by robots.txt';
+    case 'stopped': return 'stopped';
+    default: return info.message || 'failed';
+  }
+}
+
+module.exports = {
+  TRANSIENT_KINDS,
+  parseRetryAfter,
+  classifyRequestError,
+  describeRequestError
+};
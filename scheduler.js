@@ -0,0 +1,290 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+// Runs scrapes on a timetable written as cron expressions
+// ("0 2 * * *" = every night at 2am, "0 3 * * 0" = Sundays at 3am). Jobs are
+// kept in a JSON file so they survive restarts. A job that came due while the
+// app was closed, or while another scrape was running, runs as soon as it can
+// (once, however many times it was missed).
+
+// What a job can do
+const SCHEDULE_ACTIONS = {
+  'refresh-upcoming': { label: 'Refresh upcoming events', options: { mode: 'refresh', refreshScope: 'upcoming' } },
+  'refresh-all': { label: 'Refresh all events', options: { mode: 'refresh', refreshScope: 'all' } },
+  scrape: { label: 'Full scrape', options: { mode: 'scrape' } },
+  'retry-failed': { label: 'Retry failed requests', options: { mode: 'retry-failed' } }
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+function cronError(expression, reason) {
+  const error = new Error(`Invalid schedule "${expression}": ${reason}`);
+  error.code = 'INVALID_CRON';
+  return error;
+}
+
+// "1-5", "*/15", "0,30" -> Set of the numbers they cover
+function parseCronField(text, field, expression) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) throw cronError(expression, `can't read ${field.name} "${part}"`);
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? field.min : Number(start);
+    const to = start === '*' ? field.max : (end !== undefined ? Number(end) : (step ? field.max : from));
+    const increment = step ? Number(step) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw cronError(expression, `${field.name} must be between ${field.min} and ${field.max}`);
+    }
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+// "minute hour day-of-month month day-of-week"
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw cronError(expression, 'expected 5 fields (minute hour day month weekday)');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index], expression));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron: when both day fields are restricted, either one matching is enough
+    anyDay: parts[2] === '*' || parts[4] === '*',
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) {
+    return (!cron.daysRestricted || dayMatch) && (!cron.weekdaysRestricted || weekdayMatch);
+  }
+  return dayMatch || weekdayMatch;
+}
+
+// First time after `after` (a Date) that the expression matches, in local time.
+// Skips whole months, days and hours that can't match, so it's quick.
+function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Five years covers every valid expression (Feb 29 included)
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+class Scheduler {
+  // options: { filePath, runJob(job, scrapeOptions) -> { success, message },
+  //            isBusy() -> boolean, onLog(message), checkInterval }
+  constructor(options = {}) {
+    if (!options.filePath || !options.runJob) {
+      throw new Error('Scheduler needs a filePath and a runJob function');
+    }
+    this.filePath = options.filePath;
+    this.runJob = options.runJob;
+    this.isBusy = options.isBusy || (() => false);
+    this.onLog = options.onLog || (() => {});
+    this.checkInterval = options.checkInterval || 60000;
+    this.jobs = [];
+    this.timer = null;
+    this.runningJobId = null;
+  }
+
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      const data = await fs.readJSON(this.filePath);
+      this.jobs = Array.isArray(data.jobs) ? data.jobs : [];
+    }
+    return this.jobs;
+  }
+
+  async save() {
+    const tempPath = `${this.filePath}.tmp`;
+    const jobs = this.jobs.map(({ waiting, ...job }) => job);
+    await fs.writeJSON(tempPath, { jobs }, { spaces: 2 });
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  // Check right away (catches jobs missed while the app was closed), then every minute
+  start() {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('Error running scheduled jobs:', error);
+      });
+    }, this.checkInterval);
+    return this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // When the job should run next: the first match after its last run (or after
+  // it was created, if it never ran)
+  dueAt(job) {
+    return nextRun(job.cron, new Date(job.lastRun || job.createdAt));
+  }
+
+  // Jobs with when they run next, for the UI
+  getJobs() {
+    return this.jobs.map(job => {
+      const due = job.enabled ? this.dueAt(job) : null;
+      return {
+        ...job,
+        actionLabel: SCHEDULE_ACTIONS[job.action] ? SCHEDULE_ACTIONS[job.action].label : job.action,
+        nextRun: due ? due.toISOString() : null,
+        running: job.id === this.runningJobId
+      };
+    });
+  }
+
+  validate(job) {
+    parseCron(job.cron);
+    if (!SCHEDULE_ACTIONS[job.action]) {
+      const error = new Error(`Unknown scheduled action "${job.action}". Expected one of: ${Object.keys(SCHEDULE_ACTIONS).join(', ')}`);
+      error.code = 'UNKNOWN_ACTION';
+      throw error;
+    }
+  }
+
+  async addJob({ name, cron, action, enabled = true }) {
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: String(name || '').trim() || SCHEDULE_ACTIONS[action]?.label || 'Scheduled job',
+      cron: String(cron || '').trim(),
+      action,
+      enabled: Boolean(enabled),
+      createdAt: new Date().toISOString(),
+      lastRun: null,
+      lastStatus: null,
+      lastMessage: ''
+    };
+    this.validate(job);
+
+    this.jobs.push(job);
+    await this.save();
+    return job;
+  }
+
+  async updateJob(id, changes) {
+    const job = this.jobs.find(candidate => candidate.id === id);
+    if (!job) throw new Error(`No scheduled job with id ${id}`);
+
+    const updated = { ...job };
+    ['name', 'cron', 'action', 'enabled'].forEach(key => {
+      if (changes[key] !== undefined) updated[key] = key === 'enabled' ? Boolean(changes[key]) : String(changes[key]).trim();
+    });
+    this.validate(updated);
+
+    // A changed timetable or re-enabled job counts from now, not from its last run
+    if (updated.cron !== job.cron || (updated.enabled && !job.enabled)) {
+      updated.createdAt = new Date().toISOString();
+      updated.lastRun = null;
+    }
+
+    Object.assign(job, updated);
+    await this.save();
+    return job;
+  }
+
+  async removeJob(id) {
+    this.jobs = this.jobs.filter(job => job.id !== id);
+    await this.save();
+  }
+
+  // Run the first job that is due, unless a scrape is already going. Jobs that
+  // have to wait stay due and are picked up by a later check.
+  async tick() {
+    if (this.runningJobId) return;
+
+    const now = new Date();
+    const job = this.jobs.find(candidate => {
+      if (!candidate.enabled) return false;
+      const due = this.dueAt(candidate);
+      return due && due <= now;
+    });
+    if (!job) return;
+
+    if (this.isBusy()) {
+      if (!job.waiting) {
+        job.waiting = true;
+        this.onLog(`Scheduled job "${job.name}" is due but a scrape is already running; it will start when that one finishes`);
+      }
+      return;
+    }
+
+    this.runningJobId = job.id;
+    job.waiting = false;
+    this.onLog(`Scheduled job "${job.name}" started (${SCHEDULE_ACTIONS[job.action].label})`);
+
+    let result;
+    try {
+      result = await this.runJob(job, SCHEDULE_ACTIONS[job.action].options);
+    } catch (error) {
+      result = { success: false, message: error.message };
+    } finally {
+      this.runningJobId = null;
+    }
+
+    job.lastRun = now.toISOString();
+    job.lastStatus = result && result.success ? 'completed' : 'failed';
+    job.lastMessage = (result && result.message) || '';
+    delete job.waiting;
+    await this.save();
+
+    this.onLog(`Scheduled job "${job.name}" ${job.lastStatus}${job.lastMessage ? `: ${job.lastMessage}` : ''}`);
+
+    // Another job may have come due while this one ran
+    await this.tick();
+  }
+}
+
+module.exports = {
+  Scheduler,
+  SCHEDULE_ACTIONS,
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,204 @@
+// Scraper settings shared by the app's Settings panel and console-scraper.js.
+// They live in scraper-config.json in the app data folder; command line flags
+// and options passed to the scraper directly override them.
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_USER_AGENT, LEGACY_USER_AGENT } = require('./http-client');
+const { EXPORT_FORMATS } = require('./event-export');
+const { DEFAULT_THRESHOLDS, DRIFT_ACTIONS, parseThresholds } = require('./field-monitor');
+
+const CONFIG_FILE_NAME = 'scraper-config.json';
+
+// Minimum fill rates in the --min-fill form: eventName=0.9,venue=0.5,date=0.9
+const DEFAULT_FILL_RATES = Object.entries(DEFAULT_THRESHOLDS).map(([field, rate]) => `${field}=${rate}`).join(',');
+
+// Every setting, its default and what it may be set to
+const CONFIG_FIELDS = {
+  maxConcurrency: { type: 'integer', min: 1, max: 10, default: 3 },        // Event pages fetched at once per state
+  stateConcurrency: { type: 'integer', min: 1, max: 10, default: 3 },      // States scraped at once
+  listingTimeoutSeconds: { type: 'number', min: 5, max: 300, default: 60 },
+  eventTimeoutSeconds: { type: 'number', min: 5, max: 300, default: 15 },
+  requestsPerSecond: { type: 'number', min: 0.05, max: 10, default: 1 },
+  retryDelaySeconds: { type: 'number', min: 0.1, max: 60, default: 2 },    // First retry wait, doubles after that
+  maxRetries: { type: 'integer', min: 1, max: 10, default: 3 },            // Attempts per page
+  userAgent: { type: 'string', maxLength: 500, default: DEFAULT_USER_AGENT },
+  respectRobotsTxt: { type: 'boolean', default: true },
+  outputDir: { type: 'path', default: '' },                                // Empty = the app's own folder
+  minFillRates: { type: 'fillRates', default: DEFAULT_FILL_RATES },       // Share of events each field must be filled in
+  driftAction: { type: 'enum', values: DRIFT_ACTIONS, default: 'pause' },  // What happens when one drops below it
+  exportFormat: { type: 'enum', values: Object.keys(EXPORT_FORMATS), default: 'csv' }
+};
+
+function defaultConfig() {
+  const config = {};
+  Object.entries(CONFIG_FIELDS).forEach(([key, field]) => {
+    config[key] = field.default;
+  });
+  return config;
+}
+
+// Error message for one value, or null when it's fine
+function checkField(key, value) {
+  const field = CONFIG_FIELDS[key];
+  if (!field) return `Unknown setting "${key}"`;
+
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) return `${key} must be a number`;
+      if (field.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number`;
+      if (value < field.min || value > field.max) return `${key} must be between ${field.min} and ${field.max}`;
+      return null;
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return `${key} must not be empty`;
+      if (value.length > field.maxLength) return `${key} must be at most ${field.maxLength} characters`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'path':
+      if (typeof value !== 'string') return `${key} must be a folder path`;
+      if (value && !path.isAbsolute(value)) return `${key} must be an absolute path`;
+      return null;
+    case 'enum':
+      return field.values.includes(value) ? null : `${key} must be one of: ${field.values.join(', ')}`;
+    case 'fillRates': {
+      if (typeof value !== 'string') return `${key} must be a list like ${field.default}`;
+      let thresholds;
+      try {
+        thresholds = parseThresholds(value);
+      } catch (error) {
+        return `${key}: ${error.message}`;
+      }
+      const outOfRange = Object.keys(thresholds).find(name => thresholds[name] < 0 || thresholds[name] > 1);
+      return outOfRange ? `${key}: ${outOfRange} must be between 0 and 1 (or 0 and 100%)` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// -> [{ field, message }], empty when every value is valid
+function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [{ field: null, message: 'Settings must be an object' }];
+  }
+
+  return Object.entries(config)
+    .map(([key, value]) => ({ field: key, message: checkField(key, value) }))
+    .filter(problem => problem.message);
+}
+
+// Reads the settings file. A missing file gives the defaults; unreadable
+// files and bad values fall back to the defaults with a warning, so a hand
+// edited file can't stop the scraper from starting.
+// -> { config, warnings }
+async function loadConfig(filePath) {
+  const config = defaultConfig();
+  const warnings = [];
+
+  if (!(await fs.pathExists(filePath))) return { config, warnings };
+
+  let saved;
+  try {
+    saved = await fs.readJSON(filePath);
+  } catch (error) {
+    warnings.push(`Could not read ${filePath}, using default settings: ${error.message}`);
+    return { config, warnings };
+  }
+
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+    warnings.push(`${filePath} does not hold a settings object, using default settings`);
+    return { config, warnings };
+  }
+
+  Object.entries(saved).forEach(([key, value]) => {
+    // Saved by a version that sent a browser's user agent as its default
+    if (key === 'userAgent' && value === LEGACY_USER_AGENT) return;
+
+    const problem = checkField(key, value);
+    if (problem) {
+      warnings.push(CONFIG_FIELDS[key] ? `${problem}, using ${JSON.stringify(CONFIG_FIELDS[key].default)}` : `${problem} ignored`);
+      return;
+    }
+    config[key] = value;
+  });
+
+  return { config, warnings };
+}
+
+// Merges changes into the saved settings. Nothing is written unless every
+// value is valid. Returns the full settings.
+async function saveConfig(filePath, changes) {
+  const problems = validateConfig(changes);
+  if (problems.length > 0) {
+    const error = new Error(problems.map(problem => problem.message).join('; '));
+    error.code = 'INVALID_CONFIG';
+    error.problems = problems;
+    throw error;
+  }
+
+  const { config } = await loadConfig(filePath);
+  const updated = { ...config, ...changes };
+
+  await fs.ensureDir(path.dirname(filePath));
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeJSON(tempPath, updated, { spaces: 2 });
+  await fs.rename(tempPath, filePath);
+  return updated;
+}
+
+// Same folder the app keeps its data in (Electron's userData for this
+// package, plus car-events-scraper), so the console scraper finds the
+// settings without running Electron
+function appDataDir() {
+  const home = os.homedir();
+  let base;
+  if (process.platform === 'win32') {
+    base = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    base = path.join(home, 'Library', 'Application Support');
+  } else {
+    base = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  return path.join(base, 'carcruisefinder', 'car-events-scraper');
+}
+
+function defaultConfigPath() {
+  return path.join(appDataDir(), CONFIG_FILE_NAME);
+}
+
+// Settings -> ComprehensiveCarEventScraper options
+function scraperOptionsFromConfig(config) {
+  const settings = { ...defaultConfig(), ...config };
+  return {
+    maxConcurrency: settings.maxConcurrency,
+    stateConcurrency: settings.stateConcurrency,
+    listingTimeout: settings.listingTimeoutSeconds * 1000,
+    eventTimeout: settings.eventTimeoutSeconds * 1000,
+    maxRetries: settings.maxRetries,
+    userAgent: settings.userAgent,
+    politeness: {
+      requestsPerSecond: settings.requestsPerSecond,
+      backoffBaseMs: Math.round(settings.retryDelaySeconds * 1000),
+      respectRobotsTxt: settings.respectRobotsTxt
+    },
+    fieldMonitor: {
+      thresholds: parseThresholds(settings.minFillRates),
+      action: settings.driftAction
+    }
+  };
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  CONFIG_FIELDS,
+  defaultConfig,
+  validateConfig,
+  loadConfig,
+  saveConfig,
+  appDataDir,
+  defaultConfigPath,
+  scraperOptionsFromConfig
+};
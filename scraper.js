@@ -1,21 +1,81 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs').promises;
 const path = require('path');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
-const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+const { HttpClient } = require('./http-client');
+const { PolitenessController, robotsAgentFor } = require('./politeness');
+const { TRANSIENT_KINDS, classifyRequestError, describeRequestError } = require('./request-errors');
+const { parseEventPage, parseListingPage } = require('./event-parser');
+const { FieldCoverageMonitor } = require('./field-monitor');
+const { EventStore } = require('./event-store');
+const { createGeocoder } = require('./geocoder');
+const { updateDuplicateClusters } = require('./event-dedup');
+const { scraperOptionsFromConfig } = require('./scraper-config');
+const { CATEGORY_INDEX_PATHS, parseCategoryIndex, stateNameFromUrl, stateIdOf } = require('./state-links');
+const { readProgress, loadProgressFile, writeProgressFile } = require('./progress-file');
+const { hashRecord, diffRecords, classifyChanges } = require('./event-changes');
 
 
 class ComprehensiveCarEventScraper {
   constructor(options = {}) {
-    this.baseUrl = 'https://carcruisefinder.com';
-    this.maxConcurrency = options.maxConcurrency || 5;
+    // Settings shared with the app and the command line (scraper-config.js);
+    // options passed in directly win over them
+    if (options.config) {
+      const configured = scraperOptionsFromConfig(options.config);
+      const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+      options = {
+        ...configured,
+        ...given,
+        politeness: { ...configured.politeness, ...given.politeness },
+        fieldMonitor: { ...configured.fieldMonitor, ...given.fieldMonitor }
+      };
+    }
+
+    this.baseUrl = options.baseUrl || 'https://carcruisefinder.com';
+    this.maxConcurrency = options.maxConcurrency || 5;   // Event pages fetched at once per state
+    this.stateConcurrency = options.stateConcurrency || 3; // States scraped at once
+    this.listingTimeout = options.listingTimeout || 60000;
+    this.eventTimeout = options.eventTimeout || 15000;
+    this.maxRetries = options.maxRetries || 3;            // Attempts per page
     this.csvPath = options.csvPath || path.join(__dirname, 'car_events_details.csv');
     this.logsPath = options.logsPath || path.join(__dirname, 'logs', 'scraper.log');
     this.progressPath = options.progressPath || path.join(__dirname, 'scraper_progress.json');
     this.trackedEventLinks = options.trackedEventLinks || new Set();
-    this.csvWriter = this.initCsvWriter();
+    this.selectedStates = options.selectedStates || null; // States the run is limited to, as us-states.js stateKeyOf (null = every state)
+    this.venueTimezones = options.venueTimezones || {}; // Venue name -> IANA zone, for states with several zones
+    this.primarySource = options.primarySource || 'css'; // 'css' or 'jsonld': which wins when both have a field
+
+    // Events are stored in a SQLite database; the CSV path is only used to name
+    // the files that sit next to it (and to import CSVs from older versions)
+    this.dbPath = options.dbPath || this.csvPath.replace(/\.csv$/i, '') + '.db';
+    this.store = options.store || null;
+    this.runId = null;
+
+    // Venue coordinates: taken from the page when published, otherwise looked up
+    // offline (or through a local geocoding service when one is configured)
+    this.geocoder = options.geocoder || createGeocoder({
+      serviceUrl: options.geocoderUrl,
+      onError: error => this.writeLog(`Geocoding service error: ${error.message}`)
+    });
+
+    // All page fetches go through the HTTP client so runs can be recorded and replayed
+    this.http = options.httpClient || new HttpClient({
+      mode: options.httpMode,
+      fixturesDir: options.fixturesDir,
+      userAgent: options.userAgent
+    });
+
+    // ...and wait for the politeness controller: rate limit, robots.txt,
+    // Retry-After, circuit breaker and backoff (options.politeness overrides
+    // DEFAULT_POLITENESS). Replayed pages never reach the site, so they don't wait.
+    // robots.txt is read for the name our user agent gives the site.
+    this.politeness = new PolitenessController({
+      robotsAgent: robotsAgentFor(this.http.userAgent),
+      ...options.politeness,
+      enabled: this.http.mode !== 'replay',
+      fetchRobots: url => this.http.fetch(url, { timeout: this.eventTimeout }),
+      onNotice: (message, details) => this.onProgress(message, details),
+      shouldContinue: () => this.isRunning
+    });
+    if (!this.http.politeness) this.http.politeness = this.politeness;
 
     // Progress tracking
     this.currentState = 0;
@@ -26,10 +86,35 @@ class ComprehensiveCarEventScraper {
     // Enhanced progress tracking
     this.stateProgress = options.stateProgress || {}; // Track pages scraped per state
     this.completedStates = options.completedStates || new Set(); // Track fully completed states
+
+    // Event pages and listing pages that gave up, by URL, until a retry gets them
+    this.failedRequests = new Map();
     
+    // Per-field fill rate tracking, to catch selector drift when the site's markup changes
+    this.fieldMonitor = new FieldCoverageMonitor(options.fieldMonitor);
+    this.coverageReportPath = options.coverageReportPath ||
+      this.csvPath.replace(/\.csv$/i, '') + '.coverage.json';
+    this.driftError = null;
+
+    // Run mode: 'scrape' collects new events, 'refresh' re-checks known ones
+    this.mode = 'scrape';
+    this.trigger = options.trigger || 'manual'; // Recorded with the run ('scheduled: <job>')
+    this.refreshState = null;
+    this.changeLogPath = options.changeLogPath ||
+      this.csvPath.replace(/\.csv$/i, '') + '.changes.jsonl';
+
     // Control flag for stopping scraper
     this.isRunning = true;
 
+    // Progress writes in flight (see saveProgress)
+    this.lastSave = Promise.resolve();
+    this.pendingSave = null;
+
+    // While scraping, events and progress go to disk at most this often (see
+    // checkpoint); stopping, finishing and each finished state always save
+    this.checkpointInterval = options.checkpointInterval || 30000;
+    this.lastWriteAt = 0;
+
     // Default progress callback
     this.onProgress = (message, progressData) => {
       this.writeLog(message);
@@ -46,9 +131,67 @@ class ComprehensiveCarEventScraper {
     }
   }
 
-  // Save progress data to file
-  async saveProgress() {
+  // Open the event database, importing the old CSV the first time
+  async openStore() {
+    if (this.store) return this.store;
+
+    this.store = await EventStore.open(this.dbPath);
+    if (this.store.countEvents() === 0) {
+      const { imported, warnings } = await this.store.importCsv(this.csvPath);
+      for (const warning of warnings) {
+        console.warn(warning);
+        await this.writeLog(`Warning: ${warning}`);
+      }
+      if (imported > 0) {
+        await this.store.save();
+        await this.writeLog(`Imported ${imported} events from ${this.csvPath} into ${this.dbPath}`);
+      }
+    }
+
+    return this.store;
+  }
+
+  // Re-cluster likely duplicate events (same show under two states, or posted twice)
+  updateDuplicates() {
+    try {
+      const clusters = updateDuplicateClusters(this.store);
+      const pending = clusters.filter(cluster => !cluster.confirmed).length;
+      if (clusters.length > 0) {
+        this.writeLog(`Duplicate check: ${clusters.length} groups of likely duplicates (${pending} not yet confirmed)`);
+      }
+    } catch (error) {
+      console.error('Error checking for duplicates:', error);
+    }
+  }
+
+  // Save progress data to file. States scraped in parallel all save, so writes
+  // go one at a time, and calls made while one is waiting share it.
+  saveProgress() {
+    if (!this.pendingSave) {
+      this.pendingSave = this.lastSave.then(() => {
+        this.pendingSave = null;
+        return this.writeProgress();
+      });
+      this.lastSave = this.pendingSave;
+    }
+    return this.pendingSave;
+  }
+
+  // Save progress now and then while pages are being scraped. Every save writes
+  // out the whole database, so saving after each page slows a big run down.
+  checkpoint() {
+    if (Date.now() - this.lastWriteAt < this.checkpointInterval) return Promise.resolve();
+    return this.saveProgress();
+  }
+
+  async writeProgress() {
+    this.lastWriteAt = Date.now();
     try {
+      // Events go to disk before the progress that refers to them
+      if (this.store) {
+        await this.store.save();
+      }
+
       const progressData = {
         trackedEventLinks: Array.from(this.trackedEventLinks),
         currentState: this.currentState,
@@ -57,16 +200,53 @@ class ComprehensiveCarEventScraper {
         totalEventsFound: this.totalEventsFound,
         stateProgress: this.stateProgress,
         completedStates: Array.from(this.completedStates),
+        selectedStates: this.selectedStates,
+        failedRequests: Array.from(this.failedRequests.values()),
+        mode: this.mode,
+        refresh: this.refreshState,
         timestamp: new Date().toISOString()
       };
 
+      await writeProgressFile(this.progressPath, progressData);
+    } catch (error) {
+      console.error('Error saving progress:', error);
+    }
+  }
+
+  // Save the field coverage report next to the CSV
+  async saveCoverageReport() {
+    try {
       await fs.writeFile(
-        this.progressPath,
-        JSON.stringify(progressData, null, 2)
+        this.coverageReportPath,
+        JSON.stringify(this.fieldMonitor.getReport(), null, 2)
       );
     } catch (error) {
-      console.error('Error saving progress:', error);
+      console.error('Error saving coverage report:', error);
+    }
+  }
+
+  // Report fields that dropped below their fill-rate threshold, pausing the run if configured to
+  async handleFieldDrift(breaches) {
+    const summary = this.fieldMonitor.describe(breaches);
+    const pausing = this.fieldMonitor.action === 'pause';
+
+    this.onProgress(`Selector drift detected: ${summary}.${pausing ? ' Pausing scraper.' : ''}`, {
+      error: true,
+      selectorDrift: {
+        breaches,
+        action: this.fieldMonitor.action,
+        reportPath: this.coverageReportPath
+      }
+    });
+
+    if (pausing && !this.driftError) {
+      this.driftError = new Error(`Scraping paused because fields are coming back empty: ${summary}. ` +
+        `The site's markup may have changed. Coverage report: ${this.coverageReportPath}`);
+      this.driftError.code = 'SELECTOR_DRIFT';
+      this.isRunning = false;
     }
+
+    await this.saveCoverageReport();
   }
 
   async cleanup() {
@@ -85,17 +265,43 @@ class ComprehensiveCarEventScraper {
     }
   }
 
+  // Remember a request that gave up, so "retry failed" can try it again.
+  // entry: { type: 'event' | 'listing', url, state, ... }
+  recordFailedRequest(entry, failure, attempts) {
+    const previous = this.failedRequests.get(entry.url);
+    const now = new Date().toISOString();
+    this.failedRequests.set(entry.url, {
+      ...entry,
+      kind: failure.kind,
+      status: failure.status,
+      error: describeRequestError(failure),
+      attempts: (previous ? previous.attempts : 0) + attempts,
+      firstFailedAt: previous ? previous.firstFailedAt : now,
+      lastFailedAt: now
+    });
+  }
+
+  // Read the progress file (or its backup), or null when there is none
+  async readProgressFile() {
+    return readProgress(this.progressPath);
+  }
+
+  // The failed-request queue is kept across fresh runs; only a successful
+  // retry (or resetting the scraper) takes entries off it
+  async loadFailedRequests() {
+    const progressData = await this.readProgressFile();
+    const entries = (progressData && progressData.failedRequests) || [];
+    this.failedRequests = new Map(entries.map(entry => [entry.url, entry]));
+  }
+
   // Load progress data from file
   async loadProgress() {
     try {
-      const exists = await fs.access(this.progressPath)
-        .then(() => true)
-        .catch(() => false);
-
-      if (!exists) return false;
-
-      const data = await fs.readFile(this.progressPath, 'utf8');
-      const progressData = JSON.parse(data);
+      // An unreadable file is restored from its backup or rebuilt from the
+      // event database (see progress-file.js)
+      const { data: progressData, messages } = await loadProgressFile(this.progressPath, { store: this.store });
+      messages.forEach(message => this.onProgress(message));
+      if (!progressData) return false;
 
       this.currentState = progressData.currentState || 0;
       this.totalStates = progressData.totalStates || 0;
@@ -115,6 +321,16 @@ class ComprehensiveCarEventScraper {
         this.completedStates = new Set(progressData.completedStates);
       }
 
+      // Restore the states the run was limited to (so resuming keeps to them)
+      this.selectedStates = progressData.selectedStates || null;
+
+      // Restore the failed-request queue
+      this.failedRequests = new Map((progressData.failedRequests || []).map(entry => [entry.url, entry]));
+
+      // Restore refresh run state
+      this.mode = progressData.mode || 'scrape';
+      this.refreshState = progressData.refresh || null;
+
       return true;
     } catch (error) {
       console.error('Error loading progress:', error);
@@ -122,28 +338,6 @@ class ComprehensiveCarEventScraper {
     }
   }
 
-  // Initialize CSV writer
-  initCsvWriter() {
-    return createCsvWriter({
-      path: this.csvPath,
-      header: [
-        { id: 'eventName', title: 'Event Name' },
-        { id: 'state', title: 'State' },
-        { id: 'venue', title: 'Venue' },
-        { id: 'streetAddress', title: 'Street Address' },
-        { id: 'city', title: 'City' },
-        { id: 'stateAbbr', title: 'State Abbr' },
-        { id: 'country', title: 'Country' },
-        { id: 'date', title: 'Date' },
-        { id: 'start-time', title: 'Start Time' },
-        { id: 'end-time', title: 'End Time' },
-        { id: 'description', title: 'Description' },
-        { id: 'originalLink', title: 'Original Link' }
-      ],
-      append: true
-    });
-  }
-
   // Method to stop the scraper
   stop() {
     this.isRunning = false;
@@ -166,7 +360,7 @@ class ComprehensiveCarEventScraper {
     }
     
     // Create a state identifier that's unique and safe for storing in JSON
-    const stateId = stateName.toLowerCase().replace(/\s+/g, '_');
+    const stateId = stateIdOf(stateName);
     
     // Handle if the URL has changed but we're trying to scrape the same state
     // This maps the old URL format to the new one if needed
@@ -199,7 +393,8 @@ class ComprehensiveCarEventScraper {
     
     let hasMorePages = true;
     const scrapedEventLinks = [];
-    const maxRetries = 3;
+    const maxRetries = this.maxRetries;
+    let pageFailure = null; // Why the last page gave up, if it did
 
     // For easier identification in logs
     const stateDisplayName = stateName || this.getStateFromUrl(stateLink) || 'Unknown State';
@@ -216,15 +411,17 @@ class ComprehensiveCarEventScraper {
       }
       
       let retries = 0;
+      let attempts = 0;
       let success = false;
+      let lastError = null;
+
+      // Construct paginated URL
+      const pageUrl = currentPage > 1
+        ? `${fullUrl}/page/${currentPage}/`
+        : fullUrl;
 
       while (retries < maxRetries && !success) {
         try {
-          // Construct paginated URL
-          const pageUrl = currentPage > 1
-            ? `${fullUrl}/page/${currentPage}/`
-            : fullUrl;
-
           this.onProgress(`Scraping page ${currentPage} for ${stateDisplayName}`, {
             stateProgress: {
               state: stateDisplayName,
@@ -233,10 +430,9 @@ class ComprehensiveCarEventScraper {
             }
           });
 
-          // Add exponential backoff for retries
+          // Back off before retries
           if (retries > 0) {
-            const delay = Math.pow(2, retries) * 1000;
-            await new Promise(resolve => setTimeout(resolve, delay));
+            await this.politeness.backoff(retries, lastError);
             this.onProgress(`Retry ${retries}/${maxRetries} for page ${currentPage} of ${stateDisplayName}`, {
               stateProgress: {
                 state: stateDisplayName,
@@ -248,27 +444,29 @@ class ComprehensiveCarEventScraper {
             });
           }
 
-          // Scrape with Axios
-          const response = await axios.get(pageUrl, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            },
-            timeout: 60000  // 60 seconds timeout
+          // Fetch the listing page (live, recorded or replayed)
+          const response = await this.http.get(pageUrl, {
+            timeout: this.listingTimeout
           });
 
-          const $ = cheerio.load(response.data);
-
-          const eventLinks = $('h3.tribe-events-calendar-list__event-title a.tribe-events-calendar-list__event-title-link')
-            .map((i, el) => $(el).attr('href'))
-            .get()
+          const listing = parseListingPage(response.data, pageUrl);
+          const eventLinks = listing.eventLinks
             .filter(link => !this.trackedEventLinks.has(link));
 
-          // If no events found, stop pagination
-          if (eventLinks.length === 0) {
+          // If no events found, stop pagination. A page that a stop cut short
+          // has all its events stored too, but the pages after it still need
+          // scraping.
+          const resumingPage = this.stateProgress[stateId]?.pageInProgress === currentPage;
+          if (eventLinks.length === 0 && !(resumingPage && listing.eventLinks.length > 0)) {
             hasMorePages = false;
             break;
           }
 
+          this.stateProgress[stateId] = {
+            ...this.stateProgress[stateId],
+            pageInProgress: currentPage
+          };
+
           // Scrape each event details concurrently with limited concurrency
           const chunks = [];
           for (let i = 0; i < eventLinks.length; i += this.maxConcurrency) {
@@ -309,7 +507,13 @@ class ComprehensiveCarEventScraper {
             });
 
             // Save progress periodically
-            await this.saveProgress();
+            await this.checkpoint();
+          }
+
+          // Stopped while the last events were being fetched: the page is
+          // scraped again on resume (events already stored are skipped)
+          if (!this.isRunning) {
+            return scrapedEventLinks;
           }
 
           // Add event links to tracked links
@@ -322,39 +526,81 @@ class ComprehensiveCarEventScraper {
             lastPage: currentPage,
             totalPages: currentPage, // We continuously update this as we progress
             lastProcessed: new Date().toISOString(),
-            eventsFound: (this.stateProgress[stateId]?.eventsFound || 0) + eventLinks.length
+            eventsFound: (this.stateProgress[stateId]?.eventsFound || 0) + eventLinks.length,
+            pageInProgress: null,
+            lastError: null
           };
+          this.store.setScrapeStatus(stateId, { stateName: stateDisplayName, ...this.stateProgress[stateId] }, this.runId);
+          this.failedRequests.delete(pageUrl);
           
-          // Save progress after each successful page
-          await this.saveProgress();
+          // Save progress now and then
+          await this.checkpoint();
 
           // Increment page
           currentPage++;
           success = true;
 
-          // Small delay between pages to be respectful to the server
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          // The pagination nav says this was the last page, no need to request the next one
+          if (listing.hasNextPage === false) {
+            hasMorePages = false;
+            break;
+          }
 
         } catch (error) {
-          retries++;
-          this.onProgress(`Error scraping page ${currentPage} for ${stateDisplayName}: ${error.message}. Retry ${retries}/${maxRetries}`, {
+          const failure = classifyRequestError(error);
+          lastError = error;
+
+          // If 404 or no more pages, stop
+          if (failure.kind === 'not_found') {
+            hasMorePages = false;
+            break;
+          }
+
+          // Stopped while waiting to send the request
+          if (failure.kind === 'stopped') {
+            break;
+          }
+
+          // A failure that paused the run for a cool-down doesn't use up the
+          // page's retries: the page is tried again once the pause is over
+          attempts++;
+          if (!error.breakerTripped) {
+            retries++;
+          }
+          const next = error.breakerTripped ? 'Will retry after the pause' : `Retry ${retries}/${maxRetries}`;
+          this.onProgress(`Error scraping page ${currentPage} for ${stateDisplayName}: ${describeRequestError(failure)}. ${next}`, {
             error: true,
             errorDetails: {
               message: error.message,
+              kind: failure.kind,
+              status: failure.status,
+              retryAfterMs: failure.retryAfterMs,
               state: stateDisplayName,
               page: currentPage,
               retryCount: retries
             }
           });
 
-          // If 404 or no more pages, stop
-          if (error.response && error.response.status === 404) {
-            hasMorePages = false;
-            break;
+          // Retrying won't change a 403 or robots.txt
+          if (!failure.retryable) {
+            retries = maxRetries;
           }
 
-          // If we've maxed out retries, stop scraping this page
+          // If we've maxed out retries, stop scraping this page (the state map
+          // shows the state as failed)
           if (retries >= maxRetries) {
+            pageFailure = failure;
+            this.stateProgress[stateId] = {
+              ...this.stateProgress[stateId],
+              lastError: `Page ${currentPage}: ${describeRequestError(failure)}`
+            };
+            this.recordFailedRequest({
+              type: 'listing',
+              url: pageUrl,
+              state: stateDisplayName,
+              stateLink,
+              page: currentPage
+            }, failure, attempts);
             break;
           }
         }
@@ -366,8 +612,30 @@ class ComprehensiveCarEventScraper {
       }
     }
 
+    // The site was struggling (timeouts, 429s, 5xx): leave the state unfinished
+    // so resuming tries the page again instead of skipping the rest of the state
+    if (pageFailure && TRANSIENT_KINDS.has(pageFailure.kind)) {
+      this.store.setScrapeStatus(stateId, { stateName: stateDisplayName, ...this.stateProgress[stateId] }, this.runId);
+      this.onProgress(`State ${stateDisplayName} stopped at page ${currentPage} (${describeRequestError(pageFailure)}); resume to try it again`, {
+        error: true,
+        stateIncomplete: {
+          state: stateDisplayName,
+          page: currentPage,
+          kind: pageFailure.kind,
+          status: pageFailure.status
+        }
+      });
+      await this.saveProgress();
+      return scrapedEventLinks;
+    }
+
     // Mark this state as completed
     this.completedStates.add(stateId);
+    this.store.setScrapeStatus(stateId, {
+      stateName: stateDisplayName,
+      ...this.stateProgress[stateId],
+      completed: true
+    }, this.runId);
     this.onProgress(`State ${stateDisplayName} fully scraped and marked as completed`, {
       stateCompleted: {
         state: stateDisplayName,
@@ -385,60 +653,76 @@ class ComprehensiveCarEventScraper {
 
   // Helper method to extract state name from URL
   getStateFromUrl(url) {
-    try {
-      if (!url) return 'Unknown State';
+    const name = stateNameFromUrl(url);
+    if (!name) console.warn('Could not extract state name from URL:', url);
+    return name || 'Unknown State';
+  }
 
-      // For absolute URLs, convert to URL object and work with the path
-      let urlPath = url;
-      
-      if (url.startsWith('http')) {
+  // Crawl the site's category index for the current list of state pages
+  // -> { states, ignored, indexUrl }. Nothing is saved here: the caller
+  // shows the differences (state-links.js) before adopting the list.
+  async discoverStateLinks() {
+    const wasRunning = this.isRunning;
+    this.isRunning = true; // Politeness waits give up when the scraper isn't running
+    try {
+      for (const indexPath of CATEGORY_INDEX_PATHS) {
+        const indexUrl = `${this.baseUrl}${indexPath}`;
+        let response;
         try {
-          const urlObj = new URL(url);
-          urlPath = urlObj.pathname;
-        } catch (e) {
-          console.error('Invalid URL:', url);
+          response = await this.http.get(indexUrl, { timeout: this.listingTimeout });
+        } catch (error) {
+          const failure = classifyRequestError(error);
+          if (failure.kind === 'stopped') throw error;
+          this.onProgress(`Could not load ${indexUrl}: ${describeRequestError(failure)}`);
+          continue;
         }
+
+        const found = parseCategoryIndex(response.data, indexUrl);
+        if (found.states.length > 0) {
+          this.onProgress(`Found ${found.states.length} state pages on ${indexUrl}`);
+          return { ...found, indexUrl };
+        }
+        this.onProgress(`No state pages linked from ${indexUrl}`);
       }
-      
-      // Handle new URL format: /car-shows/category/iowa/
-      const newFormatRegex = /\/car-shows\/category\/([a-z-]+)\/?/i;
-      const newFormatMatch = urlPath.match(newFormatRegex);
-      
-      if (newFormatMatch && newFormatMatch[1]) {
-        const stateName = newFormatMatch[1].toLowerCase();
-        return stateName.charAt(0).toUpperCase() + stateName.slice(1);
-      }
-      
-      // Handle old URL format: /alabama-car-events/events/category/alabama-car-shows/
-      const oldFormatRegex = /\/([a-z-]+)-car-events\//i;
-      const oldFormatMatch = urlPath.match(oldFormatRegex);
-      
-      if (oldFormatMatch && oldFormatMatch[1]) {
-        const stateName = oldFormatMatch[1].split('-')[0].toLowerCase();
-        return stateName.charAt(0).toUpperCase() + stateName.slice(1);
-      }
-      
-      // If all else fails, try to extract state name from any part of the URL
-      const anyStateRegex = /\/([a-z-]+)(?:\/|$)/i;
-      const pathParts = urlPath.split('/').filter(p => p && !['events', 'category', 'car-shows'].includes(p.toLowerCase()));
-      
-      if (pathParts.length > 0) {
-        const possibleState = pathParts[0].split('-')[0].toLowerCase();
-        return possibleState.charAt(0).toUpperCase() + possibleState.slice(1);
-      }
-      
-      console.warn('Could not extract state name from URL:', url);
-      return 'Unknown State';
-    } catch (error) {
-      console.error('Error extracting state from URL:', error, url);
-      return 'Unknown State';
+
+      const error = new Error('No state pages found on the site. Its layout may have changed.');
+      error.code = 'NO_STATES_FOUND';
+      throw error;
+    } finally {
+      this.isRunning = wasRunning;
     }
   }
 
+  // Parse an event page into a full event record
+  async buildRecord(html, eventLink, stateName) {
+    const parsed = parseEventPage(html, {
+      stateName,
+      venueTimezones: this.venueTimezones,
+      primarySource: this.primarySource
+    });
+
+    // fieldSources says which source (css, jsonld or microformat) each field came from
+    const { fieldSources, ...fields } = parsed;
+    const record = {
+      ...fields,
+      state: stateName,
+      fieldSources: JSON.stringify(fieldSources),
+      status: 'active',
+      lastChecked: new Date().toISOString(),
+      originalLink: eventLink
+    };
+    Object.assign(record, await this.geocoder.geocodeRecord(record));
+    record.contentHash = hashRecord(record);
+
+    return record;
+  }
+
   // Scrape details for a single event with retries
   async scrapeEventDetails(eventLink, stateName) {
-    const maxRetries = 3;
+    const maxRetries = this.maxRetries;
     let retries = 0;
+    let attempts = 0;
+    let lastError = null;
 
     while (retries < maxRetries) {
       try {
@@ -447,155 +731,69 @@ class ComprehensiveCarEventScraper {
           return null;
         }
 
-        // Add exponential backoff for retries
+        // Back off before retries
         if (retries > 0) {
-          const delay = Math.pow(2, retries) * 1000;
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await this.politeness.backoff(retries, lastError);
         }
 
-        const response = await axios.get(eventLink, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-          },
-          timeout: 15000 // 15 seconds timeout
+        const response = await this.http.get(eventLink, {
+          timeout: this.eventTimeout
         });
 
-        const $ = cheerio.load(response.data);
-
-        // Extract event name
-        const eventName = $('span.evnt_title h1.tribe-events-single-event-title').text().trim();
-
-        // Extract venue and location from meta_data
-        const venue = $('dd.tribe-venue').text().trim();
-
-        // Extract address components
-        const addressElement = $('dd.tribe-venue-location address.tribe-events-address span.tribe-address');
-        const streetAddress = addressElement.find('.tribe-street-address').text().trim();
-        const city = addressElement.find('.tribe-locality').text().trim();
-        const stateAbbr = addressElement.find('.tribe-region').attr('title') ||
-          addressElement.find('.tribe-region').text().trim();
-        const country = addressElement.find('.tribe-country-name').text().trim();
-
-        // Extract date
-        const dateElement = $('abbr.tribe-events-abbr.tribe-events-start-date');
-        const date = dateElement.attr('title') || dateElement.text().trim();
-
-        // Extract time
-        // Check if we have a time range with the recursive event time class
-        const timeRangeElement = $('div.tribe-events-abbr.tribe-events-start-time .tribe-recurring-event-time');
-        // Check for single time format
-        const singleTimeElement = $('div.tribe-events-abbr.tribe-events-start-time.published.dtstart');
-
-        // Variables for storing processed time
-        let startTime = '';
-        let endTime = '';
-
-        // Check for time range first
-        if (timeRangeElement && timeRangeElement.length > 0) {
-          const timeText = timeRangeElement.text().trim();
-          // Split by hyphen to get start and end times
-          const splitTime = timeText.split('-');
-          if (splitTime.length >= 2) {
-            startTime = splitTime[0].trim();
-            endTime = splitTime[1].trim();
-          } else {
-            // If somehow there's no hyphen but we're in this element
-            startTime = timeText;
-          }
-        }
-        // Check for single time format
-        else if (singleTimeElement && singleTimeElement.length > 0) {
-          startTime = singleTimeElement.text().trim();
-          endTime = ''; // No end time
-        }
-
-        // Extract description - find content between "action-buttons" and "custom-event-message" divs
-        let description = '';
-
-        // Try to find the starting and ending elements
-        const actionButtonsDiv = $('.action-buttons');
-        const customEventMessageDiv = $('.custom-event-message');
-
-        if (actionButtonsDiv.length > 0) {
-          // Start gathering content after the action-buttons div
-          let currentElement = actionButtonsDiv[0].nextSibling;
-          const descriptionParts = [];
-
-          // Continue until we reach the custom-event-message div or run out of elements
-          while (currentElement &&
-            !($(currentElement).hasClass && $(currentElement).hasClass('custom-event-message'))) {
-
-            // If this is an element node, get its text content
-            if (currentElement.type === 'tag') {
-              const text = $(currentElement).text().trim();
-              if (text) {
-                descriptionParts.push(text);
-              }
-            }
-            // If this is a text node, add its content
-            else if (currentElement.type === 'text') {
-              const text = $(currentElement).text().trim();
-              if (text) {
-                descriptionParts.push(text);
-              }
-            }
-
-            // Move to the next sibling
-            currentElement = currentElement.nextSibling;
-          }
-
-          // Combine all description parts and clean up
-          description = descriptionParts.join(' ')
-            .replace(/\n+/g, ' ')  // Replace newlines with spaces
-            .replace(/\s+/g, ' ')  // Normalize spaces
-            .trim();
-        }
-
-        // Prepare record
-        const record = {
-          eventName,
-          state: stateName,
-          venue,
-          streetAddress,
-          city,
-          stateAbbr,
-          country,
-          date,
-          'start-time': startTime,
-          'end-time': endTime,
-          description,
-          originalLink: eventLink
-        };
+        const record = await this.buildRecord(response.data, eventLink, stateName);
+        const { eventName, date } = record;
 
         // Mark as tracked to prevent duplicates
         this.trackedEventLinks.add(eventLink);
+        this.failedRequests.delete(eventLink);
 
-        // Write record immediately
-        await this.csvWriter.writeRecords([record]);
+        // Store the record immediately (written to disk with the next progress save)
+        this.store.upsertEvent(record);
 
         // Log successful scrape
         this.onProgress(`Scraped event: ${eventName} from ${stateName}`, {
           eventDetails: {
             name: eventName,
             state: stateName,
-            date: date
+            date: record.startDate || date
           }
         });
 
+        // Watch for fields going empty (usually a theme change on the site)
+        const breaches = this.fieldMonitor.record(record, eventLink);
+        if (breaches.length > 0) {
+          await this.handleFieldDrift(breaches);
+        }
+
         return record;
       } catch (error) {
-        retries++;
-        this.onProgress(`Error scraping event ${eventLink}: ${error.message}. Retry ${retries}/${maxRetries}`, {
+        const failure = classifyRequestError(error);
+        lastError = error;
+        if (failure.kind === 'stopped') {
+          return null;
+        }
+
+        attempts++;
+        if (!error.breakerTripped) {
+          retries++;
+        }
+        const next = error.breakerTripped ? 'Will retry after the pause' : `Retry ${retries}/${maxRetries}`;
+        this.onProgress(`Error scraping event ${eventLink}: ${describeRequestError(failure)}. ${next}`, {
           error: true,
           errorDetails: {
             message: error.message,
+            kind: failure.kind,
+            status: failure.status,
+            retryAfterMs: failure.retryAfterMs,
             link: eventLink,
             retryCount: retries
           }
         });
 
-        // If we've maxed out retries, give up on this event
-        if (retries >= maxRetries) {
+        // If we've maxed out retries (or retrying can't help), give up on this
+        // event until the failed requests are retried
+        if (retries >= maxRetries || !failure.retryable) {
+          this.recordFailedRequest({ type: 'event', url: eventLink, state: stateName }, failure, attempts);
           return null;
         }
       }
@@ -604,14 +802,461 @@ class ComprehensiveCarEventScraper {
     return null;
   }
 
-  // Main scraping method with multi-threading
+  // Walk a state's listing pages and collect every event link on them, without
+  // fetching the events. complete is false if a page failed, in which case the
+  // list can't be used to decide what dropped off.
+  async collectListingLinks(stateLink, stateName) {
+    const fullUrl = stateLink.startsWith('http')
+      ? stateLink
+      : `${this.baseUrl}${stateLink}`;
+    const links = new Set();
+    const maxRetries = this.maxRetries;
+    let currentPage = 1;
+
+    while (this.isRunning) {
+      const pageUrl = currentPage > 1
+        ? `${fullUrl}/page/${currentPage}/`
+        : fullUrl;
+
+      let listing = null;
+      let lastError = null;
+      for (let retries = 0; retries < maxRetries && !listing; retries++) {
+        if (retries > 0) {
+          await this.politeness.backoff(retries, lastError);
+        }
+
+        try {
+          const response = await this.http.get(pageUrl, { timeout: this.listingTimeout });
+          listing = parseListingPage(response.data, pageUrl);
+        } catch (error) {
+          const failure = classifyRequestError(error);
+          lastError = error;
+
+          // Past the last page
+          if (failure.kind === 'not_found') {
+            return { links, complete: true };
+          }
+          if (failure.kind === 'stopped') {
+            break;
+          }
+          const next = error.breakerTripped ? 'Will retry after the pause' : `Retry ${retries + 1}/${maxRetries}`;
+          this.onProgress(`Error checking listing page ${currentPage} for ${stateName}: ${describeRequestError(failure)}. ${next}`, {
+            error: true,
+            errorDetails: {
+              message: error.message,
+              kind: failure.kind,
+              status: failure.status,
+              retryAfterMs: failure.retryAfterMs,
+              state: stateName,
+              page: currentPage,
+              retryCount: retries + 1
+            }
+          });
+          // Retrying won't change a 403 or robots.txt
+          if (!failure.retryable) {
+            break;
+          }
+          // The run paused for a cool-down; this attempt doesn't count
+          if (error.breakerTripped) {
+            retries--;
+          }
+        }
+      }
+
+      if (!listing) {
+        return { links, complete: false };
+      }
+
+      listing.eventLinks.forEach(link => links.add(link));
+
+      if (listing.eventLinks.length === 0 || listing.hasNextPage === false) {
+        return { links, complete: true };
+      }
+
+      currentPage++;
+    }
+
+    // Stopped part way through
+    return { links, complete: false };
+  }
+
+  // Fetch an event page, retrying transient errors. 404s and other errors
+  // retrying can't fix are thrown straight away.
+  async fetchEventPage(eventLink) {
+    const maxRetries = this.maxRetries;
+    let lastError = null;
+
+    for (let retries = 0; retries < maxRetries; retries++) {
+      if (retries > 0) {
+        await this.politeness.backoff(retries, lastError);
+      }
+
+      try {
+        return await this.http.get(eventLink, { timeout: this.eventTimeout });
+      } catch (error) {
+        if (!classifyRequestError(error).retryable) {
+          throw error;
+        }
+        // The run paused for a cool-down; this attempt doesn't count
+        if (error.breakerTripped) {
+          retries--;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Re-check one known event. Updates the record in place and returns a change
+  // log entry, or null when nothing changed.
+  async refreshEvent(record, listedLinks, today) {
+    const eventLink = record.originalLink;
+    const previousStatus = record.status || 'active';
+    const previousHash = record.contentHash || hashRecord(record);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      link: eventLink,
+      eventName: record.eventName,
+      state: record.state
+    };
+
+    let fresh;
+    try {
+      const response = await this.fetchEventPage(eventLink);
+      fresh = await this.buildRecord(response.data, eventLink, record.state);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        record.lastChecked = new Date().toISOString();
+        if (previousStatus === 'removed') return null;
+
+        record.status = 'removed';
+        return { ...entry, type: 'removed', reason: 'not_found' };
+      }
+      throw error;
+    }
+
+    const changes = diffRecords(record, fresh);
+    const changed = fresh.contentHash !== previousHash && Object.keys(changes).length > 0;
+
+    // Keep the original link and state, take everything else from the fresh page
+    Object.assign(record, fresh, { originalLink: eventLink, state: record.state });
+
+    // Upcoming events that no longer show up on their state's listing were most
+    // likely cancelled, even if the page itself is still reachable. Past events
+    // drop off the listing normally.
+    const isUpcoming = (record.endDate || record.startDate || '') >= today;
+    if (listedLinks && isUpcoming && !listedLinks.has(eventLink)) {
+      record.status = 'removed';
+      if (previousStatus !== 'removed') {
+        return { ...entry, type: 'removed', reason: 'dropped_from_listing', changes };
+      }
+      return changed ? { ...entry, type: classifyChanges(changes), changes } : null;
+    }
+
+    if (previousStatus === 'removed') {
+      return { ...entry, type: 'restored', changes };
+    }
+
+    return changed ? { ...entry, type: classifyChanges(changes), changes } : null;
+  }
+
+  // Append entries to the change log (one JSON object per line)
+  async writeChangeLog(entries) {
+    if (entries.length === 0) return;
+    try {
+      await fs.appendFile(this.changeLogPath, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+    } catch (error) {
+      console.error('Error writing change log:', error);
+    }
+  }
+
+  // Refresh run: re-check events already in the database, update changed records
+  // in place and mark removed ones. scope is 'all' or 'upcoming'.
+  async refreshEvents(stateLinks, options = {}) {
+    let runStatus = 'failed';
+    try {
+      this.isRunning = true;
+      await this.openStore();
+      this.runId = this.store.startRun('refresh', this.trigger);
+
+      if (options.resume) {
+        await this.loadProgress();
+      } else {
+        await this.loadFailedRequests();
+      }
+      this.mode = 'refresh';
+
+      if (!options.resume || !this.refreshState || this.refreshState.completed) {
+        this.refreshState = {
+          scope: options.scope || 'all',
+          startedAt: new Date().toISOString(),
+          listings: {},       // stateId -> links on the listing, or null if the crawl failed
+          checkedLinks: [],
+          summary: { unchanged: 0, updated: 0, rescheduled: 0, moved: 0, removed: 0, restored: 0, failed: 0 },
+          completed: false
+        };
+      }
+
+      const refresh = this.refreshState;
+      const today = new Date().toISOString().slice(0, 10);
+
+      this.onProgress(`Starting refresh of ${refresh.scope === 'upcoming' ? 'upcoming' : 'all'} events`, {
+        refreshStarted: {
+          scope: refresh.scope,
+          resumed: refresh.checkedLinks.length > 0
+        }
+      });
+
+      // Phase 1: collect what each state's listing currently shows
+      this.totalStates = stateLinks.length;
+      await this.forEachState(stateLinks.length, 0, async (i) => {
+        const { link, name } = stateLinks[i];
+        const stateName = name || this.getStateFromUrl(link);
+        const stateId = stateIdOf(stateName);
+        this.currentState = i;
+
+        if (refresh.listings[stateId] !== undefined) return;
+
+        this.onProgress(`Checking listing for ${stateName} (${i + 1}/${stateLinks.length})`, {
+          overallProgress: {
+            statesProcessed: i,
+            totalStates: stateLinks.length,
+            processed: 0,
+            total: 0
+          }
+        });
+
+        const { links, complete } = await this.collectListingLinks(link, stateName);
+        if (!this.isRunning) return;
+        refresh.listings[stateId] = complete ? Array.from(links) : null;
+        await this.saveProgress();
+      });
+
+      // Phase 2: re-check every known event in scope
+      const records = this.store.getAllEvents();
+      const checked = new Set(refresh.checkedLinks);
+      const refreshStates = new Set(stateLinks.map(({ link, name }) => stateIdOf(name || this.getStateFromUrl(link))));
+      const targets = records.filter(record => {
+        if (!record.originalLink || checked.has(record.originalLink)) return false;
+        if (!refreshStates.has(stateIdOf(record.state))) return false;
+        if (refresh.scope === 'upcoming') {
+          const lastDay = record.endDate || record.startDate;
+          return !lastDay || lastDay >= today;
+        }
+        return true;
+      });
+
+      const listedLinks = {};
+      Object.entries(refresh.listings).forEach(([stateId, links]) => {
+        listedLinks[stateId] = Array.isArray(links) ? new Set(links) : null;
+      });
+
+      this.processedEvents = checked.size;
+      this.totalEventsFound = checked.size + targets.length;
+
+      for (let i = 0; i < targets.length; i += this.maxConcurrency) {
+        if (!this.isRunning || global.isScraperRunning === false) break;
+
+        const chunk = targets.slice(i, i + this.maxConcurrency);
+        const results = await Promise.allSettled(chunk.map(record =>
+          this.refreshEvent(record, listedLinks[stateIdOf(record.state)], today)
+        ));
+
+        const entries = [];
+        results.forEach((result, index) => {
+          const record = chunk[index];
+          if (result.status === 'rejected') {
+            // Left unchecked so a resumed refresh tries it again
+            const failure = classifyRequestError(result.reason);
+            if (failure.kind === 'stopped') return;
+
+            refresh.summary.failed++;
+            this.onProgress(`Error refreshing event ${record.originalLink}: ${describeRequestError(failure)}`, {
+              error: true,
+              errorDetails: {
+                message: result.reason.message,
+                kind: failure.kind,
+                status: failure.status,
+                link: record.originalLink
+              }
+            });
+            return;
+          }
+
+          checked.add(record.originalLink);
+          this.processedEvents++;
+
+          const entry = result.value;
+          if (!entry) {
+            refresh.summary.unchanged++;
+            return;
+          }
+
+          refresh.summary[entry.type] = (refresh.summary[entry.type] || 0) + 1;
+          entries.push(entry);
+          this.onProgress(`Event ${entry.type}: ${entry.eventName} (${entry.state})`, {
+            eventChanged: entry
+          });
+        });
+
+        // Save the updated records, then record what changed
+        this.store.upsertEvents(chunk.filter(record => checked.has(record.originalLink)));
+        this.store.addChanges(entries, this.runId);
+        await this.writeChangeLog(entries);
+
+        refresh.checkedLinks = Array.from(checked);
+        await this.checkpoint();
+
+        this.onProgress(`Refreshed ${this.processedEvents}/${this.totalEventsFound} events`, {
+          overallProgress: {
+            processed: this.processedEvents,
+            total: this.totalEventsFound,
+            statesProcessed: this.totalStates,
+            totalStates: this.totalStates
+          }
+        });
+      }
+
+      if (!this.isRunning || global.isScraperRunning === false) {
+        this.onProgress('Refresh stopped by user request', {
+          stopped: true
+        });
+        runStatus = 'stopped';
+        return refresh.summary;
+      }
+
+      runStatus = 'completed';
+      refresh.completed = true;
+      refresh.completedAt = new Date().toISOString();
+
+      const { summary } = refresh;
+      this.onProgress(`Refresh completed: ${summary.updated + summary.rescheduled + summary.moved} changed, ` +
+        `${summary.removed} removed, ${summary.restored} restored, ${summary.unchanged} unchanged, ${summary.failed} failed`, {
+        refreshComplete: {
+          ...summary,
+          changeLogPath: this.changeLogPath
+        }
+      });
+
+      return summary;
+    } catch (error) {
+      console.error('Error in refreshEvents:', error);
+      throw error;
+    } finally {
+      if (this.store) {
+        this.store.finishRun(this.runId, runStatus, this.processedEvents);
+        this.updateDuplicates();
+      }
+      await this.saveProgress();
+    }
+  }
+
+
+  // Call task(i) for state indexes from..count-1, stateConcurrency at a time,
+  // until the run is stopped. The tasks share this scraper, so one politeness
+  // controller paces every request and progress is saved in one place.
+  async forEachState(count, from, task) {
+    let next = from;
+    const runNext = async () => {
+      while (next < count && this.isRunning && global.isScraperRunning !== false) {
+        await task(next++);
+      }
+    };
+    const poolSize = Math.max(1, Math.min(this.stateConcurrency, count - from));
+    await Promise.all(Array.from({ length: poolSize }, runNext));
+  }
+
+  // Make sure we have a valid state name, even if the link format changed
+  stateNameAt(stateLinks, i) {
+    const { link, name } = stateLinks[i];
+    return name || this.getStateFromUrl(link) || `State ${i + 1}`;
+  }
+
+  // Index of the first state from `from` on that isn't completed
+  firstUnfinishedState(stateLinks, from = 0) {
+    for (let i = from; i < stateLinks.length; i++) {
+      if (!this.completedStates.has(stateIdOf(this.stateNameAt(stateLinks, i)))) return i;
+    }
+    return stateLinks.length;
+  }
+
+  // Scrape the state at index i of stateLinks (one task of the state pool)
+  async scrapeStateAt(stateLinks, i) {
+    const { link } = stateLinks[i];
+    const stateName = this.stateNameAt(stateLinks, i);
+    const stateId = stateIdOf(stateName);
+    
+    // Skip if state is already fully processed
+    if (this.completedStates.has(stateId)) {
+      this.onProgress(`Skipping completed state: ${stateName}`, {
+        stateSkipped: {
+          state: stateName,
+          stateIndex: i,
+          totalStates: stateLinks.length
+        }
+      });
+      return;
+    }
+
+    try {
+      this.onProgress(`Starting scraping for state: ${stateName} (${i + 1}/${stateLinks.length})`, {
+        overallProgress: {
+          statesProcessed: i,
+          totalStates: stateLinks.length,
+          processed: this.processedEvents,
+          total: this.totalEventsFound
+        }
+      });
+
+      // Scrape event links and details for this state
+      const scrapedEventLinks = await this.scrapeStateWorker(link, stateName);
+
+      // Not finished when stopped or when the site kept failing
+      if (this.completedStates.has(stateId)) {
+        this.onProgress(`Completed scraping for state: ${stateName}. Scraped ${scrapedEventLinks.length} events.`, {
+          stateCompleted: {
+            state: stateName,
+            eventsScraped: scrapedEventLinks.length,
+            stateIndex: i,
+            totalStates: stateLinks.length
+          }
+        });
+      }
+
+      // Save progress after each state
+      await this.saveProgress();
+
+    } catch (error) {
+      this.store.setScrapeStatus(stateId, {
+        stateName,
+        ...this.stateProgress[stateId],
+        lastError: error.message
+      }, this.runId);
+      this.onProgress(`Error processing state ${stateName}: ${error.message}`, {
+        error: true,
+        errorDetails: {
+          message: error.message,
+          state: stateName,
+          stateIndex: i
+        }
+      });
+    }
+  }
+
+  // Main scraping method: several states at once (see stateConcurrency)
   async scrapeAllEvents(stateLinks, resumeFromState = 0) {
+    let runStatus = 'failed';
+    let runMessage = '';
     try {
       // Set running state
       this.isRunning = true;
+      this.driftError = null;
+      this.fieldMonitor.reset();
       
-      // Ensure CSV header exists
-      await this.initCsvWriter();
+      // Open the event database
+      await this.openStore();
+      this.runId = this.store.startRun('scrape', this.trigger);
 
       // Try to load progress if resuming
       if (resumeFromState > 0 || resumeFromState === true) {
@@ -620,7 +1265,13 @@ class ComprehensiveCarEventScraper {
         if (resumeFromState === true) {
           resumeFromState = this.currentState;
         }
+      } else {
+        await this.loadFailedRequests();
       }
+      this.mode = 'scrape';
+
+      // Events already in the database are not fetched again (refresh updates them)
+      this.store.getEventLinks().forEach(link => this.trackedEventLinks.add(link));
 
       // Total states for progress tracking
       this.totalStates = stateLinks.length;
@@ -637,89 +1288,176 @@ class ComprehensiveCarEventScraper {
         }
       });
 
-      for (let i = resumeFromState; i < stateLinks.length; i++) {
-        // Check if scraping was stopped
-        if (!this.isRunning || global.isScraperRunning === false) {
-          this.onProgress('Scraping stopped by user request', {
-            stopped: true,
-            atState: i,
-            totalStates: stateLinks.length
-          });
-
-          // Save progress before exiting
-          await this.saveProgress();
-          return;
+      const inFlight = new Set();
+      await this.forEachState(stateLinks.length, resumeFromState, async (i) => {
+        inFlight.add(i);
+        // Resuming starts again from the earliest state still being scraped
+        this.currentState = Math.min(...inFlight);
+        try {
+          await this.scrapeStateAt(stateLinks, i);
+        } finally {
+          inFlight.delete(i);
+          this.currentState = inFlight.size > 0 ? Math.min(...inFlight) : Math.min(i + 1, stateLinks.length);
         }
+      });
 
-        this.currentState = i;
-        const { link, name } = stateLinks[i];
-        
-        // Make sure we have a valid state name, even if the link format changed
-        const stateName = name || this.getStateFromUrl(link) || `State ${i+1}`;
-        const stateId = stateName.toLowerCase().replace(/\s+/g, '_');
-        
-        // Skip if state is already fully processed
-        if (this.completedStates.has(stateId)) {
-          this.onProgress(`Skipping completed state: ${stateName}`, {
-            stateSkipped: {
-              state: stateName,
-              stateIndex: i,
-              totalStates: stateLinks.length
-            }
-          });
-          continue;
+      // Check if scraping was stopped
+      if (!this.isRunning || global.isScraperRunning === false) {
+        // Paused by the field monitor rather than the user
+        if (this.driftError) {
+          throw this.driftError;
         }
 
-        try {
-          this.onProgress(`Starting scraping for state: ${stateName} (${i + 1}/${stateLinks.length})`, {
-            overallProgress: {
-              statesProcessed: i,
-              totalStates: stateLinks.length,
-              processed: this.processedEvents,
-              total: this.totalEventsFound
-            }
-          });
-
-          // Scrape event links and details for this state
-          const scrapedEventLinks = await this.scrapeStateWorker(link, stateName);
-
-          this.onProgress(`Completed scraping for state: ${stateName}. Scraped ${scrapedEventLinks.length} events.`, {
-            stateCompleted: {
-              state: stateName,
-              eventsScraped: scrapedEventLinks.length,
-              stateIndex: i,
-              totalStates: stateLinks.length
-            }
-          });
-
-          // Save progress after each state
-          await this.saveProgress();
+        // Resume from the first state that isn't finished
+        this.currentState = this.firstUnfinishedState(stateLinks, resumeFromState);
+        this.onProgress('Scraping stopped by user request', {
+          stopped: true,
+          atState: this.currentState,
+          totalStates: stateLinks.length
+        });
 
-        } catch (error) {
-          this.onProgress(`Error processing state ${stateName}: ${error.message}`, {
-            error: true,
-            errorDetails: {
-              message: error.message,
-              state: stateName,
-              stateIndex: i
-            }
-          });
-        }
+        // Save progress before exiting
+        runStatus = 'stopped';
+        await this.saveProgress();
+        return;
       }
       
-      this.onProgress(`Scraping completed for all states. Total events found: ${this.totalEventsFound}`, {
+      // The field monitor may have paused us during the last state
+      if (this.driftError) {
+        throw this.driftError;
+      }
+
+      runStatus = 'completed';
+      const unfinished = stateLinks
+        .map((_, index) => this.stateNameAt(stateLinks, index))
+        .filter(name => !this.completedStates.has(stateIdOf(name)));
+      if (unfinished.length > 0) {
+        runMessage = `Unfinished states (resume to retry): ${unfinished.join(', ')}`;
+      }
+      this.onProgress(`Scraping completed for all states. Total events found: ${this.totalEventsFound}` +
+        (unfinished.length > 0 ? `. ${runMessage}` : ''), {
         scrapingComplete: {
           totalEvents: this.totalEventsFound,
-          totalStates: stateLinks.length
+          totalStates: stateLinks.length,
+          unfinishedStates: unfinished
         }
       });
       
     } catch (error) {
       console.error('Error in scrapeAllEvents:', error);
+      runStatus = error.code === 'SELECTOR_DRIFT' ? 'paused' : 'failed';
+      runMessage = error.message;
       throw error;
     } finally {
       // Make sure to save progress even if there was an error
+      if (this.store) {
+        this.store.finishRun(this.runId, runStatus, this.processedEvents, runMessage);
+        this.updateDuplicates();
+      }
+      await this.saveProgress();
+      await this.saveCoverageReport();
+    }
+  }
+
+  // Retry run: only the requests in the failed queue. A failed listing page
+  // carries on through its state's pages from there; failed events are
+  // fetched again. Anything that fails again stays queued, attempts added up.
+  async retryFailedRequests() {
+    let runStatus = 'failed';
+    let runMessage = '';
+    let processedBefore = 0;
+    try {
+      this.isRunning = true;
+      this.driftError = null;
+      this.fieldMonitor.reset();
+
+      await this.openStore();
+      this.runId = this.store.startRun('retry', this.trigger);
+
+      // Keeps the interrupted scrape or refresh (if any) resumable
+      await this.loadProgress();
+      processedBefore = this.processedEvents;
+      this.store.getEventLinks().forEach(link => this.trackedEventLinks.add(link));
+
+      const queued = Array.from(this.failedRequests.values());
+      const listings = queued.filter(entry => entry.type === 'listing' && entry.stateLink);
+      this.onProgress(`Retrying ${queued.length} failed requests (${listings.length} listing pages, ` +
+        `${queued.length - listings.length} events)`, {
+        retryStarted: {
+          listings: listings.length,
+          events: queued.length - listings.length
+        }
+      });
+
+      // Listing pages: pick the state up again at the page that failed
+      for (const entry of listings) {
+        if (!this.isRunning || global.isScraperRunning === false) break;
+
+        const stateId = stateIdOf(entry.state);
+        this.completedStates.delete(stateId);
+        this.stateProgress[stateId] = {
+          ...this.stateProgress[stateId],
+          lastPage: entry.page - 1
+        };
+        await this.scrapeStateWorker(entry.stateLink, entry.state);
+      }
+
+      // Events (the listing retries may already have picked some of them up)
+      const events = Array.from(this.failedRequests.values())
+        .filter(entry => entry.type === 'event')
+        .filter(entry => {
+          if (!this.trackedEventLinks.has(entry.url)) return true;
+          this.failedRequests.delete(entry.url);
+          return false;
+        });
+
+      let done = 0;
+      for (let i = 0; i < events.length; i += this.maxConcurrency) {
+        if (!this.isRunning || global.isScraperRunning === false) break;
+
+        const chunk = events.slice(i, i + this.maxConcurrency);
+        const results = await Promise.allSettled(chunk.map(entry => this.scrapeEventDetails(entry.url, entry.state)));
+        this.processedEvents += results.filter(result => result.status === 'fulfilled' && result.value !== null).length;
+        done += chunk.length;
+
+        this.onProgress(`Retried ${done}/${events.length} failed events`, {
+          overallProgress: {
+            processed: done,
+            total: events.length,
+            statesProcessed: 1,
+            totalStates: 1
+          }
+        });
+        await this.checkpoint();
+      }
+
+      if (this.driftError) {
+        throw this.driftError;
+      }
+
+      const stillFailing = this.failedRequests.size;
+      runStatus = this.isRunning && global.isScraperRunning !== false ? 'completed' : 'stopped';
+      runMessage = stillFailing > 0 ? `${stillFailing} requests still failing` : '';
+      this.onProgress(`Retry finished: ${queued.length - stillFailing} of ${queued.length} failed requests succeeded` +
+        (stillFailing > 0 ? `, ${stillFailing} still failing` : ''), {
+        retryComplete: {
+          retried: queued.length,
+          succeeded: queued.length - stillFailing,
+          stillFailing
+        }
+      });
+    } catch (error) {
+      console.error('Error in retryFailedRequests:', error);
+      runStatus = error.code === 'SELECTOR_DRIFT' ? 'paused' : 'failed';
+      runMessage = error.message;
+      throw error;
+    } finally {
+      if (this.store) {
+        this.store.finishRun(this.runId, runStatus, this.processedEvents - processedBefore, runMessage);
+        this.updateDuplicates();
+      }
       await this.saveProgress();
+      await this.saveCoverageReport();
     }
   }
 }
@@ -0,0 +1,220 @@
+// The list of state (and province) pages to scrape, kept in
+// state-car-show-links.json, and how to rebuild it from the site.
+//
+// The site has moved its state pages once already:
+//   old: /alabama-car-events/events/category/alabama-car-shows/
+//   new: /car-shows/category/alabama/
+// Both are read here, so the rest of the scraper only deals in slugs
+// ("new-hampshire") and display names ("New Hampshire").
+
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const path = require('path');
+const { findState } = require('./us-states');
+
+const STATE_LINKS_FILE_NAME = 'state-car-show-links.json';
+
+// Pages that list the site's categories, tried in order
+const CATEGORY_INDEX_PATHS = ['/car-shows/', '/'];
+
+const CATEGORY_PATH = /\/car-shows\/category\/([a-z0-9-]+)/i;
+const CATEGORY_LINK = /\/car-shows\/category\/([a-z0-9-]+)\/?$/i; // The category itself, not a page of it
+const OLD_STATE_LINK = /\/([a-z-]+)-car-events\//i;
+
+const CANADIAN_PROVINCES = [
+  'Alberta', 'British Columbia', 'Manitoba', 'New Brunswick', 'Newfoundland and Labrador',
+  'Northwest Territories', 'Nova Scotia', 'Nunavut', 'Ontario', 'Prince Edward Island',
+  'Quebec', 'Saskatchewan', 'Yukon'
+];
+
+const SMALL_WORDS = new Set(['of', 'and', 'the']);
+
+function urlPath(url) {
+  if (!/^https?:/i.test(url)) return url;
+  try {
+    return new URL(url).pathname;
+  } catch (e) {
+    return url;
+  }
+}
+
+// "new-hampshire" from either URL scheme, or the first meaningful path part
+function slugFromUrl(url) {
+  if (!url) return null;
+  const pathname = urlPath(String(url));
+
+  const match = pathname.match(CATEGORY_PATH) || pathname.match(OLD_STATE_LINK);
+  if (match) return match[1].toLowerCase();
+
+  const parts = pathname.split('/').filter(part => part && !['events', 'category', 'car-shows'].includes(part.toLowerCase()));
+  return parts.length > 0 ? parts[0].toLowerCase() : null;
+}
+
+// The US state or Canadian province a slug stands for, or null
+function regionForSlug(slug) {
+  const state = findState(slug);
+  if (state) return { name: state.name, country: 'US' };
+
+  const words = String(slug || '').replace(/-/g, ' ').toLowerCase();
+  const province = CANADIAN_PROVINCES.find(name => name.toLowerCase() === words);
+  return province ? { name: province, country: 'CA' } : null;
+}
+
+// "new-hampshire" -> "New Hampshire", "district-of-columbia" -> "District of Columbia"
+function displayNameFromSlug(slug) {
+  if (!slug) return null;
+  const region = regionForSlug(slug);
+  if (region) return region.name;
+
+  return slug.split('-').filter(Boolean).map((word, i) =>
+    i > 0 && SMALL_WORDS.has(word) ? word : word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+}
+
+function stateNameFromUrl(url) {
+  return displayNameFromSlug(slugFromUrl(url));
+}
+
+// Key for a state in the progress file and the scrape status table
+function stateIdOf(name) {
+  return String(name || '').toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Category links on an index page -> { states: [{ slug, name, link }], ignored }.
+// Categories that aren't a state or province (car show types and the like)
+// are returned in `ignored` so they can be reported but not scraped.
+function parseCategoryIndex(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const found = new Map();
+
+  $('a[href]').each((i, el) => {
+    let link = $(el).attr('href');
+    try {
+      link = new URL(link, pageUrl).toString();
+    } catch (e) {
+      return;
+    }
+
+    const match = urlPath(link).match(CATEGORY_LINK);
+    if (!match) return;
+
+    const slug = match[1].toLowerCase();
+    if (found.has(slug)) return;
+
+    // Link text without event counts, e.g. "Iowa (42)"
+    const text = $(el).text().replace(/\(\d+\)/g, '').replace(/\s+/g, ' ').trim();
+    const region = regionForSlug(slug);
+    found.set(slug, {
+      slug,
+      name: region ? region.name : (text || displayNameFromSlug(slug)),
+      link: link.replace(/[?#].*$/, ''),
+      isRegion: Boolean(region)
+    });
+  });
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const strip = ({ isRegion, ...entry }) => entry;
+  const entries = Array.from(found.values());
+  return {
+    states: entries.filter(entry => entry.isRegion).sort(byName).map(strip),
+    ignored: entries.filter(entry => !entry.isRegion).sort(byName).map(strip)
+  };
+}
+
+// Reads the list -> [{ slug, name, link }]. Accepts the discovered format
+// ({ states: [...] }) and the original hand-kept one ({ stateCarShowLinks: [url, ...] }).
+async function readStateLinksFile(filePath) {
+  const data = await fs.readJSON(filePath);
+
+  if (data && Array.isArray(data.states)) {
+    return data.states.map(({ slug, name, link }) => {
+      const stateSlug = slug || slugFromUrl(link);
+      return { slug: stateSlug, name: name || displayNameFromSlug(stateSlug), link };
+    });
+  }
+
+  if (data && Array.isArray(data.stateCarShowLinks)) {
+    return data.stateCarShowLinks.map(link => {
+      const slug = slugFromUrl(link);
+      return { slug, name: displayNameFromSlug(slug) || 'Unknown State', link };
+    });
+  }
+
+  const error = new Error(`${filePath} does not hold a list of state pages`);
+  error.code = 'INVALID_STATE_LINKS';
+  throw error;
+}
+
+async function writeStateLinksFile(filePath, states) {
+  await fs.ensureDir(path.dirname(filePath));
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeJSON(tempPath, {
+    updatedAt: new Date().toISOString(),
+    states: states.map(({ slug, name, link }) => ({ slug, name, link }))
+  }, { spaces: 2 });
+  await fs.rename(tempPath, filePath);
+}
+
+// What adopting `discovered` would change, matched up by slug
+function diffStateLinks(current, discovered) {
+  const before = new Map(current.map(entry => [entry.slug, entry]));
+  const after = new Map(discovered.map(entry => [entry.slug, entry]));
+  const diff = { added: [], removed: [], renamed: [], moved: [], unchanged: 0 };
+
+  after.forEach((entry, slug) => {
+    const old = before.get(slug);
+    if (!old) {
+      diff.added.push(entry);
+      return;
+    }
+    let changed = false;
+    if (old.name !== entry.name) {
+      diff.renamed.push({ slug, from: old.name, to: entry.name });
+      changed = true;
+    }
+    if (old.link !== entry.link) {
+      diff.moved.push({ slug, name: entry.name, from: old.link, to: entry.link });
+      changed = true;
+    }
+    if (!changed) diff.unchanged++;
+  });
+
+  before.forEach((entry, slug) => {
+    if (!after.has(slug)) diff.removed.push(entry);
+  });
+
+  return diff;
+}
+
+function hasStateLinkChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.renamed.length + diff.moved.length > 0;
+}
+
+// Lines for logs and the console
+function describeStateLinksDiff(diff) {
+  if (!hasStateLinkChanges(diff)) return [`No changes (${diff.unchanged} states)`];
+
+  return [
+    ...diff.added.map(entry => `+ ${entry.name}  ${entry.link}`),
+    ...diff.removed.map(entry => `- ${entry.name}  ${entry.link}`),
+    ...diff.renamed.map(entry => `~ ${entry.from} is now called ${entry.to}`),
+    ...diff.moved.map(entry => `~ ${entry.name} moved: ${entry.from} -> ${entry.to}`),
+    `${diff.unchanged} states unchanged`
+  ];
+}
+
+module.exports = {
+  STATE_LINKS_FILE_NAME,
+  CATEGORY_INDEX_PATHS,
+  slugFromUrl,
+  displayNameFromSlug,
+  regionForSlug,
+  stateNameFromUrl,
+  stateIdOf,
+  parseCategoryIndex,
+  readStateLinksFile,
+  writeStateLinksFile,
+  diffStateLinks,
+  hasStateLinkChanges,
+  describeStateLinksDiff
+};
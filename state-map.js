@@ -0,0 +1,86 @@
+const { US_STATES, STATE_TILES, findState } = require('./us-states');
+const { regionForSlug, stateIdOf } = require('./state-links');
+
+// Per-state numbers for the offline state map: how many upcoming events each
+// state has and how its last scrape went.
+
+// completed: every page fetched; partial: started but not finished;
+// failed: pages could not be fetched; never: not scraped yet
+function scrapeStatusOf(row) {
+  if (!row) return 'never';
+  if (row.last_error) return 'failed';
+  return row.completed ? 'completed' : 'partial';
+}
+
+function isUpcoming(record, today) {
+  const lastDay = record.endDate || record.startDate;
+  return record.status !== 'removed' && Boolean(lastDay) && lastDay >= today;
+}
+
+// records are stored events, statusRows the rows of EventStore.getScrapeStatus()
+function summarizeStates(records, statusRows, today = new Date().toISOString().slice(0, 10)) {
+  const counts = new Map();
+  records.forEach(record => {
+    const state = findState(record.stateAbbr) || findState(record.state);
+    if (!state || record.duplicateOf) return;
+
+    const count = counts.get(state.abbr) || { upcoming: 0, total: 0 };
+    count.total++;
+    if (isUpcoming(record, today)) count.upcoming++;
+    counts.set(state.abbr, count);
+  });
+
+  const statuses = new Map();
+  statusRows.forEach(row => {
+    const state = findState(row.state_name) || findState(row.state_id);
+    if (state) statuses.set(state.abbr, row);
+  });
+
+  return US_STATES.map(state => {
+    const count = counts.get(state.abbr) || { upcoming: 0, total: 0 };
+    const row = statuses.get(state.abbr);
+    const [tileRow, tileColumn] = STATE_TILES[state.abbr];
+    return {
+      abbr: state.abbr,
+      name: state.name,
+      region: state.region,
+      row: tileRow,
+      column: tileColumn,
+      upcoming: count.upcoming,
+      total: count.total,
+      status: scrapeStatusOf(row),
+      lastError: row ? row.last_error || '' : '',
+      lastProcessed: row ? row.last_processed || '' : ''
+    };
+  });
+}
+
+// The same numbers for the state pages ({ name, slug }) that aren't a US
+// state, which have no tile on the map: Canadian provinces, and anything else
+// the site lists alongside the states. The state picker groups them under
+// "Canada" and "Other".
+function summarizeOtherPages(stateLinks, records, statusRows, today = new Date().toISOString().slice(0, 10)) {
+  return stateLinks.filter(({ name }) => !findState(name)).map(({ name, slug }) => {
+    // Older versions stored these names as they appeared in the URL
+    // ("British-columbia", "british-columbia"), so compare them as ids
+    const id = stateIdOf(name);
+    const events = records.filter(record => stateIdOf(record.state) === id && !record.duplicateOf);
+    const row = statusRows.find(statusRow => stateIdOf(statusRow.state_id) === id);
+    const region = regionForSlug(slug);
+    return {
+      id: slug,
+      name,
+      region: region && region.country === 'CA' ? 'Canada' : 'Other',
+      upcoming: events.filter(record => isUpcoming(record, today)).length,
+      total: events.length,
+      status: scrapeStatusOf(row),
+      lastError: row ? row.last_error || '' : '',
+      lastProcessed: row ? row.last_processed || '' : ''
+    };
+  });
+}
+
+module.exports = {
+  summarizeStates,
+  summarizeOtherPages
+};
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitBreaker } = require('../circuit-breaker');
+const { PolitenessController } = require('../politeness');
+
+function tripped(options = {}) {
+  const changes = [];
+  const breaker = new CircuitBreaker({ threshold: 2, cooldownMs: 1000, maxCooldownMs: 3000, onChange: state => changes.push(state), ...options });
+  breaker.recordFailure('timeout', 0);
+  breaker.recordFailure('timeout', 0);
+  return { breaker, changes };
+}
+
+test('circuit breaker: stays closed below the threshold and opens on reaching it', () => {
+  const breaker = new CircuitBreaker({ threshold: 3, cooldownMs: 1000 });
+
+  assert.equal(breaker.recordFailure('timeout', 0), false);
+  assert.equal(breaker.recordFailure('timeout', 0), false);
+  assert.equal(breaker.waitTime(0), 0);
+  assert.equal(breaker.recordFailure('timeout', 0), true);
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.waitTime(400), 600);
+});
+
+test('circuit breaker: a success in between resets the count', () => {
+  const breaker = new CircuitBreaker({ threshold: 2 });
+
+  breaker.recordFailure('timeout', 0);
+  breaker.recordSuccess();
+  assert.equal(breaker.recordFailure('timeout', 0), false);
+  assert.equal(breaker.state, 'closed');
+});
+
+test('circuit breaker: after the cool-down only one caller makes the trial request', () => {
+  const { breaker, changes } = tripped();
+
+  assert.equal(breaker.waitTime(1000), 0);
+  assert.equal(breaker.state, 'half-open');
+  assert.ok(breaker.waitTime(1000) > 0);
+
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.waitTime(1000), 0);
+  assert.deepEqual(changes, ['open', 'half-open', 'closed']);
+});
+
+test('circuit breaker: a failed trial reopens with twice the cool-down, up to the maximum', () => {
+  const { breaker } = tripped();
+
+  breaker.waitTime(1000);
+  assert.equal(breaker.recordFailure('server', 1000), true);
+  assert.equal(breaker.cooldownMs, 2000);
+  assert.equal(breaker.waitTime(1000), 2000);
+
+  breaker.waitTime(3000);
+  breaker.recordFailure('server', 3000);
+  assert.equal(breaker.cooldownMs, 3000);
+});
+
+test('circuit breaker: a released trial goes to the next caller', () => {
+  const { breaker } = tripped();
+
+  assert.equal(breaker.waitTime(1000), 0);
+  breaker.releaseTrial();
+  assert.equal(breaker.waitTime(1000), 0);
+  assert.ok(breaker.waitTime(1000) > 0);
+});
+
+test('politeness: a run stopped while holding the trial does not block the next request', { timeout: 5000 }, async () => {
+  let stopped = true;
+  const politeness = new PolitenessController({
+    requestsPerSecond: 1,
+    jitter: 0,
+    breakerThreshold: 1,
+    shouldContinue: () => !stopped
+  });
+  politeness.breaker.recordFailure('timeout', 0);
+  politeness.tokens = 0;
+
+  await assert.rejects(politeness.schedule('https://example.com/a', async () => 'a'), { code: 'SCRAPER_STOPPED' });
+
+  stopped = false;
+  politeness.tokens = 1;
+  assert.equal(await politeness.schedule('https://example.com/b', async () => 'b'), 'b');
+  assert.equal(politeness.breaker.state, 'closed');
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CSV_COLUMNS, LEGACY_CSV_LAYOUTS, parseCsv, readCsvRecords, toCsv } = require('../csv-store');
+
+// A headerless CSV row in the given layout, each field filled with its column id
+// (and the date columns with dates, so the values are told apart by name)
+function legacyRow(layout, values = {}) {
+  return layout.map(column => {
+    const value = values[column.id] !== undefined ? values[column.id] : column.id;
+    return `"${String(value).replace(/"/g, '""')}"`;
+  }).join(',');
+}
+
+async function withCsvFile(text, run) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'csv-store-test-'));
+  try {
+    const csvPath = path.join(dir, 'events.csv');
+    await fs.promises.writeFile(csvPath, text);
+    return await run(csvPath);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('parseCsv: quoted fields keep commas, doubled quotes and line breaks', () => {
+  const rows = parseCsv('a,"b, c","say ""hi""","two\nlines"\r\nd,e,f,g\n\n');
+
+  assert.deepEqual(rows, [
+    ['a', 'b, c', 'say "hi"', 'two\nlines'],
+    ['d', 'e', 'f', 'g']
+  ]);
+});
+
+test('readCsvRecords: each row is read in the layout it was written in', async () => {
+  const [original, isoDates, , withCoordinates, latest] = LEGACY_CSV_LAYOUTS;
+  const text = [
+    legacyRow(original, { eventName: 'Old Show', date: 'May 4', originalLink: 'https://example.com/old/' }),
+    legacyRow(isoDates, { eventName: 'Dated Show', startDate: '2025-05-04', originalLink: 'https://example.com/dated/' }),
+    legacyRow(withCoordinates, { eventName: 'Mapped Show', latitude: '41.6', originalLink: 'https://example.com/mapped/' }),
+    legacyRow(latest, { eventName: 'Latest Show', status: 'removed', originalLink: 'https://example.com/latest/' })
+  ].join('\n') + '\n';
+
+  const { records, unmatched } = await withCsvFile(text, readCsvRecords);
+
+  assert.deepEqual(unmatched, []);
+  assert.deepEqual(records.map(record => record.originalLink), [
+    'https://example.com/old/',
+    'https://example.com/dated/',
+    'https://example.com/mapped/',
+    'https://example.com/latest/'
+  ]);
+  assert.equal(records[0].date, 'May 4');
+  assert.equal(records[0].description, 'description');
+  assert.equal(records[0].startDate, undefined);
+  assert.equal(records[1].startDate, '2025-05-04');
+  assert.equal(records[1]['start-time'], 'start-time');
+  assert.equal(records[2].latitude, '41.6');
+  assert.equal(records[2].status, undefined);
+  assert.equal(records[3].status, 'removed');
+});
+
+test('readCsvRecords: rows in no known layout are reported, not misread', async () => {
+  const [original] = LEGACY_CSV_LAYOUTS;
+  const text = `${legacyRow(original)}\n"just","five","columns","in","here"\n${legacyRow(original)}\n`;
+
+  const { records, unmatched } = await withCsvFile(text, readCsvRecords);
+
+  assert.equal(records.length, 2);
+  assert.deepEqual(unmatched, [{ row: 2, columns: 5 }]);
+});
+
+test('readCsvRecords: a missing file has no records', async () => {
+  const result = await readCsvRecords(path.join(os.tmpdir(), 'no-such-dir', 'events.csv'));
+
+  assert.deepEqual(result, { records: [], unmatched: [] });
+});
+
+test('CSV_COLUMNS: later columns sit next to the ones they belong with', () => {
+  const ids = CSV_COLUMNS.map(column => column.id);
+
+  assert.equal(ids[ids.indexOf('longitude') + 1], 'geoPrecision');
+  assert.equal(ids[ids.indexOf('originalLink') + 1], 'duplicateOf');
+  assert.equal(new Set(ids).size, ids.length);
+  assert.equal(toCsv([{ eventName: 'Show' }]).split('\n')[0].split(',')[0], 'Event Name');
+});
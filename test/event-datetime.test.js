@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeDate,
+  normalizeEventDates,
+  parseDateParts,
+  parseTimeRange,
+  resolveTimezone,
+  toTimestamps,
+  buildEventTimes
+} = require('../event-datetime');
+
+const MARCH_2025 = new Date('2025-03-01T12:00:00Z');
+
+test('normalizeDate: the date formats event pages use', () => {
+  assert.equal(normalizeDate('2025-05-04', MARCH_2025), '2025-05-04');
+  assert.equal(normalizeDate('05/04/2025', MARCH_2025), '2025-05-04');
+  assert.equal(normalizeDate('5/4/25', MARCH_2025), '2025-05-04');
+  assert.equal(normalizeDate('May 4, 2025', MARCH_2025), '2025-05-04');
+  assert.equal(normalizeDate('Sunday, May 4th', MARCH_2025), '2025-05-04');
+  assert.equal(normalizeDate('4 May 2025', MARCH_2025), '2025-05-04');
+  assert.equal(normalizeDate('Sept. 14, 2025', MARCH_2025), '2025-09-14');
+  assert.equal(normalizeDate('May 4 @ 8:00 am', MARCH_2025), '2025-05-04');
+});
+
+test('normalizeDate: unreadable and impossible dates come out empty', () => {
+  assert.equal(normalizeDate('', MARCH_2025), '');
+  assert.equal(normalizeDate('TBA', MARCH_2025), '');
+  assert.equal(normalizeDate('Feb 30, 2025', MARCH_2025), '');
+  assert.equal(parseDateParts('sometime soon'), null);
+});
+
+test('normalizeDate: a missing year is the one closest to when the page was read', () => {
+  assert.equal(normalizeDate('Jan 5', new Date('2025-12-20T12:00:00Z')), '2026-01-05');
+  assert.equal(normalizeDate('Dec 28', new Date('2026-01-03T12:00:00Z')), '2025-12-28');
+  assert.equal(normalizeDate('Feb 29', new Date('2024-02-01T12:00:00Z')), '2024-02-29');
+});
+
+test('normalizeEventDates: start and end, over New Year and for single days', () => {
+  assert.deepEqual(normalizeEventDates('May 4', 'May 5', MARCH_2025), { startDate: '2025-05-04', endDate: '2025-05-05' });
+  assert.deepEqual(normalizeEventDates('Dec 30, 2025', 'Jan 2', MARCH_2025), { startDate: '2025-12-30', endDate: '2026-01-02' });
+  assert.deepEqual(normalizeEventDates('May 4', '', MARCH_2025), { startDate: '2025-05-04', endDate: '2025-05-04' });
+  assert.deepEqual(normalizeEventDates('May 4, 2025', 'May 1, 2025', MARCH_2025), { startDate: '2025-05-04', endDate: '2025-05-04' });
+  assert.deepEqual(normalizeEventDates('', 'May 5', MARCH_2025), { startDate: '', endDate: '' });
+});
+
+test('parseTimeRange: 24-hour start and end times', () => {
+  const times = text => {
+    const { startTime24, endTime24 } = parseTimeRange(text);
+    return [startTime24, endTime24];
+  };
+
+  assert.deepEqual(times('8:00 am - 5:00 pm'), ['08:00', '17:00']);
+  assert.deepEqual(times('noon to 4pm'), ['12:00', '16:00']);
+  assert.deepEqual(times('20:00–23:30'), ['20:00', '23:30']);
+  assert.deepEqual(times('6:00 pm'), ['18:00', '']);
+  assert.deepEqual(times('13 pm'), ['', '']);
+});
+
+test('parseTimeRange: a bare start hour borrows the end\'s am/pm only when that fits', () => {
+  assert.equal(parseTimeRange('8 - 11 pm').startTime24, '20:00');
+  assert.equal(parseTimeRange('10 - 2 pm').startTime24, '10:00');
+});
+
+test('parseTimeRange: the date before "@" is not read as a time', () => {
+  assert.deepEqual(parseTimeRange('May 4 @ 8:00 am - 5:00 pm'),
+    { startTime24: '08:00', endTime24: '17:00', allDay: false, endsNextDay: false });
+  assert.deepEqual(parseTimeRange('May 4 @ 8:00 am - May 5 @ 5:00 pm'),
+    { startTime24: '08:00', endTime24: '17:00', allDay: false, endsNextDay: false });
+});
+
+test('parseTimeRange: all-day events and ranges past midnight', () => {
+  assert.equal(parseTimeRange('All Day').allDay, true);
+  assert.equal(parseTimeRange('8:00 pm - 2:00 am').endsNextDay, true);
+  assert.equal(parseTimeRange('8:00 am - 5:00 pm').endsNextDay, false);
+});
+
+test('resolveTimezone: venue overrides, then minority-zone cities, then the state', () => {
+  assert.equal(resolveTimezone({ stateAbbr: 'IA', venue: 'Big Barn' }, { 'big barn': 'America/Denver' }), 'America/Denver');
+  assert.equal(resolveTimezone({ stateAbbr: 'TX', city: 'El Paso' }), 'America/Denver');
+  assert.equal(resolveTimezone({ stateAbbr: 'TX', city: 'Austin' }), 'America/Chicago');
+  assert.equal(resolveTimezone({ stateName: 'Iowa' }), 'America/Chicago');
+  assert.equal(resolveTimezone({ stateAbbr: 'ZZ' }), '');
+});
+
+test('toTimestamps: local and UTC times on either side of a DST change', () => {
+  assert.deepEqual(toTimestamps('2025-01-10', '08:00', 'America/Chicago'),
+    { local: '2025-01-10T08:00:00-06:00', utc: '2025-01-10T14:00:00.000Z' });
+  assert.deepEqual(toTimestamps('2025-03-09', '03:30', 'America/Chicago'),
+    { local: '2025-03-09T03:30:00-05:00', utc: '2025-03-09T08:30:00.000Z' });
+  assert.deepEqual(toTimestamps('2025-01-10', '08:00', ''), { local: '', utc: '' });
+});
+
+test('buildEventTimes: overnight and all-day events end on the following day', () => {
+  const overnight = buildEventTimes({ startDate: '2025-05-04', endDate: '2025-05-04', timeText: '8:00 pm - 2:00 am', timezone: 'America/Chicago' });
+  assert.equal(overnight.startDateTime, '2025-05-04T20:00:00-05:00');
+  assert.equal(overnight.endDateTime, '2025-05-05T02:00:00-05:00');
+
+  const allDay = buildEventTimes({ startDate: '2025-05-04', endDate: '2025-05-05', timeText: 'All Day', timezone: 'America/Chicago' });
+  assert.equal(allDay.startDateTime, '2025-05-04T00:00:00-05:00');
+  assert.equal(allDay.endDateTime, '2025-05-06T00:00:00-05:00');
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { titleTokens, titleSimilarity, duplicateScore, pairKey, findDuplicateClusters } = require('../event-dedup');
+
+function show(link, fields = {}) {
+  return {
+    originalLink: `https://carcruisefinder.com/car-shows/${link}/`,
+    eventName: 'Riverfront Rumble',
+    venue: 'Riverside Park',
+    city: 'Dubuque',
+    stateAbbr: 'IA',
+    startDate: '2025-06-14',
+    endDate: '2025-06-14',
+    ...fields
+  };
+}
+
+test('titles: years, ordinals and filler words are ignored', () => {
+  assert.deepEqual(titleTokens('The 25th Annual Riverfront Rumble Car Show 2025'), ['riverfront', 'rumble']);
+  assert.equal(titleSimilarity('Riverfront Rumble 2025', '5th annual riverfront rumble'), 1);
+  assert.ok(titleSimilarity('Riverfront Rumble', 'Riverfrnt Rumble') > 0.8);
+  assert.ok(titleSimilarity('Riverfront Rumble', 'Pumpkin Run') < 0.5);
+});
+
+test('duplicateScore: needs overlapping dates, the same place and a similar title', () => {
+  assert.ok(duplicateScore(show('a'), show('b', { eventName: 'Annual Riverfront Rumble Car Show' })) > 0.9);
+  assert.equal(duplicateScore(show('a'), show('b', { startDate: '2025-06-21', endDate: '2025-06-21' })), null);
+  assert.equal(duplicateScore(show('a'), show('b', { venue: 'Fairgrounds', city: 'Galena', stateAbbr: 'IL' })), null);
+  assert.equal(duplicateScore(show('a'), show('b', { eventName: 'Pumpkin Run', venue: 'Fairgrounds' })), null);
+  assert.equal(duplicateScore(show('a'), show('b', { startDate: '' })), null);
+});
+
+test('clusters: a show listed under two states is one cluster, kept as its most complete record', () => {
+  const clusters = findDuplicateClusters([
+    show('rumble-iowa'),
+    show('rumble-illinois', { state: 'Illinois', postalCode: '52001', organizer: 'River Cruisers', price: 'Free' }),
+    show('rumble-again', { eventName: 'Riverfront Rumble 2025' }),
+    show('pumpkin-run', { eventName: 'Pumpkin Run', venue: 'Fairgrounds' })
+  ]);
+
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].canonicalLink, show('rumble-illinois').originalLink);
+  assert.deepEqual(clusters[0].links, [
+    show('rumble-illinois').originalLink,
+    show('rumble-again').originalLink,
+    show('rumble-iowa').originalLink
+  ]);
+  assert.equal(clusters[0].confirmed, false);
+});
+
+test('clusters: the user\'s same and distinct decisions override the heuristics', () => {
+  const a = show('a');
+  const b = show('b');
+  const other = show('other', { eventName: 'Pumpkin Run', venue: 'Fairgrounds' });
+
+  assert.deepEqual(findDuplicateClusters([a, b], new Map([[pairKey(a.originalLink, b.originalLink), 'distinct']])), []);
+
+  const [joined] = findDuplicateClusters([a, other], new Map([[pairKey(other.originalLink, a.originalLink), 'same']]));
+  assert.deepEqual(joined.links.slice().sort(), [a.originalLink, other.originalLink].sort());
+  assert.equal(joined.confirmed, true);
+});
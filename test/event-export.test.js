@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatEvents, formatFromPath, resolveColumns } = require('../event-export');
+
+const TIMED = {
+  originalLink: 'https://carcruisefinder.com/car-shows/spring-fling/',
+  eventName: 'Spring Fling; Cars, Trucks & Bikes',
+  venue: 'Fairgrounds',
+  city: 'Nevada',
+  stateAbbr: 'IA',
+  postalCode: '50201',
+  latitude: '42.0186',
+  longitude: '-93.4522',
+  startDate: '2025-05-04',
+  endDate: '2025-05-04',
+  startUtc: '2025-05-04T13:00:00.000Z',
+  endUtc: '2025-05-04T22:00:00.000Z',
+  description: 'Line one\nC:\\path',
+  fieldSources: '{"eventName":"css"}',
+  allDay: 'false'
+};
+
+// Content lines with folding undone (RFC 5545 3.1)
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('ics: text values are escaped and dates use UTC timestamps', () => {
+  const lines = unfold(formatEvents([TIMED], 'ics'));
+
+  assert.ok(lines.includes('SUMMARY:Spring Fling\\; Cars\\, Trucks & Bikes'));
+  assert.ok(lines.includes('DTSTART:20250504T130000Z'));
+  assert.ok(lines.includes('DTEND:20250504T220000Z'));
+  assert.ok(lines.includes('LOCATION:Fairgrounds\\, Nevada\\, IA 50201'));
+  assert.ok(lines.includes('GEO:42.0186;-93.4522'));
+  assert.ok(lines.some(line => line.startsWith('DESCRIPTION:Line one\\nC:\\\\path\\n\\n')));
+});
+
+test('ics: events without a time are all-day, and events without a date are left out', () => {
+  const ics = formatEvents([
+    { originalLink: 'https://example.com/a/', eventName: 'Swap Meet', startDate: '2025-05-04', endDate: '2025-05-05', status: 'removed' },
+    { originalLink: 'https://example.com/b/', eventName: 'Sometime' }
+  ], 'ics');
+  const lines = unfold(ics);
+
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20250504'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20250506'));
+  assert.ok(lines.includes('STATUS:CANCELLED'));
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+});
+
+test('ics: long lines are folded at 75 octets without splitting a character', () => {
+  const description = 'Café racers, hot rods and “resto-mods” — ' + 'ünïcödé '.repeat(40);
+  const ics = formatEvents([{ ...TIMED, description }], 'ics');
+  const physical = ics.split('\r\n');
+
+  physical.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`));
+  assert.ok(physical.some(line => line.startsWith(' ')));
+  assert.ok(!ics.includes('�'));
+  assert.ok(unfold(ics).some(line => line.startsWith(`DESCRIPTION:${description.replace(/,/g, '\\,')}`)));
+});
+
+test('json and geojson: chosen columns, parsed field sources, only events with coordinates', () => {
+  const [event] = JSON.parse(formatEvents([TIMED], 'json', ['eventName', 'fieldSources', 'allDay']));
+  assert.deepEqual(event, { eventName: TIMED.eventName, fieldSources: { eventName: 'css' }, allDay: false });
+
+  const geojson = JSON.parse(formatEvents([TIMED, { ...TIMED, latitude: '', originalLink: 'x' }], 'geojson', ['eventName']));
+  assert.equal(geojson.features.length, 1);
+  assert.deepEqual(geojson.features[0].geometry.coordinates, [-93.4522, 42.0186]);
+  assert.deepEqual(geojson.features[0].properties, { eventName: TIMED.eventName });
+});
+
+test('formats and columns: picked from the file name, unknown ones refused', () => {
+  assert.equal(formatFromPath('/tmp/shows.ICS'), 'ics');
+  assert.equal(formatFromPath('shows.jsonl'), 'ndjson');
+  assert.equal(formatFromPath('shows.txt'), null);
+  assert.throws(() => resolveColumns(['eventName', 'colour']), { code: 'UNKNOWN_COLUMN' });
+  assert.throws(() => formatEvents([], 'xml'), { code: 'UNKNOWN_FORMAT' });
+});
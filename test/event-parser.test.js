@@ -0,0 +1,180 @@
+// Checks the page parsers against saved pages in test/fixtures, so a change
+// to the site's theme shows up here rather than as empty columns after a
+// scrape. To add a page, record a scrape (Network mode: Record), copy the
+// page from fixtures/ into test/fixtures/ and write down what it should give.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseListingPage, parseEventPage } = require('../event-parser');
+
+// When the fixtures were "fetched", so dates without a year resolve the same way every run
+const REFERENCE_DATE = new Date('2025-03-01T12:00:00Z');
+const LISTING_URL = 'https://carcruisefinder.com/car-shows/category/iowa/';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('listing page: event links in page order, each once, and the next page', () => {
+  const listing = parseListingPage(fixture('listing-page.html'), LISTING_URL);
+
+  assert.deepEqual(listing.eventLinks, [
+    'https://carcruisefinder.com/car-shows/spring-fling-car-show/',
+    'https://carcruisefinder.com/car-shows/friday-night-cruise-in-ankeny/',
+    'https://carcruisefinder.com/car-shows/river-city-swap-meet/'
+  ]);
+  assert.equal(listing.hasNextPage, true);
+  assert.equal(listing.nextPageUrl, 'https://carcruisefinder.com/car-shows/category/iowa/page/2/');
+});
+
+test('listing page: the last page has a nav bar but no next link', () => {
+  const listing = parseListingPage(fixture('listing-last-page.html'), `${LISTING_URL}page/3/`);
+
+  assert.deepEqual(listing.eventLinks, ['https://carcruisefinder.com/car-shows/fall-color-tour/']);
+  assert.equal(listing.hasNextPage, false);
+  assert.equal(listing.nextPageUrl, null);
+});
+
+test('listing page: no nav bar at all is reported as unknown, not as the last page', () => {
+  const listing = parseListingPage('<html><body><p>Nothing here</p></body></html>', LISTING_URL);
+
+  assert.deepEqual(listing.eventLinks, []);
+  assert.equal(listing.hasNextPage, null);
+});
+
+test('event page: theme markup with a time range', () => {
+  const record = parseEventPage(fixture('event-page.html'), { referenceDate: REFERENCE_DATE });
+
+  assert.equal(record.eventName, 'Spring Fling Car Show');
+  assert.equal(record.venue, 'Story County Fairgrounds');
+  assert.equal(record.streetAddress, '1 Fair Rd');
+  assert.equal(record.city, 'Nevada');
+  assert.equal(record.stateAbbr, 'IA');
+  assert.equal(record.postalCode, '50201');
+  assert.equal(record.country, 'United States');
+  assert.equal(record.organizer, 'Story County Cruisers');
+
+  assert.equal(record.date, '2025-05-04');
+  assert.equal(record.startDate, '2025-05-04');
+  assert.equal(record.endDate, '2025-05-04');
+  assert.equal(record['start-time'], '8:00 am');
+  assert.equal(record['end-time'], '5:00 pm');
+  assert.equal(record.startTime24, '08:00');
+  assert.equal(record.endTime24, '17:00');
+  assert.equal(record.timezone, 'America/Chicago');
+  assert.equal(record.startDateTime, '2025-05-04T08:00:00-05:00');
+  assert.equal(record.startUtc, '2025-05-04T13:00:00.000Z');
+  assert.equal(record.endUtc, '2025-05-04T22:00:00.000Z');
+
+  // Everything between the calendar buttons and the disclaimer, text nodes included
+  assert.equal(record.description,
+    'Cars, trucks and bikes of all years. Dash plaques to the first 100 cars. Trophies at 3 pm. Food vendors on site.');
+});
+
+test('event page: fields the theme markup lacks come from its JSON-LD', () => {
+  const record = parseEventPage(fixture('event-page.html'), { referenceDate: REFERENCE_DATE });
+
+  assert.equal(record.latitude, '42.0186');
+  assert.equal(record.longitude, '-93.4522');
+  assert.equal(record.price, '10 USD');
+  assert.equal(record.image, 'https://carcruisefinder.com/wp-content/uploads/2025/03/spring-fling.jpg');
+  assert.equal(record.fieldSources.eventName, 'css');
+  assert.equal(record.fieldSources.description, 'css');
+  assert.equal(record.fieldSources.latitude, 'jsonld');
+  assert.equal(record.fieldSources.price, 'jsonld');
+});
+
+test('event page: primarySource jsonld prefers the JSON-LD values', () => {
+  const record = parseEventPage(fixture('event-page.html'), {
+    referenceDate: REFERENCE_DATE,
+    primarySource: 'jsonld'
+  });
+
+  assert.equal(record.description, 'Cars, trucks and bikes of all years.');
+  assert.equal(record.fieldSources.description, 'jsonld');
+  assert.equal(record.startTime24, '08:00');
+  assert.equal(record.endTime24, '17:00');
+});
+
+test('event page: single start time and a separate end date', () => {
+  const record = parseEventPage(fixture('event-page-single-time.html'), { referenceDate: REFERENCE_DATE });
+
+  assert.equal(record.eventName, 'Lakeside Cruise Night');
+  assert.equal(record.venue, 'Harbor Park');
+  assert.equal(record.city, 'Sandusky');
+  assert.equal(record.stateAbbr, 'OH');
+  assert.equal(record.startDate, '2025-06-14');
+  assert.equal(record.endDate, '2025-06-15');
+  assert.equal(record['start-time'], '6:00 pm');
+  assert.equal(record['end-time'], '');
+  assert.equal(record.startTime24, '18:00');
+  assert.equal(record.endTime24, '');
+  assert.equal(record.timezone, 'America/New_York');
+  assert.equal(record.startUtc, '2025-06-14T22:00:00.000Z');
+  assert.equal(record.description, 'All makes and models welcome. Free admission.');
+  assert.equal(record.latitude, '');
+});
+
+test('event page: a new theme without the old markup still parses from JSON-LD', () => {
+  const record = parseEventPage(fixture('event-page-new-theme.html'), { referenceDate: REFERENCE_DATE });
+
+  assert.equal(record.eventName, 'Route 66 Revival');
+  assert.equal(record.venue, 'Downtown Square');
+  assert.equal(record.streetAddress, '100 N Main St');
+  assert.equal(record.city, 'Pontiac');
+  assert.equal(record.stateAbbr, 'IL');
+  assert.equal(record.postalCode, '61764');
+  assert.equal(record.organizer, 'Pontiac Main Street');
+  assert.equal(record.image, 'https://carcruisefinder.com/wp-content/uploads/2025/04/route-66.jpg');
+  assert.equal(record.startDate, '2025-07-19');
+  assert.equal(record.startTime24, '10:00');
+  assert.equal(record.endTime24, '16:00');
+  assert.equal(record.startUtc, '2025-07-19T15:00:00.000Z');
+  assert.equal(record.description, 'Classic cars along the Mother Road & a sock hop after dark.');
+  assert.ok(Object.values(record.fieldSources).every(source => source === 'jsonld'));
+});
+
+test('event page: markup escaped in JSON-LD text comes out as plain text', () => {
+  const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+    '@type': 'Event',
+    name: 'Cars &amp; Coffee',
+    startDate: '2025-08-02T07:00:00-05:00',
+    description: '&lt;p&gt;Bring the kids &amp;amp; the &lt;strong&gt;dog&lt;/strong&gt;&lt;/p&gt;'
+  })}</script></head><body></body></html>`;
+  const record = parseEventPage(html, { referenceDate: REFERENCE_DATE });
+
+  assert.equal(record.eventName, 'Cars & Coffee');
+  assert.equal(record.description, 'Bring the kids & the dog');
+});
+
+test('event page: hCalendar microformats fill in when there is no theme markup or JSON-LD', () => {
+  const html = `<html><body><div class="vevent">
+    <span class="summary">Harvest Cruise</span>
+    <abbr class="dtstart" title="2025-10-11T09:00:00">Oct 11, 9 am</abbr>
+    <abbr class="dtend" title="2025-10-11T15:00:00">3 pm</abbr>
+    <div class="location"><span class="fn">Town Square</span></div>
+    <span class="locality">Decorah</span> <abbr class="region" title="IA">Iowa</abbr>
+  </div></body></html>`;
+  const record = parseEventPage(html, { referenceDate: REFERENCE_DATE });
+
+  assert.equal(record.eventName, 'Harvest Cruise');
+  assert.equal(record.venue, 'Town Square');
+  assert.equal(record.city, 'Decorah');
+  assert.equal(record.stateAbbr, 'IA');
+  assert.equal(record.startDate, '2025-10-11');
+  assert.equal(record.startTime24, '09:00');
+  assert.equal(record.endTime24, '15:00');
+  assert.equal(record.fieldSources.eventName, 'microformat');
+});
+
+test('event page: a page with none of the expected markup gives empty fields, not an error', () => {
+  const record = parseEventPage('<html><body><h1>Page not found</h1></body></html>', { referenceDate: REFERENCE_DATE });
+
+  assert.equal(record.eventName, '');
+  assert.equal(record.venue, '');
+  assert.equal(record.startDate, '');
+  assert.equal(record.description, '');
+  assert.deepEqual(record.fieldSources, {});
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { EventStore } = require('../event-store');
+const { LEGACY_CSV_LAYOUTS } = require('../csv-store');
+
+async function withTempDir(run) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'event-store-test-'));
+  try {
+    return await run(dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+function event(link, fields = {}) {
+  return { originalLink: `https://carcruisefinder.com/car-shows/${link}/`, eventName: link, state: 'Iowa', ...fields };
+}
+
+test('event store: events are updated by link and survive a save and reopen', () => withTempDir(async dir => {
+  const dbPath = path.join(dir, 'events.db');
+  const store = await EventStore.open(dbPath);
+
+  store.upsertEvents([event('b-show', { startDate: '2025-06-01' }), event('a-show', { startDate: '2025-05-01' })]);
+  store.upsertEvent(event('b-show', { startDate: '2025-06-01', venue: 'Fairgrounds' }));
+  await store.save();
+  assert.equal(store.dirty, false);
+
+  const reopened = await EventStore.open(dbPath);
+  assert.equal(reopened.countEvents(), 2);
+  assert.deepEqual(reopened.getAllEvents().map(record => record.eventName), ['a-show', 'b-show']);
+  assert.equal(reopened.getEvent(event('b-show').originalLink).venue, 'Fairgrounds');
+  assert.equal(reopened.getEvent(event('b-show').originalLink).latitude, '');
+}));
+
+test('event store: a database from an older version gets the columns added since', () => withTempDir(async dir => {
+  const dbPath = path.join(dir, 'events.db');
+  const SQL = await initSqlJs();
+  const old = new SQL.Database();
+  old.exec(`
+    CREATE TABLE events (original_link TEXT PRIMARY KEY, event_name TEXT, state TEXT, start_date TEXT,
+      venue_id INTEGER, first_seen TEXT, updated_at TEXT);
+    CREATE TABLE runs (id INTEGER PRIMARY KEY AUTOINCREMENT, mode TEXT, status TEXT, started_at TEXT,
+      finished_at TEXT, events_processed INTEGER, message TEXT);
+    INSERT INTO events (original_link, event_name, state) VALUES ('https://carcruisefinder.com/car-shows/old/', 'Old Show', 'Iowa');
+  `);
+  await fs.promises.writeFile(dbPath, Buffer.from(old.export()));
+
+  const store = await EventStore.open(dbPath);
+
+  assert.equal(store.dirty, true);
+  assert.equal(store.getAllEvents()[0].eventName, 'Old Show');
+  assert.equal(store.getAllEvents()[0].geoPrecision, '');
+  const runColumns = store.all('PRAGMA table_info(runs)').map(column => column.name);
+  assert.ok(runColumns.includes('trigger'));
+}));
+
+test('event store: importCsv reads every legacy layout and reports the rows it skipped', () => withTempDir(async dir => {
+  const csvPath = path.join(dir, 'car_events_details.csv');
+  const row = (layout, values) => layout.map(column => `"${values[column.id] || ''}"`).join(',');
+  const [original, , , , latest] = LEGACY_CSV_LAYOUTS;
+  await fs.promises.writeFile(csvPath, [
+    row(original, { eventName: 'Old Show', originalLink: 'https://carcruisefinder.com/car-shows/old/' }),
+    row(latest, { eventName: 'New Show', status: 'active', originalLink: 'https://carcruisefinder.com/car-shows/new/' }),
+    row(latest, { eventName: 'No Link' }),
+    '"a","b","c"'
+  ].join('\n'));
+
+  const store = await EventStore.open(path.join(dir, 'events.db'));
+  const { imported, warnings } = await store.importCsv(csvPath);
+
+  assert.equal(imported, 2);
+  assert.equal(store.getEvent('https://carcruisefinder.com/car-shows/new/').status, 'active');
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /row 4 has 3 columns/);
+  assert.match(warnings[1], /1 of 3 rows have no event link/);
+}));
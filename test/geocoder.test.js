@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Geocoder, geocodeStoredEvents } = require('../geocoder');
+
+// Knows one city; counts the lookups it was asked for
+function fakeGeocoder() {
+  const lookups = [];
+  const provider = {
+    name: 'fake',
+    async geocode(address) {
+      lookups.push(address.city);
+      return address.city === 'Ames' ? { latitude: 42.03, longitude: -93.62, precision: 'city' } : null;
+    }
+  };
+  return { geocoder: new Geocoder({ providers: [provider] }), lookups };
+}
+
+function fakeStore(records) {
+  return {
+    records,
+    getAllEvents: () => records.map(record => ({ ...record })),
+    upsertEvents(updated) {
+      updated.forEach(record => {
+        const index = records.findIndex(stored => stored.link === record.link);
+        records[index] = record;
+      });
+    }
+  };
+}
+
+test('geocoding: an address that is not found is marked and not looked up again', async () => {
+  const store = fakeStore([
+    { link: 'a', city: 'Ames', stateAbbr: 'IA', latitude: '', longitude: '', geoPrecision: '' },
+    { link: 'b', city: 'Nowhere', stateAbbr: 'IA', latitude: '', longitude: '', geoPrecision: '' }
+  ]);
+
+  const first = fakeGeocoder();
+  assert.deepEqual(await geocodeStoredEvents(store, first.geocoder), { checked: 2, resolved: 1 });
+  assert.equal(store.records[0].geoPrecision, 'city');
+  assert.equal(store.records[1].geoPrecision, 'none');
+
+  const second = fakeGeocoder();
+  assert.deepEqual(await geocodeStoredEvents(store, second.geocoder), { checked: 0, resolved: 0 });
+  assert.deepEqual(second.lookups, []);
+});
+
+test('geocoding: retryNotFound and all look up the addresses not found before', async () => {
+  const store = fakeStore([
+    { link: 'a', city: 'Ames', stateAbbr: 'IA', latitude: '42.03', longitude: '-93.62', geoPrecision: 'city', geoSource: 'fake' },
+    { link: 'b', city: 'Nowhere', stateAbbr: 'IA', latitude: '', longitude: '', geoPrecision: 'none' }
+  ]);
+
+  const retry = fakeGeocoder();
+  assert.deepEqual(await geocodeStoredEvents(store, retry.geocoder, { retryNotFound: true }), { checked: 1, resolved: 0 });
+  assert.deepEqual(retry.lookups, ['Nowhere']);
+
+  const all = fakeGeocoder();
+  assert.deepEqual(await geocodeStoredEvents(store, all.geocoder, { all: true }), { checked: 2, resolved: 1 });
+  assert.deepEqual(all.lookups, ['Ames', 'Nowhere']);
+});
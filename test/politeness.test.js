@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PolitenessController, parseRobotsTxt, robotsRulesFor, robotsAgentFor, isAllowedByRobots } = require('../politeness');
+const { DEFAULT_USER_AGENT } = require('../http-client');
+
+const ROBOTS_TXT = [
+  'User-agent: *',
+  'Disallow: /wp-admin/',
+  '',
+  'User-agent: carcruisefinder-scraper',
+  'Disallow: /car-shows/category/',
+  'Allow: /car-shows/category/iowa/',
+  'Crawl-delay: 5'
+].join('\n');
+
+test('robots.txt: the default user agent gets the group that names it', () => {
+  const robots = robotsRulesFor(parseRobotsTxt(ROBOTS_TXT), robotsAgentFor(DEFAULT_USER_AGENT));
+
+  assert.equal(robots.crawlDelay, 5);
+  assert.equal(isAllowedByRobots(robots.rules, '/car-shows/category/ohio/'), false);
+  assert.equal(isAllowedByRobots(robots.rules, '/car-shows/category/iowa/page/2/'), true);
+});
+
+test('robots.txt: a browser user agent falls back to the "*" group', () => {
+  const agent = robotsAgentFor('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36');
+  const robots = robotsRulesFor(parseRobotsTxt(ROBOTS_TXT), agent);
+
+  assert.equal(agent, 'mozilla');
+  assert.equal(robots.crawlDelay, null);
+  assert.equal(isAllowedByRobots(robots.rules, '/car-shows/category/ohio/'), true);
+  assert.equal(isAllowedByRobots(robots.rules, '/wp-admin/edit.php'), false);
+});
+
+test('robots.txt: an empty user agent keeps the default robots name', () => {
+  assert.equal(robotsAgentFor(''), 'carcruisefinder-scraper');
+});
+
+test('Retry-After: a 429 holds every request, for no longer than maxRetryAfterSeconds', async t => {
+  const notices = [];
+  const politeness = new PolitenessController({
+    maxRetryAfterSeconds: 60,
+    onNotice: (message, details) => notices.push(details)
+  });
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers: { 'retry-after': '3600' } };
+  const before = Date.now();
+
+  await assert.rejects(politeness.schedule('https://carcruisefinder.com/car-shows/', () => Promise.reject(error)));
+
+  assert.ok(politeness.pausedUntil >= before + 60000 && politeness.pausedUntil <= Date.now() + 60000);
+  assert.equal(notices[0].retryAfter.waitMs, 60000);
+
+  // The retry waits on the hold, not on a backoff of its own as well
+  t.mock.method(politeness, 'pause', async () => assert.fail('backoff should not wait'));
+  await politeness.backoff(1, error);
+});
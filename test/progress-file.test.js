@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PROGRESS_SCHEMA_VERSION,
+  migrateProgress,
+  readProgress,
+  rebuildProgress,
+  loadProgressFile,
+  writeProgressFile,
+  removeProgressBackups
+} = require('../progress-file');
+
+async function withProgressFile(run) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'progress-file-test-'));
+  try {
+    return await run(path.join(dir, 'progress.json'));
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Enough of EventStore for rebuildProgress
+const store = {
+  getScrapeStatus: () => [
+    { state_id: 'iowa', state_name: 'Iowa', completed: 1 },
+    { state_id: 'new-hampshire', state_name: 'New Hampshire', completed: 0, last_page: 3, events_found: 24, last_processed: '2025-05-01T10:00:00.000Z' }
+  ],
+  getEventLinks: () => ['https://carcruisefinder.com/car-shows/a/', 'https://carcruisefinder.com/car-shows/b/']
+};
+
+test('migrateProgress: the oldest layout gets every field and underscored state ids', () => {
+  const { data, fromVersion } = migrateProgress({
+    trackedEventLinks: ['https://carcruisefinder.com/car-shows/a/'],
+    processedEvents: 1,
+    completedStates: { 'new-hampshire': true, ohio: false },
+    stateProgress: { 'new-york': { lastPage: 2 }, new_york: { eventsFound: 9 } }
+  });
+
+  assert.equal(fromVersion, 1);
+  assert.equal(data.schemaVersion, PROGRESS_SCHEMA_VERSION);
+  assert.deepEqual(data.completedStates, ['new_hampshire']);
+  assert.deepEqual(data.stateProgress, { new_york: { lastPage: 2, eventsFound: 9 } });
+  assert.deepEqual(data.failedRequests, []);
+  assert.equal(data.mode, 'scrape');
+  assert.equal(data.selectedStates, null);
+  assert.equal(data.totalEventsFound, 0);
+});
+
+test('migrateProgress: the current layout is left alone and a newer one is refused', () => {
+  const current = { schemaVersion: PROGRESS_SCHEMA_VERSION, completedStates: ['iowa'] };
+  assert.deepEqual(migrateProgress(current), { data: current, fromVersion: PROGRESS_SCHEMA_VERSION });
+  assert.throws(() => migrateProgress({ schemaVersion: PROGRESS_SCHEMA_VERSION + 1 }), { code: 'PROGRESS_TOO_NEW' });
+});
+
+test('writeProgressFile: the save before becomes the backup', async () => {
+  await withProgressFile(async filePath => {
+    await writeProgressFile(filePath, { processedEvents: 1 });
+    await writeProgressFile(filePath, { processedEvents: 2 });
+
+    const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const backup = JSON.parse(await fs.promises.readFile(`${filePath}.bak`, 'utf8'));
+    assert.deepEqual([saved.processedEvents, saved.schemaVersion], [2, PROGRESS_SCHEMA_VERSION]);
+    assert.equal(backup.processedEvents, 1);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+
+    await removeProgressBackups(filePath);
+    assert.equal(fs.existsSync(`${filePath}.bak`), false);
+    assert.equal(fs.existsSync(filePath), true);
+  });
+});
+
+test('readProgress: falls back to the backup and writes nothing', async () => {
+  await withProgressFile(async filePath => {
+    assert.equal(await readProgress(filePath), null);
+
+    await writeProgressFile(filePath, { processedEvents: 1 });
+    await writeProgressFile(filePath, { processedEvents: 2 });
+    await fs.promises.writeFile(filePath, '{"processedEvents": 3,');
+
+    assert.equal((await readProgress(filePath)).processedEvents, 1);
+    assert.equal(await fs.promises.readFile(filePath, 'utf8'), '{"processedEvents": 3,');
+  });
+});
+
+test('loadProgressFile: an old layout is saved in the new one, the old file kept as the backup', async () => {
+  await withProgressFile(async filePath => {
+    await fs.promises.writeFile(filePath, JSON.stringify({ trackedEventLinks: [], completedStates: ['new-york'] }));
+    const { data, recovered, messages } = await loadProgressFile(filePath);
+
+    assert.equal(recovered, false);
+    assert.deepEqual(data.completedStates, ['new_york']);
+    assert.deepEqual(messages, [`Progress file updated from schema 1 to ${PROGRESS_SCHEMA_VERSION}`]);
+    assert.equal(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).schemaVersion, PROGRESS_SCHEMA_VERSION);
+    assert.equal(JSON.parse(await fs.promises.readFile(`${filePath}.bak`, 'utf8')).schemaVersion, undefined);
+  });
+});
+
+test('loadProgressFile: a corrupt file is set aside and the backup restored', async () => {
+  await withProgressFile(async filePath => {
+    await writeProgressFile(filePath, { processedEvents: 1, timestamp: '2025-05-01T10:00:00.000Z' });
+    await writeProgressFile(filePath, { processedEvents: 2 });
+    await fs.promises.writeFile(filePath, 'garbage');
+
+    const { data, recovered, messages } = await loadProgressFile(filePath, { store });
+
+    assert.equal(recovered, true);
+    assert.equal(data.processedEvents, 1);
+    assert.equal(messages[1], 'Restored progress from the backup saved 2025-05-01T10:00:00.000Z');
+    assert.equal(await fs.promises.readFile(`${filePath}.corrupt`, 'utf8'), 'garbage');
+    assert.equal(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).processedEvents, 1);
+  });
+});
+
+test('loadProgressFile: with no good backup, progress is rebuilt from the event database', async () => {
+  await withProgressFile(async filePath => {
+    await fs.promises.writeFile(filePath, '[]');
+    const { data, recovered, messages } = await loadProgressFile(filePath, { store });
+
+    assert.equal(recovered, true);
+    assert.deepEqual(data.completedStates, ['iowa']);
+    assert.match(messages[1], /^Rebuilt progress from the event database: 2 events, 1 completed states, 1 partly scraped/);
+    assert.equal(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).processedEvents, 2);
+  });
+});
+
+test('loadProgressFile: a file from a newer version is not touched', async () => {
+  await withProgressFile(async filePath => {
+    const newer = JSON.stringify({ schemaVersion: PROGRESS_SCHEMA_VERSION + 1 });
+    await fs.promises.writeFile(filePath, newer);
+
+    await assert.rejects(loadProgressFile(filePath, { store }), { code: 'PROGRESS_TOO_NEW' });
+    assert.equal(await fs.promises.readFile(filePath, 'utf8'), newer);
+  });
+});
+
+test('rebuildProgress: completed states and how far the others got', () => {
+  const data = rebuildProgress(store);
+
+  assert.equal(data.schemaVersion, PROGRESS_SCHEMA_VERSION);
+  assert.deepEqual(data.trackedEventLinks, store.getEventLinks());
+  assert.equal(data.processedEvents, 2);
+  assert.deepEqual(data.completedStates, ['iowa']);
+  assert.deepEqual(data.stateProgress, {
+    new_hampshire: { lastPage: 3, eventsFound: 24, lastProcessed: '2025-05-01T10:00:00.000Z' }
+  });
+  assert.deepEqual(data.failedRequests, []);
+});
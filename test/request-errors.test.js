@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRetryAfter, classifyRequestError, describeRequestError } = require('../request-errors');
+
+// An error shaped like the ones axios throws for an HTTP status
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function codeError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+test('classifyRequestError: HTTP statuses', () => {
+  assert.equal(classifyRequestError(httpError(404)).kind, 'not_found');
+  assert.equal(classifyRequestError(httpError(403)).kind, 'client');
+  assert.equal(classifyRequestError(httpError(429)).kind, 'rate_limited');
+  assert.equal(classifyRequestError(httpError(503)).kind, 'server');
+  assert.equal(classifyRequestError(httpError(404)).retryable, false);
+  assert.equal(classifyRequestError(httpError(503)).retryable, true);
+});
+
+test('classifyRequestError: timeouts, DNS and connection errors', () => {
+  assert.equal(classifyRequestError(codeError('ECONNABORTED', 'timeout of 15000ms exceeded')).kind, 'timeout');
+  assert.equal(classifyRequestError(new Error('socket timeout')).kind, 'timeout');
+  assert.equal(classifyRequestError(codeError('ENOTFOUND')).kind, 'dns');
+  assert.equal(classifyRequestError(codeError('ECONNRESET')).kind, 'network');
+  assert.equal(classifyRequestError(new Error('Unexpected token')).kind, 'unknown');
+});
+
+test('classifyRequestError: robots.txt and a stopped run are not retried', () => {
+  const robots = classifyRequestError(codeError('ROBOTS_DISALLOWED'));
+  const stopped = classifyRequestError(codeError('SCRAPER_STOPPED'));
+
+  assert.deepEqual([robots.kind, robots.retryable], ['robots', false]);
+  assert.deepEqual([stopped.kind, stopped.retryable], ['stopped', false]);
+});
+
+test('classifyRequestError: Retry-After on 429 and 5xx, in any header case', () => {
+  assert.equal(classifyRequestError(httpError(429, { 'retry-after': '120' })).retryAfterMs, 120000);
+  assert.equal(classifyRequestError(httpError(503, { 'Retry-After': '1.5' })).retryAfterMs, 1500);
+  assert.equal(classifyRequestError(httpError(429)).retryAfterMs, null);
+  assert.equal(classifyRequestError(httpError(404, { 'retry-after': '120' })).retryAfterMs, null);
+});
+
+test('parseRetryAfter: seconds or an HTTP date, never negative', () => {
+  const now = Date.parse('Sun, 04 May 2025 12:00:00 GMT');
+
+  assert.equal(parseRetryAfter('30', now), 30000);
+  assert.equal(parseRetryAfter('Sun, 04 May 2025 12:02:00 GMT', now), 120000);
+  assert.equal(parseRetryAfter('Sun, 04 May 2025 11:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter('', now), null);
+});
+
+test('describeRequestError: short log wording', () => {
+  assert.equal(describeRequestError(classifyRequestError(httpError(429))), 'rate limited (HTTP 429)');
+  assert.equal(describeRequestError(classifyRequestError(codeError('ENOTFOUND'))), 'DNS lookup failed (ENOTFOUND)');
+  assert.equal(describeRequestError(classifyRequestError(new Error('Bad page'))), 'Bad page');
+});
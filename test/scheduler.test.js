@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Scheduler, parseCron, nextRun } = require('../scheduler');
+
+// Dates are local time, like the scheduler's
+const at = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+
+async function withScheduler(options, run) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'scheduler-test-'));
+  const scheduler = new Scheduler({ filePath: path.join(dir, 'schedule.json'), ...options });
+  try {
+    return await run(scheduler, dir);
+  } finally {
+    scheduler.stop();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// A job that last ran a day ago, so its nightly run is due
+function dueJob(fields = {}) {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000 - 60000);
+  return {
+    id: 'nightly',
+    name: 'Nightly refresh',
+    cron: `${yesterday.getMinutes()} ${yesterday.getHours()} * * *`,
+    action: 'refresh-upcoming',
+    enabled: true,
+    createdAt: yesterday.toISOString(),
+    lastRun: new Date(yesterday.getTime() - 60000).toISOString(),
+    ...fields
+  };
+}
+
+test('parseCron: ranges, steps, lists and Sunday as 0 or 7', () => {
+  const cron = parseCron('*/15 9-17 1,15 * 1-5');
+
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.equal(cron.months.size, 12);
+  assert.ok(parseCron('0 3 * * 7').weekdays.has(0));
+});
+
+test('parseCron: bad expressions are refused with INVALID_CRON', () => {
+  assert.throws(() => parseCron('0 2 * *'), { code: 'INVALID_CRON', message: /expected 5 fields/ });
+  assert.throws(() => parseCron('60 2 * * *'), { code: 'INVALID_CRON', message: /minute must be between 0 and 59/ });
+  assert.throws(() => parseCron('0 2 * * mon'), { code: 'INVALID_CRON' });
+  assert.throws(() => parseCron('0 5-2 * * *'), { code: 'INVALID_CRON' });
+});
+
+test('nextRun: the first matching minute after the given time', () => {
+  assert.deepEqual(nextRun('0 2 * * *', at(2025, 1, 15, 10, 30)), at(2025, 1, 16, 2, 0));
+  assert.deepEqual(nextRun('*/15 * * * *', at(2025, 1, 15, 10, 31)), at(2025, 1, 15, 10, 45));
+  assert.deepEqual(nextRun('0 2 * * *', at(2025, 1, 15, 2, 0)), at(2025, 1, 16, 2, 0));
+  assert.deepEqual(nextRun('0 3 * * 0', at(2025, 1, 15)), at(2025, 1, 19, 3, 0));
+  assert.deepEqual(nextRun('0 0 31 12 *', at(2025, 1, 15)), at(2025, 12, 31));
+  assert.deepEqual(nextRun('0 0 29 2 *', at(2025, 3, 1)), at(2028, 2, 29));
+});
+
+test('nextRun: with both day fields set, either one matching is enough', () => {
+  // The 13th, or any Friday: Friday Jan 17 comes before Feb 13
+  assert.deepEqual(nextRun('0 0 13 * 5', at(2025, 1, 14)), at(2025, 1, 17));
+  assert.equal(nextRun('0 0 31 2 *', at(2025, 1, 1)), null);
+});
+
+test('scheduler: a due job waits while a scrape runs, then runs once', async () => {
+  let busy = true;
+  const runs = [];
+  const logs = [];
+  await withScheduler({
+    isBusy: () => busy,
+    onLog: message => logs.push(message),
+    runJob: async (job, options) => {
+      runs.push(options);
+      return { success: true, message: 'Refreshed 12 events' };
+    }
+  }, async scheduler => {
+    scheduler.jobs = [dueJob()];
+
+    await scheduler.tick();
+    await scheduler.tick();
+    assert.equal(runs.length, 0);
+    assert.equal(logs.filter(message => /is due but a scrape is already running/.test(message)).length, 1);
+
+    busy = false;
+    await scheduler.tick();
+    assert.deepEqual(runs, [{ mode: 'refresh', refreshScope: 'upcoming' }]);
+    assert.equal(scheduler.jobs[0].lastStatus, 'completed');
+    assert.equal(scheduler.jobs[0].lastMessage, 'Refreshed 12 events');
+
+    await scheduler.tick();
+    assert.equal(runs.length, 1);
+  });
+});
+
+test('scheduler: a job that throws is recorded as failed', async () => {
+  await withScheduler({
+    runJob: async () => { throw new Error('No state pages found'); }
+  }, async scheduler => {
+    scheduler.jobs = [dueJob()];
+    await scheduler.tick();
+
+    assert.equal(scheduler.jobs[0].lastStatus, 'failed');
+    assert.equal(scheduler.jobs[0].lastMessage, 'No state pages found');
+    assert.equal(scheduler.runningJobId, null);
+  });
+});
+
+test('scheduler: errors in the periodic check are logged, not left unhandled', async t => {
+  const errors = [];
+  t.mock.method(console, 'error', (...args) => errors.push(args));
+
+  await withScheduler({ runJob: async () => ({ success: true }), checkInterval: 10 }, async (scheduler, dir) => {
+    // Saving the job's result fails: its folder is gone
+    scheduler.filePath = path.join(dir, 'missing', 'schedule.json');
+    scheduler.jobs = [dueJob()];
+
+    await assert.rejects(scheduler.start());
+    scheduler.jobs = [dueJob()];
+    await new Promise(resolve => setTimeout(resolve, 50));
+    scheduler.stop();
+
+    assert.ok(errors.length > 0);
+    assert.equal(errors[0][0], 'Error running scheduled jobs:');
+  });
+});
+
+test('scheduler: jobs with an unknown action or timetable are refused', async () => {
+  await withScheduler({ runJob: async () => ({ success: true }) }, async scheduler => {
+    await assert.rejects(scheduler.addJob({ cron: '0 2 * * *', action: 'dance' }), { code: 'UNKNOWN_ACTION' });
+    await assert.rejects(scheduler.addJob({ cron: 'nightly', action: 'scrape' }), { code: 'INVALID_CRON' });
+
+    const job = await scheduler.addJob({ cron: '0 2 * * *', action: 'scrape' });
+    assert.equal(job.name, 'Full scrape');
+    assert.equal(scheduler.getJobs()[0].actionLabel, 'Full scrape');
+  });
+});
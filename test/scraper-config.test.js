@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  defaultConfig,
+  validateConfig,
+  loadConfig,
+  saveConfig,
+  scraperOptionsFromConfig
+} = require('../scraper-config');
+const { PolitenessController } = require('../politeness');
+const { DEFAULT_USER_AGENT, LEGACY_USER_AGENT } = require('../http-client');
+
+async function withConfigFile(run) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'scraper-config-test-'));
+  try {
+    return await run(path.join(dir, 'scraper-config.json'));
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('validateConfig: the defaults are valid', () => {
+  assert.deepEqual(validateConfig(defaultConfig()), []);
+});
+
+test('validateConfig: one problem per bad value, naming the setting', () => {
+  const problems = validateConfig({
+    maxConcurrency: 2.5,
+    requestsPerSecond: 50,
+    userAgent: '  ',
+    respectRobotsTxt: 'yes',
+    outputDir: 'relative/folder',
+    driftAction: 'explode',
+    minFillRates: 'eventName=0.9,venue=150',
+    colour: 'red'
+  });
+
+  assert.deepEqual(problems.map(problem => problem.field), [
+    'maxConcurrency', 'requestsPerSecond', 'userAgent', 'respectRobotsTxt',
+    'outputDir', 'driftAction', 'minFillRates', 'colour'
+  ]);
+  assert.equal(problems[0].message, 'maxConcurrency must be a whole number');
+  assert.equal(problems[1].message, 'requestsPerSecond must be between 0.05 and 10');
+  assert.match(problems[6].message, /venue must be between 0 and 1/);
+  assert.equal(problems[7].message, 'Unknown setting "colour"');
+  assert.deepEqual(validateConfig([]), [{ field: null, message: 'Settings must be an object' }]);
+});
+
+test('validateConfig: fill rates may be shares or percentages', () => {
+  assert.deepEqual(validateConfig({ minFillRates: 'eventName=90%,venue=0.5' }), []);
+  assert.match(validateConfig({ minFillRates: 'eventName' })[0].message, /Invalid field threshold/);
+});
+
+test('loadConfig: a missing file gives the defaults', async () => {
+  await withConfigFile(async filePath => {
+    assert.deepEqual(await loadConfig(filePath), { config: defaultConfig(), warnings: [] });
+  });
+});
+
+test('loadConfig: bad values and unreadable files fall back to the defaults with a warning', async () => {
+  await withConfigFile(async filePath => {
+    await fs.promises.writeFile(filePath, JSON.stringify({ maxRetries: 0, eventTimeoutSeconds: 30, colour: 'red' }));
+    const { config, warnings } = await loadConfig(filePath);
+
+    assert.equal(config.maxRetries, 3);
+    assert.equal(config.eventTimeoutSeconds, 30);
+    assert.deepEqual(warnings, [
+      'maxRetries must be between 1 and 10, using 3',
+      'Unknown setting "colour" ignored'
+    ]);
+
+    await fs.promises.writeFile(filePath, '{ not json');
+    const unreadable = await loadConfig(filePath);
+    assert.deepEqual(unreadable.config, defaultConfig());
+    assert.match(unreadable.warnings[0], /^Could not read/);
+  });
+});
+
+test('loadConfig: the old browser user agent saved as a default is dropped', async () => {
+  await withConfigFile(async filePath => {
+    await fs.promises.writeFile(filePath, JSON.stringify({ userAgent: LEGACY_USER_AGENT }));
+    const { config, warnings } = await loadConfig(filePath);
+
+    assert.equal(config.userAgent, DEFAULT_USER_AGENT);
+    assert.deepEqual(warnings, []);
+  });
+});
+
+test('saveConfig: merges valid changes and writes nothing when one is invalid', async () => {
+  await withConfigFile(async filePath => {
+    const saved = await saveConfig(filePath, { maxRetries: 5 });
+    assert.equal(saved.maxRetries, 5);
+
+    await assert.rejects(saveConfig(filePath, { maxRetries: 4, driftAction: 'explode' }), error => {
+      assert.equal(error.code, 'INVALID_CONFIG');
+      assert.deepEqual(error.problems.map(problem => problem.field), ['driftAction']);
+      return true;
+    });
+
+    const { config } = await loadConfig(filePath);
+    assert.equal(config.maxRetries, 5);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  });
+});
+
+test('scraperOptionsFromConfig: seconds become milliseconds and fill rates are parsed', () => {
+  const options = scraperOptionsFromConfig({
+    eventTimeoutSeconds: 20,
+    retryDelaySeconds: 1.5,
+    minFillRates: 'eventName=95%,date=0.8',
+    driftAction: 'warn'
+  });
+
+  assert.equal(options.eventTimeout, 20000);
+  assert.equal(options.listingTimeout, 60000);
+  assert.equal(options.politeness.backoffBaseMs, 1500);
+  assert.equal(options.politeness.respectRobotsTxt, true);
+  assert.deepEqual(options.fieldMonitor, { thresholds: { eventName: 0.95, date: 0.8 }, action: 'warn' });
+});
+
+test('retry delay: the setting is the wait before the first retry, doubling after that', async t => {
+  const { politeness } = scraperOptionsFromConfig(defaultConfig());
+  const controller = new PolitenessController({ ...politeness, jitter: 0 });
+  const waits = [];
+  t.mock.method(controller, 'pause', async ms => { waits.push(ms); });
+
+  await controller.backoff(1);
+  await controller.backoff(2);
+  await controller.backoff(3);
+
+  assert.deepEqual(waits, [2000, 4000, 8000]);
+});
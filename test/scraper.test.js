@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ComprehensiveCarEventScraper } = require('../scraper');
+
+function tempScraper(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-test-'));
+  const saves = [];
+  const scraper = new ComprehensiveCarEventScraper({
+    csvPath: path.join(dir, 'events.csv'),
+    logsPath: path.join(dir, 'scraper.log'),
+    progressPath: path.join(dir, 'progress.json'),
+    store: { save: async () => saves.push(Date.now()) },
+    ...options
+  });
+  return { scraper, saves, dir };
+}
+
+test('checkpoint: saves the database at most once per interval; saveProgress always does', async () => {
+  const { scraper, saves, dir } = tempScraper({ checkpointInterval: 60000 });
+
+  await scraper.checkpoint();
+  await scraper.checkpoint();
+  await scraper.checkpoint();
+  assert.equal(saves.length, 1);
+  assert.ok(fs.existsSync(path.join(dir, 'progress.json')));
+
+  await scraper.saveProgress();
+  assert.equal(saves.length, 2);
+
+  scraper.lastWriteAt -= 60000;
+  await scraper.checkpoint();
+  assert.equal(saves.length, 3);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  slugFromUrl,
+  displayNameFromSlug,
+  stateIdOf,
+  parseCategoryIndex,
+  readStateLinksFile,
+  writeStateLinksFile,
+  diffStateLinks,
+  hasStateLinkChanges,
+  describeStateLinksDiff
+} = require('../state-links');
+
+const INDEX_URL = 'https://carcruisefinder.com/car-shows/';
+const link = slug => `https://carcruisefinder.com/car-shows/category/${slug}/`;
+
+test('slugs and names from both URL schemes', () => {
+  assert.equal(slugFromUrl(link('new-hampshire')), 'new-hampshire');
+  assert.equal(slugFromUrl('https://carcruisefinder.com/iowa-car-events/'), 'iowa');
+  assert.equal(displayNameFromSlug('district-of-columbia'), 'District of Columbia');
+  assert.equal(displayNameFromSlug('prince-edward-island'), 'Prince Edward Island');
+  assert.equal(stateIdOf('New Hampshire'), 'new_hampshire');
+  assert.equal(stateIdOf('new-hampshire'), stateIdOf('New Hampshire'));
+});
+
+test('parseCategoryIndex: states and provinces once each, other categories ignored', () => {
+  const html = `<ul>
+    <li><a href="/car-shows/category/iowa/">Iowa (42)</a></li>
+    <li><a href="${link('ontario')}">Ontario</a></li>
+    <li><a href="/car-shows/category/iowa/page/2/">2</a></li>
+    <li><a href="/car-shows/category/iowa/">Iowa again</a></li>
+    <li><a href="/car-shows/category/swap-meets/?ref=menu">Swap Meets (7)</a></li>
+    <li><a href="/car-shows/spring-fling/">An event</a></li>
+  </ul>`;
+
+  assert.deepEqual(parseCategoryIndex(html, INDEX_URL), {
+    states: [
+      { slug: 'iowa', name: 'Iowa', link: link('iowa') },
+      { slug: 'ontario', name: 'Ontario', link: link('ontario') }
+    ],
+    ignored: [
+      { slug: 'swap-meets', name: 'Swap Meets', link: link('swap-meets') }
+    ]
+  });
+});
+
+test('diffStateLinks: added, removed, renamed and moved pages, matched by slug', () => {
+  const current = [
+    { slug: 'iowa', name: 'Iowa', link: link('iowa') },
+    { slug: 'ohio', name: 'Ohio', link: link('ohio') },
+    { slug: 'quebec', name: 'Quebec', link: link('quebec') },
+    { slug: 'texas', name: 'Texas', link: link('texas') }
+  ];
+  const discovered = [
+    { slug: 'iowa', name: 'Iowa', link: link('iowa') },
+    { slug: 'ohio', name: 'Ohio', link: 'https://carcruisefinder.com/car-shows/category/ohio-shows/' },
+    { slug: 'quebec', name: 'Québec', link: link('quebec') },
+    { slug: 'yukon', name: 'Yukon', link: link('yukon') }
+  ];
+  const diff = diffStateLinks(current, discovered);
+
+  assert.deepEqual(diff.added.map(entry => entry.slug), ['yukon']);
+  assert.deepEqual(diff.removed.map(entry => entry.slug), ['texas']);
+  assert.deepEqual(diff.renamed, [{ slug: 'quebec', from: 'Quebec', to: 'Québec' }]);
+  assert.deepEqual(diff.moved.map(entry => entry.slug), ['ohio']);
+  assert.equal(diff.unchanged, 1);
+  assert.equal(hasStateLinkChanges(diff), true);
+  assert.deepEqual(describeStateLinksDiff(diff), [
+    `+ Yukon  ${link('yukon')}`,
+    `- Texas  ${link('texas')}`,
+    '~ Quebec is now called Québec',
+    `~ Ohio moved: ${link('ohio')} -> https://carcruisefinder.com/car-shows/category/ohio-shows/`,
+    '1 states unchanged'
+  ]);
+});
+
+test('diffStateLinks: the same list is no change', () => {
+  const states = [{ slug: 'iowa', name: 'Iowa', link: link('iowa') }];
+  const diff = diffStateLinks(states, states);
+
+  assert.equal(hasStateLinkChanges(diff), false);
+  assert.deepEqual(describeStateLinksDiff(diff), ['No changes (1 states)']);
+});
+
+test('state links file: reads the hand-kept URL list and writes the discovered format', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'state-links-test-'));
+  const filePath = path.join(dir, 'state-car-show-links.json');
+  try {
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      stateCarShowLinks: ['https://carcruisefinder.com/new-york-car-events/']
+    }));
+    const states = await readStateLinksFile(filePath);
+    assert.deepEqual(states, [
+      { slug: 'new-york', name: 'New York', link: 'https://carcruisefinder.com/new-york-car-events/' }
+    ]);
+
+    await writeStateLinksFile(filePath, states);
+    assert.deepEqual(await readStateLinksFile(filePath), states);
+
+    await fs.promises.writeFile(filePath, '{"links": []}');
+    await assert.rejects(readStateLinksFile(filePath), { code: 'INVALID_STATE_LINKS' });
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
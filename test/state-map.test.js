@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeStates, summarizeOtherPages } = require('../state-map');
+
+const TODAY = '2025-06-01';
+
+test('state map: counts upcoming and stored events per US state, skipping duplicates', () => {
+  const states = summarizeStates([
+    { state: 'Iowa', stateAbbr: 'IA', startDate: '2025-07-04' },
+    { state: 'Iowa', stateAbbr: 'IA', startDate: '2025-05-01' },
+    { state: 'Iowa', stateAbbr: 'IA', startDate: '2025-07-04', duplicateOf: 'x' },
+    { state: 'Ohio', stateAbbr: '', startDate: '2025-05-30', endDate: '2025-06-02' }
+  ], [
+    { state_id: 'iowa', state_name: 'Iowa', completed: 1, last_error: null, last_processed: '2025-05-31' }
+  ], TODAY);
+
+  const iowa = states.find(state => state.abbr === 'IA');
+  assert.equal(iowa.upcoming, 1);
+  assert.equal(iowa.total, 2);
+  assert.equal(iowa.status, 'completed');
+  assert.equal(states.find(state => state.abbr === 'OH').upcoming, 1);
+  assert.equal(states.find(state => state.abbr === 'TX').status, 'never');
+});
+
+test('state map: other pages match rows stored under the older URL-style names', () => {
+  const [province] = summarizeOtherPages(
+    [{ name: 'British Columbia', slug: 'british-columbia' }, { name: 'Iowa', slug: 'iowa' }],
+    [
+      { state: 'British-columbia', startDate: '2025-07-04' },
+      { state: 'British Columbia', startDate: '2025-01-04' }
+    ],
+    [{ state_id: 'british-columbia', completed: 0, last_error: 'HTTP 500', last_processed: '2025-05-31' }],
+    TODAY
+  );
+
+  assert.equal(province.id, 'british-columbia');
+  assert.equal(province.region, 'Canada');
+  assert.equal(province.upcoming, 1);
+  assert.equal(province.total, 2);
+  assert.equal(province.status, 'failed');
+  assert.equal(province.lastError, 'HTTP 500');
+});
@@ -0,0 +1,101 @@
+// Reference data for US states: postal abbreviation, display name, the
+// IANA time zone most of the state uses and its Census region.
+
+const US_STATES = [
+  { abbr: 'AL', name: 'Alabama', timezone: 'America/Chicago', region: 'South' },
+  { abbr: 'AK', name: 'Alaska', timezone: 'America/Anchorage', region: 'West' },
+  { abbr: 'AZ', name: 'Arizona', timezone: 'America/Phoenix', region: 'West' },
+  { abbr: 'AR', name: 'Arkansas', timezone: 'America/Chicago', region: 'South' },
+  { abbr: 'CA', name: 'California', timezone: 'America/Los_Angeles', region: 'West' },
+  { abbr: 'CO', name: 'Colorado', timezone: 'America/Denver', region: 'West' },
+  { abbr: 'CT', name: 'Connecticut', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'DE', name: 'Delaware', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'DC', name: 'District of Columbia', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'FL', name: 'Florida', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'GA', name: 'Georgia', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'HI', name: 'Hawaii', timezone: 'Pacific/Honolulu', region: 'West' },
+  { abbr: 'ID', name: 'Idaho', timezone: 'America/Boise', region: 'West' },
+  { abbr: 'IL', name: 'Illinois', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'IN', name: 'Indiana', timezone: 'America/Indiana/Indianapolis', region: 'Midwest' },
+  { abbr: 'IA', name: 'Iowa', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'KS', name: 'Kansas', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'KY', name: 'Kentucky', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'LA', name: 'Louisiana', timezone: 'America/Chicago', region: 'South' },
+  { abbr: 'ME', name: 'Maine', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'MD', name: 'Maryland', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'MA', name: 'Massachusetts', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'MI', name: 'Michigan', timezone: 'America/Detroit', region: 'Midwest' },
+  { abbr: 'MN', name: 'Minnesota', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'MS', name: 'Mississippi', timezone: 'America/Chicago', region: 'South' },
+  { abbr: 'MO', name: 'Missouri', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'MT', name: 'Montana', timezone: 'America/Denver', region: 'West' },
+  { abbr: 'NE', name: 'Nebraska', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'NV', name: 'Nevada', timezone: 'America/Los_Angeles', region: 'West' },
+  { abbr: 'NH', name: 'New Hampshire', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'NJ', name: 'New Jersey', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'NM', name: 'New Mexico', timezone: 'America/Denver', region: 'West' },
+  { abbr: 'NY', name: 'New York', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'NC', name: 'North Carolina', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'ND', name: 'North Dakota', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'OH', name: 'Ohio', timezone: 'America/New_York', region: 'Midwest' },
+  { abbr: 'OK', name: 'Oklahoma', timezone: 'America/Chicago', region: 'South' },
+  { abbr: 'OR', name: 'Oregon', timezone: 'America/Los_Angeles', region: 'West' },
+  { abbr: 'PA', name: 'Pennsylvania', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'RI', name: 'Rhode Island', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'SC', name: 'South Carolina', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'SD', name: 'South Dakota', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'TN', name: 'Tennessee', timezone: 'America/Chicago', region: 'South' },
+  { abbr: 'TX', name: 'Texas', timezone: 'America/Chicago', region: 'South' },
+  { abbr: 'UT', name: 'Utah', timezone: 'America/Denver', region: 'West' },
+  { abbr: 'VT', name: 'Vermont', timezone: 'America/New_York', region: 'Northeast' },
+  { abbr: 'VA', name: 'Virginia', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'WA', name: 'Washington', timezone: 'America/Los_Angeles', region: 'West' },
+  { abbr: 'WV', name: 'West Virginia', timezone: 'America/New_York', region: 'South' },
+  { abbr: 'WI', name: 'Wisconsin', timezone: 'America/Chicago', region: 'Midwest' },
+  { abbr: 'WY', name: 'Wyoming', timezone: 'America/Denver', region: 'West' }
+];
+
+// Tile-grid layout of the states for the offline map: [row, column], roughly
+// where each state sits so neighbours stay next to each other
+const STATE_TILES = {
+  AK: [0, 0], ME: [0, 10],
+  WI: [1, 5], VT: [1, 9], NH: [1, 10],
+  WA: [2, 0], ID: [2, 1], MT: [2, 2], ND: [2, 3], MN: [2, 4], IL: [2, 5], MI: [2, 6], NY: [2, 8], MA: [2, 9],
+  OR: [3, 0], NV: [3, 1], WY: [3, 2], SD: [3, 3], IA: [3, 4], IN: [3, 5], OH: [3, 6], PA: [3, 7], NJ: [3, 8], CT: [3, 9], RI: [3, 10],
+  CA: [4, 0], UT: [4, 1], CO: [4, 2], NE: [4, 3], MO: [4, 4], KY: [4, 5], WV: [4, 6], VA: [4, 7], MD: [4, 8], DE: [4, 9],
+  AZ: [5, 1], NM: [5, 2], KS: [5, 3], AR: [5, 4], TN: [5, 5], NC: [5, 6], SC: [5, 7], DC: [5, 8],
+  OK: [6, 3], LA: [6, 4], MS: [6, 5], AL: [6, 6], GA: [6, 7],
+  HI: [7, 0], TX: [7, 3], FL: [7, 8]
+};
+
+// Find a state by postal abbreviation ("IA") or name ("Iowa", "new hampshire")
+function findState(value) {
+  if (!value) return null;
+  const needle = String(value).trim().toLowerCase().replace(/[-_]+/g, ' ');
+
+  return US_STATES.find(state =>
+    state.abbr.toLowerCase() === needle || state.name.toLowerCase() === needle
+  ) || null;
+}
+
+// Census regions, in the order the state picker shows them
+const REGIONS = ['Northeast', 'Midwest', 'South', 'West'];
+
+// What a state page ({ name, slug }) is picked by: the postal abbreviation for
+// US states, the slug ("ontario") for provinces and any other page
+function stateKeyOf({ name, slug }) {
+  const state = findState(name);
+  return state ? state.abbr : slug;
+}
+
+// The state pages ({ link, name, slug }) for the given states (abbreviations,
+// names, or slugs of pages that aren't a US state), in their original order
+function selectStateLinks(stateLinks, states) {
+  const wanted = new Set(states.map(value => {
+    const state = findState(value);
+    return state ? state.abbr : String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  }));
+  return stateLinks.filter(entry => wanted.has(stateKeyOf(entry)));
+}
+
+module.exports = { US_STATES, STATE_TILES, REGIONS, findState, stateKeyOf, selectStateLinks };